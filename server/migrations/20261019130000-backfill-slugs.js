@@ -0,0 +1,64 @@
+const { slugify, slugPattern, nextFreeSlug } = require('../src/utils/slug');
+
+// Posts and categories saved before slugs existed, or through updates that bypass save hooks
+const MISSING_SLUG = { $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] };
+
+const BATCH_SIZE = 500;
+
+/**
+ * Give every matching document a slug derived from one of its fields
+ * Slugs are unique, so duplicates get -2, -3... against both the collection and this run
+ * @param {Object} collection - Native collection
+ * @param {String} field - Source field (title, name)
+ * @returns {Promise<Number>} Documents updated
+ */
+const backfill = async (collection, field) => {
+  const cursor = collection.find(MISSING_SLUG, { projection: { [field]: 1 } });
+  // Slugs handed out by this run, including ones still waiting in the batch
+  const assigned = new Set();
+  let operations = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (operations.length) {
+      const result = await collection.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    }
+  };
+
+  for await (const document of cursor) {
+    const base = slugify(document[field] || '') || String(document._id);
+    const existing = await collection.distinct('slug', { slug: slugPattern(base) });
+    const slug = nextFreeSlug(base, [...existing, ...assigned]);
+    assigned.add(slug);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $set: { slug } },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return updated;
+};
+
+module.exports = {
+  description: 'Generate slugs for posts and categories that have none',
+
+  async up({ db, logger }) {
+    const posts = await backfill(db.collection('posts'), 'title');
+    const categories = await backfill(db.collection('categories'), 'name');
+    logger.info(`Backfilled slugs for ${posts} posts and ${categories} categories`);
+  },
+
+  async down() {
+    // Slugs are derived from titles and names, so existing ones are left in place
+  },
+};
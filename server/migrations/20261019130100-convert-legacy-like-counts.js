@@ -0,0 +1,22 @@
+// Early posts stored `likes` as a bare count instead of the list of who liked them.
+// The count is kept in `legacyLikeCount` so that down can put it back (dropping
+// any likes given in between).
+module.exports = {
+  description: 'Convert numeric likes to the likes list',
+
+  async up({ db, logger }) {
+    const result = await db.collection('posts').updateMany(
+      { likes: { $type: 'number' } },
+      [{ $set: { legacyLikeCount: '$likes', likes: [] } }],
+    );
+    logger.info(`Converted likes of ${result.modifiedCount} posts`);
+  },
+
+  async down({ db, logger }) {
+    const result = await db.collection('posts').updateMany(
+      { legacyLikeCount: { $exists: true } },
+      [{ $set: { likes: '$legacyLikeCount' } }, { $unset: 'legacyLikeCount' }],
+    );
+    logger.info(`Restored numeric likes of ${result.modifiedCount} posts`);
+  },
+};
@@ -0,0 +1,37 @@
+// A collection holds a single text index, so the old title/content index has to
+// go before the weighted one (which also covers tags and excerpt) can be built.
+const OLD_INDEX = 'title_text_content_text';
+const NEW_INDEX = 'post_text';
+
+const dropIfExists = async (collection, name) => {
+  // A fresh database has no posts collection yet
+  const indexes = await collection.indexes().catch((error) => {
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  });
+  if (indexes.some(index => index.name === name)) {
+    await collection.dropIndex(name);
+  }
+};
+
+module.exports = {
+  description: 'Replace the post text index with a weighted one',
+
+  async up({ db }) {
+    const posts = db.collection('posts');
+    await dropIfExists(posts, OLD_INDEX);
+    await dropIfExists(posts, NEW_INDEX);
+    await posts.createIndex(
+      { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+      { name: NEW_INDEX, weights: { title: 10, tags: 5, excerpt: 3, content: 1 } },
+    );
+  },
+
+  async down({ db }) {
+    const posts = db.collection('posts');
+    await dropIfExists(posts, NEW_INDEX);
+    await posts.createIndex({ title: 'text', content: 'text' }, { name: OLD_INDEX });
+  },
+};
@@ -0,0 +1,49 @@
+const { renderContent } = require('../src/utils/markdown');
+
+// Posts written before contentFormat existed were free-form HTML or text; reading
+// them as Markdown could change how they look, so they keep the html format
+const UNRENDERED = { $or: [{ contentFormat: { $exists: false } }, { contentHtml: { $exists: false } }] };
+
+const BATCH_SIZE = 500;
+
+module.exports = {
+  description: 'Render existing post content to sanitized HTML',
+
+  async up({ db, logger }) {
+    const posts = db.collection('posts');
+    const cursor = posts.find(UNRENDERED, { projection: { content: 1, contentFormat: 1 } });
+    let operations = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (operations.length) {
+        const result = await posts.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+        operations = [];
+      }
+    };
+
+    for await (const post of cursor) {
+      const contentFormat = post.contentFormat || 'html';
+      const { html, toc } = renderContent(post.content, contentFormat);
+
+      operations.push({
+        updateOne: {
+          filter: { _id: post._id },
+          update: { $set: { contentFormat, contentHtml: html, toc } },
+        },
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    logger.info(`Rendered content of ${updated} posts`);
+  },
+
+  async down({ db }) {
+    await db.collection('posts').updateMany({}, { $unset: { contentFormat: '', contentHtml: '', toc: '' } });
+  },
+};
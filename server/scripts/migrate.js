@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// migrate.js - Apply, roll back and inspect database migrations
+//
+// Usage: npm run migrate -- <command> [options]
+//   up [--to <name>]       Apply pending migrations (up to and including <name>)
+//   down [--steps <n>]     Roll back the last <n> applied migrations (default 1)
+//   status                 List migrations and whether they have run
+//   create <description>   Write a new, empty migration file
+//
+// The database is chosen like the server does: MONGODB_URI, or MONGODB_TEST_URI
+// when NODE_ENV=test. Concurrent runs wait for each other (MIGRATION_LOCK_TIMEOUT_MS).
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const COMMANDS = ['up', 'down', 'status', 'create'];
+
+const USAGE = 'Usage: npm run migrate -- <up [--to name] | down [--steps n] | status | create <description>>';
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { command, to, steps, description }
+ * @throws {Error} On unknown commands or invalid options
+ */
+const parseCommand = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+
+  if (values.help) {
+    return { command: 'help' };
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(command ? `Unknown command "${command}"\n${USAGE}` : USAGE);
+  }
+
+  const parsed = { command };
+
+  if (command === 'create') {
+    parsed.description = rest.join(' ').trim();
+    if (!parsed.description) {
+      throw new Error('create needs a description, e.g. npm run migrate -- create backfill post slugs');
+    }
+  }
+
+  if (values.steps !== undefined) {
+    const steps = Number(values.steps);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('--steps must be a positive integer');
+    }
+    parsed.steps = steps;
+  }
+
+  if (values.to !== undefined) {
+    parsed.to = values.to;
+  }
+
+  return parsed;
+};
+
+/**
+ * Format the migration status as a table
+ * @param {Array} status - Result of getMigrationStatus
+ * @returns {String} One line per migration
+ */
+const formatStatus = (status) => {
+  if (!status.length) {
+    return 'No migrations';
+  }
+
+  const width = Math.max(...status.map(migration => migration.name.length));
+  return status.map((migration) => {
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    return `${migration.status.padEnd(8)} ${migration.name.padEnd(width)} ${appliedAt}`.trimEnd();
+  }).join('\n');
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseCommand(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (options.command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const {
+    createMigration,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+  } = require('../src/utils/migrations');
+
+  // Creating a file doesn't need the database
+  if (options.command === 'create') {
+    const file = createMigration(options.description);
+    console.log(`Created ${path.relative(process.cwd(), file)}`);
+    return;
+  }
+
+  const { connectDB, disconnectDB } = require('../src/config/database');
+  await connectDB();
+
+  try {
+    if (options.command === 'status') {
+      console.log(formatStatus(await getMigrationStatus()));
+    } else if (options.command === 'up') {
+      const applied = await migrateUp({ to: options.to });
+      console.log(applied.length ? `Applied ${applied.join(', ')}` : 'No pending migrations');
+    } else {
+      const rolledBack = await migrateDown({ steps: options.steps });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.join(', ')}` : 'No applied migrations');
+    }
+  } finally {
+    await disconnectDB();
+  }
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseCommand,
+  formatStatus,
+};
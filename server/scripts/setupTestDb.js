@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// setupTestDb.js - Seed a development or test database with factory-made data
+//
+// Usage: npm run setup-test-db -- [options]
+//   --env <name>         test (default, MONGODB_TEST_URI) or development (MONGODB_URI)
+//   --users <n>          Users to create, the first one an admin (default 10)
+//   --categories <n>     Categories to create (default 5)
+//   --posts <n>          Posts to create (default 30)
+//   --seed <n>           Seed for the fake data (default 1)
+//   --reset              Empty every collection first
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const ENVIRONMENTS = ['test', 'development'];
+
+const DEFAULTS = {
+  env: 'test',
+  users: 10,
+  categories: 5,
+  posts: 30,
+  seed: 1,
+};
+
+// Share of posts in each status; the rest are drafts
+const POST_MIX = [
+  ['publishedWithLikes', 0.2],
+  ['published', 0.4],
+  ['scheduled', 0.1],
+  ['archived', 0.1],
+];
+
+/**
+ * Parse command line options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {Error} On unknown options or invalid values
+ */
+const parseOptions = (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      env: { type: 'string' },
+      users: { type: 'string' },
+      categories: { type: 'string' },
+      posts: { type: 'string' },
+      seed: { type: 'string' },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const options = { ...DEFAULTS, reset: values.reset, help: values.help };
+
+  if (values.env !== undefined) {
+    if (!ENVIRONMENTS.includes(values.env)) {
+      throw new Error(`--env must be one of ${ENVIRONMENTS.join(', ')}`);
+    }
+    options.env = values.env;
+  }
+
+  ['users', 'categories', 'posts', 'seed'].forEach((name) => {
+    if (values[name] === undefined) {
+      return;
+    }
+    const count = Number(values[name]);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`--${name} must be a non-negative integer`);
+    }
+    options[name] = count;
+  });
+
+  if (options.posts > 0 && (options.users === 0 || options.categories === 0)) {
+    throw new Error('Posts need at least one user and one category');
+  }
+
+  return options;
+};
+
+/**
+ * Trait for the post at a position, following POST_MIX
+ * @param {Number} index - Post position
+ * @param {Number} total - Number of posts
+ * @returns {String} Trait name
+ */
+const postTrait = (index, total) => {
+  let threshold = 0;
+  const position = (index + 0.5) / total;
+  const match = POST_MIX.find(([, share]) => {
+    threshold += share;
+    return position < threshold;
+  });
+  return match ? match[0] : 'draft';
+};
+
+/**
+ * Populate the connected database
+ * @param {Object} options - Options from parseOptions
+ * @returns {Promise<Object>} Number of documents created per model
+ */
+const seed = async (options) => {
+  // Loaded here rather than at the top so NODE_ENV is already set for the models
+  const mongoose = require('mongoose');
+  const {
+    userFactory,
+    categoryFactory,
+    postFactory,
+    resetFactories,
+  } = require('../tests/factories');
+
+  // Empty every collection but keep the indexes
+  if (options.reset) {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+  }
+
+  resetFactories(options.seed);
+
+  const users = [];
+  for (let index = 0; index < options.users; index += 1) {
+    users.push(await (index === 0 ? userFactory.create('admin') : userFactory.create()));
+  }
+
+  const categories = await categoryFactory.createMany(options.categories);
+
+  let posts = 0;
+  for (let index = 0; index < options.posts; index += 1) {
+    const trait = postTrait(index, options.posts);
+    const author = users[index % users.length];
+    const overrides = {
+      author: author._id,
+      category: categories[index % categories.length]._id,
+    };
+
+    // Likes come from the seeded users rather than new ones
+    if (trait === 'publishedWithLikes') {
+      overrides.likes = users
+        .filter(user => !user._id.equals(author._id))
+        .slice(0, 3)
+        .map(user => ({ user: user._id }));
+    }
+
+    await postFactory.create(trait, overrides);
+    posts += 1;
+  }
+
+  return {
+    users: users.length,
+    categories: categories.length,
+    posts,
+  };
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log('Usage: npm run setup-test-db -- [--env test|development] [--users n] [--categories n] [--posts n] [--seed n] [--reset]');
+    return;
+  }
+
+  // The database module picks its URI from NODE_ENV
+  process.env.NODE_ENV = options.env;
+  const { connectDB, disconnectDB } = require('../src/config/database');
+
+  await connectDB();
+  try {
+    const created = await seed(options);
+    console.log(`Seeded ${options.env} database${options.reset ? ' (after reset)' : ''}: `
+      + `${created.users} users, ${created.categories} categories, ${created.posts} posts`);
+  } finally {
+    await disconnectDB();
+  }
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Seeding failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseOptions,
+  postTrait,
+  seed,
+};
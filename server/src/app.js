@@ -3,15 +3,47 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+// Loaded before the routes so its query timing plugin applies to every model
+const { register, rateLimitRejectionsTotal } = require('./utils/metrics');
 const connectDB = require('./config/database');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
 const authRoutes = require('./routes/auth');
-const errorHandler = require('./middleware/errorHandler');
+const categoryRoutes = require('./routes/categories');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
+const healthRoutes = require('./routes/health');
+const docsRoutes = require('./routes/docs');
+const { errorHandler, asyncHandler } = require('./middleware/errorHandler');
+const { requestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { httpMetrics, metricsAccess } = require('./middleware/metrics');
+const { responseValidation } = require('./middleware/responseValidation');
 const logger = require('./utils/logger');
 
 const app = express();
 
+// Request ID and log context (first, so every response and log line carries it)
+app.use(requestId);
+
+// Request metrics
+app.use(httpMetrics);
+
+// Response checks against the OpenAPI document (warn or strict, off by default)
+if (process.env.OPENAPI_RESPONSE_VALIDATION) {
+  app.use(responseValidation(process.env.OPENAPI_RESPONSE_VALIDATION));
+}
+
+// Prometheus metrics endpoint (ahead of the rate limiter so scrapes never count against it)
+app.get('/metrics', metricsAccess, asyncHandler(async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}));
+
+// Health checks and probes (also ahead of the rate limiter, load balancers poll them often)
+app.use('/health', healthRoutes);
+
 // Security middleware
 app.use(helmet());
 
@@ -20,6 +52,10 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  handler: (req, res, next, options) => {
+    rateLimitRejectionsTotal.inc({ limiter: 'api' });
+    res.status(options.statusCode).send(options.message);
+  },
 });
 app.use(limiter);
 
@@ -27,11 +63,16 @@ app.use(limiter);
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:5173',
   credentials: true,
+  exposedHeaders: [REQUEST_ID_HEADER],
 }));
 
-// Logging middleware
+// Logging middleware (structured request entries when logging JSON)
 if (process.env.NODE_ENV !== 'test') {
-  app.use(morgan('combined', { stream: { write: (message) => logger.info(message.trim()) } }));
+  if (logger.logFormat === 'json') {
+    app.use(logger.logRequest);
+  } else {
+    app.use(morgan('combined', { stream: { write: (message) => logger.info(message.trim()) } }));
+  }
 }
 
 // Body parsing middleware
@@ -39,19 +80,15 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // API routes
+app.use('/api', docsRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development',
-  });
-});
+app.use('/api/categories', categoryRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/feeds', feedRoutes);
+app.use('/', seoRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -62,7 +99,18 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       posts: '/api/posts',
+      categories: '/api/categories',
+      search: '/api/search',
+      tags: '/api/tags',
+      feeds: '/feeds/rss.xml',
+      sitemap: '/sitemap.xml',
+      robots: '/robots.txt',
       health: '/health',
+      liveness: '/health/live',
+      readiness: '/health/ready',
+      metrics: '/metrics',
+      openapi: '/api/openapi.json',
+      docs: '/api/docs',
     },
   });
 });
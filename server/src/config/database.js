@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { trackConnectionPool } = require('../utils/metrics');
 
 const connectDB = async () => {
   try {
@@ -13,6 +14,7 @@ const connectDB = async () => {
     };
 
     const conn = await mongoose.connect(mongoURI, options);
+    trackConnectionPool(conn.connection.getClient());
     
     if (process.env.NODE_ENV !== 'test') {
       logger.info(`MongoDB Connected: ${conn.connection.host}`);
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { auth, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { describeInput } = require('./validators');
+const { ref, modelSchemas, commonSchemas } = require('./schemas');
+const documentedResponses = require('./responses');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+
+// Only the API and its probes are documented (not /, /metrics or the docs themselves)
+const DOCUMENTED_PREFIXES = ['/api/', '/health'];
+const UNDOCUMENTED_PREFIXES = ['/api/docs', '/api/openapi.json'];
+
+/**
+ * Recover the mount path of a router layer from its regular expression
+ * Express 4 only keeps the compiled pattern, e.g. ^\/(?:([^\/]+?))\/comments\/?(?=\/|$)
+ * @param {Object} layer - Router layer
+ * @returns {String} Mount path with :params
+ */
+const mountPath = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+
+  let keyIndex = 0;
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++].name}`)
+    .replace(/\\\//g, '/');
+};
+
+/**
+ * List every route of a router, including nested routers
+ * @param {Object} router - Express router
+ * @param {String} [prefix] - Mount path of the router
+ * @returns {Array} Routes: { method, path, handlers }
+ */
+const listRoutes = (router, prefix = '') => {
+  const routes = [];
+
+  router.stack.forEach((layer) => {
+    if (layer.route) {
+      const routePath = `${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`;
+      Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .forEach((method) => {
+          routes.push({
+            method,
+            path: routePath,
+            handlers: layer.route.stack.map(routeLayer => routeLayer.handle),
+          });
+        });
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(...listRoutes(layer.handle, `${prefix}${mountPath(layer)}`));
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * Read the @route/@desc/@access blocks of the route files
+ * @returns {Object} Descriptions keyed by "METHOD /path"
+ */
+const readRouteComments = () => {
+  const comments = {};
+
+  fs.readdirSync(ROUTES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .forEach((file) => {
+      const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+      const blocks = source.match(/\/\*\*[\s\S]*?\*\//g) || [];
+
+      blocks.forEach((block) => {
+        const route = block.match(/@route\s+(\w+)\s+(\S+)/);
+        if (!route) {
+          return;
+        }
+
+        const desc = block.match(/@desc\s+(.+)/);
+        const access = block.match(/@access\s+(.+)/);
+        comments[`${route[1].toUpperCase()} ${route[2]}`] = {
+          summary: desc ? desc[1].trim() : undefined,
+          access: access ? access[1].trim() : undefined,
+        };
+      });
+    });
+
+  return comments;
+};
+
+/**
+ * Convert an Express path to an OpenAPI path (/posts/:id -> /posts/{id})
+ * @param {String} routePath - Express path
+ * @returns {String} OpenAPI path
+ */
+const toOpenApiPath = routePath => routePath.replace(/:(\w+)/g, '{$1}');
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+/**
+ * Build the OpenAPI operation of a route
+ * @param {Object} route - Route from listRoutes
+ * @param {Object} comment - Route comment from readRouteComments
+ * @returns {Object} Operation object
+ */
+const buildOperation = (route, comment = {}) => {
+  const key = `${route.method.toUpperCase()} ${route.path}`;
+  const { pathParameters, queryParameters, body } = describeInput(route.handlers);
+  const requiresAuth = route.handlers.includes(auth);
+  const requiresAdmin = route.handlers.includes(requireAdmin);
+  const tag = route.path.startsWith('/api/') ? route.path.split('/')[2] : 'health';
+
+  const operation = {
+    tags: [tag],
+    summary: comment.summary || key,
+    operationId: `${route.method}${route.path.replace(/[/:{}-](\w)/g, (match, char) => char.toUpperCase()).replace(/\W/g, '')}`,
+  };
+
+  if (comment.access) {
+    operation.description = `Access: ${comment.access}`;
+  }
+
+  // Path params without a validator are still part of the path
+  const declared = new Set(pathParameters.map(parameter => parameter.name));
+  const implicit = (route.path.match(/:(\w+)/g) || [])
+    .map(name => name.slice(1))
+    .filter(name => !declared.has(name))
+    .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+
+  const parameters = [...implicit, ...pathParameters, ...queryParameters];
+  if (parameters.length) {
+    operation.parameters = parameters;
+  }
+
+  if (body) {
+    operation.requestBody = {
+      required: Boolean(body.required && body.required.length),
+      content: { 'application/json': { schema: body } },
+    };
+  }
+
+  if (requiresAuth) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (route.handlers.includes(optionalAuth)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  const responses = {};
+  Object.entries(documentedResponses[key] || {}).forEach(([status, schema]) => {
+    responses[status] = {
+      description: { 2: 'Success', 3: 'Redirect' }[String(status)[0]] || 'Failure',
+      content: { 'application/json': { schema } },
+    };
+  });
+
+  if (!Object.keys(responses).some(status => Number(status) < 400)) {
+    responses[200] = { description: 'Success (response schema not documented)' };
+  }
+
+  if (body || queryParameters.length || pathParameters.length) {
+    responses[400] = errorResponse('Validation error');
+  }
+  if (requiresAuth) {
+    responses[401] = errorResponse('Missing, invalid or expired token');
+  }
+  if (requiresAdmin || /admin|author/i.test(comment.access || '')) {
+    responses[403] = errorResponse('Not allowed to access this resource');
+  }
+  if (route.path.includes('/:')) {
+    responses[404] = errorResponse('Resource not found');
+  }
+  responses.default = errorResponse('Unexpected error');
+
+  operation.responses = responses;
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document of an app
+ * @param {Object} app - Express app
+ * @returns {Object} OpenAPI 3 document
+ */
+const buildOpenApiDocument = (app) => {
+  const comments = readRouteComments();
+  const paths = {};
+
+  listRoutes(app._router)
+    .filter(route => DOCUMENTED_PREFIXES.some(prefix => route.path.startsWith(prefix)))
+    .filter(route => !UNDOCUMENTED_PREFIXES.some(prefix => route.path.startsWith(prefix)))
+    .forEach((route) => {
+      const openApiPath = toOpenApiPath(route.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][route.method] = buildOperation(route, comments[`${route.method.toUpperCase()} ${route.path}`]);
+    });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'MERN Testing & Debugging API',
+      version: '1.0.0',
+      description: 'Generated from the route validators and Mongoose models',
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        ...commonSchemas,
+        ...modelSchemas(),
+      },
+    },
+  };
+};
+
+// Built once per app: routes don't change after startup
+const documents = new WeakMap();
+
+/**
+ * Get the OpenAPI document of an app, building it on first use
+ * @param {Object} app - Express app
+ * @returns {Object} OpenAPI 3 document
+ */
+const getOpenApiDocument = (app) => {
+  if (!documents.has(app)) {
+    documents.set(app, buildOpenApiDocument(app));
+  }
+  return documents.get(app);
+};
+
+/**
+ * Find the documented schema of a response
+ * @param {Object} document - OpenAPI document
+ * @param {String} method - HTTP method
+ * @param {String} routePath - Express route path (/api/posts/:id)
+ * @param {Number} status - Response status
+ * @returns {Object|null} Schema, or null if the operation is not documented
+ */
+const findResponseSchema = (document, method, routePath, status) => {
+  const pathItem = document.paths[toOpenApiPath(routePath)];
+  const operation = pathItem && pathItem[method.toLowerCase()];
+
+  if (!operation) {
+    return null;
+  }
+
+  // The default response only documents errors
+  const response = operation.responses[status] || (status >= 400 ? operation.responses.default : null);
+  const content = response && response.content && response.content['application/json'];
+  return content ? content.schema : null;
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  getOpenApiDocument,
+  findResponseSchema,
+  listRoutes,
+  toOpenApiPath,
+};
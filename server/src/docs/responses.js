@@ -0,0 +1,217 @@
+const {
+  ref,
+  array,
+  object,
+  nullable,
+  string,
+  integer,
+  number,
+  boolean,
+  dateTime,
+  objectId,
+} = require('./schemas');
+
+/**
+ * Documented success responses, keyed like the `@route` line of each handler
+ * Error responses are documented for every route from the shared Error schema
+ */
+
+const message = string;
+
+const authTokens = object({
+  message,
+  token: string,
+  refreshToken: string,
+  user: ref('User'),
+});
+
+const diffOperations = array(object({
+  type: { type: 'string', enum: ['equal', 'added', 'removed'] },
+  value: string,
+}));
+
+const countBy = name => array(object({ [name]: string, count: integer }));
+
+const userStats = object({
+  posts: object({
+    total: integer,
+    byStatus: object({
+      draft: integer,
+      scheduled: integer,
+      published: integer,
+      archived: integer,
+    }),
+  }),
+  views: object({ total: integer, average: number }),
+  likesReceived: integer,
+  commentsReceived: integer,
+  mostViewedPosts: array(object({
+    _id: objectId,
+    title: string,
+    slug: string,
+    status: string,
+    views: integer,
+    publishedAt: nullable(dateTime),
+    likeCount: integer,
+    url: string,
+    canonicalUrl: string,
+  }, ['slug', 'publishedAt', 'url', 'canonicalUrl'])),
+  topCategories: array(object({
+    // Empty when the category has since been deleted
+    category: object({
+      _id: objectId,
+      name: string,
+      slug: string,
+      color: string,
+    }, ['_id', 'name', 'slug', 'color']),
+    count: integer,
+    views: integer,
+  })),
+  topTags: countBy('tag'),
+  publishingActivity: countBy('month'),
+});
+
+module.exports = {
+  // Auth
+  'POST /api/auth/register': { 201: authTokens },
+  'POST /api/auth/login': { 200: authTokens },
+  'POST /api/auth/refresh': { 200: authTokens },
+  'POST /api/auth/logout': { 200: ref('Message') },
+  'POST /api/auth/forgot-password': { 200: ref('Message') },
+  'POST /api/auth/reset-password': { 200: ref('Message') },
+  'POST /api/auth/change-password': { 200: ref('Message') },
+
+  // Users
+  'GET /api/users': {
+    200: object({ users: array(ref('User')), pagination: ref('Pagination') }),
+  },
+  'GET /api/users/me': { 200: object({ user: ref('User') }) },
+  'PUT /api/users/me': { 200: object({ message, user: ref('User') }) },
+  'GET /api/users/me/sessions': { 200: object({ sessions: array(ref('Session')) }) },
+  'DELETE /api/users/me/sessions': { 200: object({ message, revoked: integer }) },
+  'DELETE /api/users/me/sessions/:sessionId': { 200: ref('Message') },
+  'GET /api/users/:id': { 200: object({ user: ref('User') }) },
+  'PUT /api/users/:id': { 200: object({ message, user: ref('User') }) },
+  'DELETE /api/users/:id': { 200: ref('Message') },
+  'GET /api/users/:id/sessions': { 200: object({ sessions: array(ref('Session')) }) },
+  'DELETE /api/users/:id/sessions': { 200: object({ message, revoked: integer }) },
+  'DELETE /api/users/:id/sessions/:sessionId': { 200: ref('Message') },
+  'GET /api/users/:id/stats': {
+    200: object({
+      user: ref('User'),
+      stats: userStats,
+      generatedAt: dateTime,
+      cached: boolean,
+    }),
+  },
+
+  // Posts
+  'GET /api/posts': {
+    200: object({ posts: array(ref('Post')), pagination: ref('Pagination') }),
+  },
+  'GET /api/posts/slug/:slug': {
+    200: object({ post: ref('Post') }),
+    301: object({ message, slug: string, location: string }),
+  },
+  'GET /api/posts/:id': { 200: object({ post: ref('Post') }) },
+  'POST /api/posts': { 201: object({ message, post: ref('Post') }) },
+  'PUT /api/posts/:id': { 200: object({ message, post: ref('Post') }) },
+  'DELETE /api/posts/:id': { 200: ref('Message') },
+  'POST /api/posts/:id/like': {
+    200: object({ message, likeCount: integer, isLiked: boolean }),
+  },
+
+  // Tags
+  'GET /api/tags': { 200: object({ tags: countBy('tag') }) },
+  'GET /api/tags/:tag/posts': {
+    200: object({ tag: string, posts: array(ref('Post')), pagination: ref('Pagination') }),
+  },
+  'POST /api/tags/merge': {
+    200: object({ message, from: array(string), into: string, postsUpdated: integer }),
+  },
+
+  // Search
+  'GET /api/search': {
+    200: object({
+      query: object({ terms: array(string), phrases: array(string), excluded: array(string) }),
+      results: array(object({
+        post: ref('Post'),
+        score: number,
+        highlights: object({ title: string, snippet: string, tags: array(string) }),
+      })),
+      facets: object({
+        categories: array(object({ _id: objectId, name: string, slug: string, count: integer }, ['slug'])),
+        tags: countBy('tag'),
+        authors: array(object({ _id: objectId, username: string, count: integer })),
+        years: array(object({ year: integer, count: integer })),
+      }),
+      pagination: ref('Pagination'),
+    }),
+  },
+
+  // Comments
+  'GET /api/posts/:id/comments': {
+    200: object({
+      comments: array(ref('Comment')),
+      commentCount: integer,
+      maxDepth: integer,
+    }),
+  },
+  'POST /api/posts/:id/comments': { 201: object({ message, comment: ref('Comment') }) },
+  'PUT /api/posts/:id/comments/:commentId': { 200: object({ message, comment: ref('Comment') }) },
+  'DELETE /api/posts/:id/comments/:commentId': { 200: ref('Message') },
+
+  // Revisions
+  'GET /api/posts/:id/revisions': { 200: object({ revisions: array(ref('PostRevision')) }) },
+  'GET /api/posts/:id/revisions/:revId/diff': {
+    200: object({
+      revision: ref('PostRevision'),
+      mode: { type: 'string', enum: ['line', 'word'] },
+      diff: object({
+        title: diffOperations,
+        excerpt: diffOperations,
+        content: diffOperations,
+        tags: object({ added: array(string), removed: array(string) }),
+        category: object({ from: {}, to: {}, changed: boolean }),
+      }),
+      summary: object({ added: integer, removed: integer }),
+    }),
+  },
+  'POST /api/posts/:id/revisions/:revId/restore': {
+    200: object({
+      message,
+      post: ref('Post'),
+      revision: nullable(ref('PostRevision')),
+    }),
+  },
+
+  // Categories
+  'GET /api/categories': { 200: object({ categories: array(ref('Category')) }) },
+  'GET /api/categories/:idOrSlug': { 200: object({ category: ref('Category') }) },
+  'GET /api/categories/:idOrSlug/posts': {
+    200: object({ category: ref('Category'), posts: array(ref('Post')), pagination: ref('Pagination') }),
+  },
+  'GET /api/categories/:idOrSlug/posts/:slug': { 200: object({ post: ref('Post') }) },
+  'POST /api/categories': { 201: object({ message, category: ref('Category') }) },
+  'PUT /api/categories/:id': {
+    200: object({ message, category: ref('Category'), reassigned: integer }),
+  },
+  'DELETE /api/categories/:id': { 200: object({ message, reassigned: integer }) },
+
+  // Health
+  'GET /health': {
+    200: object({
+      status: string,
+      timestamp: dateTime,
+      uptime: number,
+      environment: string,
+    }),
+  },
+  'GET /health/live': {
+    200: object({ status: string, timestamp: dateTime, uptime: number }),
+  },
+  'GET /health/ready': {
+    200: ref('Readiness'),
+    503: ref('Readiness'),
+  },
+};
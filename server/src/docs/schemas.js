@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reference a component schema
+ * @param {String} name - Component name
+ * @returns {Object} Schema
+ */
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Array schema
+ * @param {Object} items - Item schema
+ * @returns {Object} Schema
+ */
+const array = items => ({ type: 'array', items });
+
+/**
+ * Object schema whose properties are all required unless listed as optional
+ * @param {Object} properties - Property schemas
+ * @param {Array} [optional] - Names of properties that may be missing
+ * @returns {Object} Schema
+ */
+const object = (properties, optional = []) => {
+  const required = Object.keys(properties).filter(name => !optional.includes(name));
+  const schema = { type: 'object', properties };
+  if (required.length) {
+    schema.required = required;
+  }
+  return schema;
+};
+
+/**
+ * Allow null in addition to a schema
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema
+ */
+const nullable = schema => (schema.$ref
+  ? { anyOf: [schema], nullable: true }
+  : { ...schema, nullable: true });
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+const objectId = ref('ObjectId');
+
+// A reference that may or may not have been populated
+const refOrId = name => ({ anyOf: [objectId, ref(name)] });
+
+/**
+ * Convert one Mongoose schema type to a JSON schema
+ * @param {Object} type - Mongoose SchemaType
+ * @returns {Object} Schema
+ */
+const schemaTypeToJson = (type) => {
+  const { options = {} } = type;
+  let schema;
+
+  switch (type.instance) {
+    case 'String':
+      schema = { type: 'string' };
+      if (options.enum) schema.enum = Array.isArray(options.enum) ? options.enum : options.enum.values;
+      break;
+    case 'Number':
+      schema = { type: 'number' };
+      break;
+    case 'Boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'Date':
+      schema = { ...dateTime };
+      break;
+    case 'ObjectId':
+      schema = options.ref ? refOrId(options.ref) : { ...objectId };
+      break;
+    case 'Array':
+      if (type.schema) {
+        schema = array(mongooseToJsonSchema(type.schema));
+      } else {
+        schema = array(type.caster ? schemaTypeToJson(type.caster) : {});
+      }
+      break;
+    case 'Embedded':
+      schema = mongooseToJsonSchema(type.schema);
+      break;
+    default:
+      schema = {};
+  }
+
+  if (!type.isRequired && type.instance !== 'Array') {
+    schema = nullable(schema);
+  }
+
+  return schema;
+};
+
+/**
+ * Convert a Mongoose schema to a JSON schema
+ * Only `_id` is required: responses project and populate fields freely
+ * @param {Object} schema - Mongoose schema
+ * @returns {Object} Schema
+ */
+const mongooseToJsonSchema = (schema) => {
+  const result = { type: 'object', properties: {} };
+
+  schema.eachPath((path, type) => {
+    if (path === '__v' || type.options.select === false) {
+      return;
+    }
+
+    // Nested paths (settings.theme) become nested objects
+    const segments = path.split('.');
+    let target = result;
+    segments.slice(0, -1).forEach((segment) => {
+      target.properties[segment] = target.properties[segment] || { type: 'object', properties: {} };
+      target = target.properties[segment];
+    });
+
+    target.properties[segments[segments.length - 1]] = path === '_id' ? objectId : schemaTypeToJson(type);
+  });
+
+  if (result.properties._id) {
+    result.required = ['_id'];
+    result.properties.id = string;
+  }
+
+  return result;
+};
+
+// Virtuals and serialization quirks the Mongoose schemas can't tell us about
+const modelExtensions = {
+  User: {
+    fullName: string,
+  },
+  Post: {
+    likeCount: integer,
+    readingTime: integer,
+    // Site path and absolute link of the post page, absent when slug wasn't selected
+    url: string,
+    canonicalUrl: string,
+  },
+  Category: {
+    postCount: integer,
+  },
+  Comment: {
+    // Deleted comments keep their place in the thread but lose content and author
+    content: nullable(string),
+    author: nullable(refOrId('User')),
+    replies: array(ref('Comment')),
+  },
+  Session: {
+    deviceName: string,
+    isActive: boolean,
+    current: boolean,
+  },
+};
+
+const DOCUMENTED_MODELS = ['User', 'Post', 'Category', 'Comment', 'PostRevision', 'Session'];
+
+/**
+ * Build component schemas for the documented models
+ * @returns {Object} Component schemas by model name
+ */
+const modelSchemas = () => {
+  const schemas = {};
+
+  DOCUMENTED_MODELS.forEach((name) => {
+    const schema = mongooseToJsonSchema(mongoose.model(name).schema);
+    Object.assign(schema.properties, modelExtensions[name]);
+    schemas[name] = schema;
+  });
+
+  return schemas;
+};
+
+// Schemas shared by many responses
+const commonSchemas = {
+  ObjectId: {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$',
+  },
+  // Page numbers in offset mode, cursors in cursor mode; totals unless includeTotal=false
+  Pagination: object({
+    current: integer,
+    total: integer,
+    hasNext: boolean,
+    hasPrev: boolean,
+    limit: integer,
+    totalItems: integer,
+    nextCursor: nullable(string),
+    prevCursor: nullable(string),
+  }, ['current', 'total', 'totalItems', 'nextCursor', 'prevCursor']),
+  Error: object({
+    error: string,
+    message: string,
+    status: integer,
+    timestamp: dateTime,
+    path: string,
+    method: string,
+    details: {},
+    requestId: string,
+    stack: string,
+  }, ['message', 'status', 'timestamp', 'path', 'method', 'details', 'requestId', 'stack']),
+  Message: object({ message: string }),
+  Readiness: object({
+    status: { type: 'string', enum: ['ready', 'not_ready'] },
+    shuttingDown: boolean,
+    timestamp: dateTime,
+    checks: {
+      type: 'object',
+      additionalProperties: object({
+        status: { type: 'string', enum: ['ok', 'fail', 'skipped'] },
+      }),
+    },
+  }),
+};
+
+module.exports = {
+  ref,
+  array,
+  object,
+  nullable,
+  string,
+  integer,
+  number,
+  boolean,
+  dateTime,
+  objectId,
+  refOrId,
+  mongooseToJsonSchema,
+  modelSchemas,
+  commonSchemas,
+};
@@ -0,0 +1,138 @@
+// Enough of JSON schema / OpenAPI 3.0 to check our own responses against our own document
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Resolve a local $ref (#/components/schemas/Post)
+ * @param {Object} document - Document holding the components
+ * @param {String} pointer - Reference
+ * @returns {Object} Referenced schema
+ */
+const resolveRef = (document, pointer) => {
+  const target = pointer
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), document);
+
+  if (!target) {
+    throw new Error(`Unresolved schema reference ${pointer}`);
+  }
+  return target;
+};
+
+/**
+ * JSON type of a value, telling integers and null apart
+ * @param {*} value - Value
+ * @returns {String} Type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (expected, actual) => expected === actual
+  || (expected === 'number' && actual === 'integer');
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {Object} [document] - Document used to resolve $ref
+ * @param {String} [path] - Location of the value, for messages
+ * @returns {Array} Violations: { path, message }
+ */
+const validateSchema = (schema, value, document = {}, path = '$') => {
+  if (!schema) {
+    return [];
+  }
+
+  if (schema.$ref) {
+    return validateSchema(resolveRef(document, schema.$ref), value, document, path);
+  }
+
+  // An empty schema accepts anything, null included
+  const constrained = Boolean(schema.type || schema.anyOf || schema.oneOf || schema.enum);
+  if (value === null) {
+    return schema.nullable || !constrained
+      ? []
+      : [{ path, message: 'must not be null' }];
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const failures = options.map(option => validateSchema(option, value, document, path));
+    if (failures.some(errors => !errors.length)) {
+      return [];
+    }
+    // Report the closest alternative: one whose type matched, with the fewest violations
+    const distance = errors => (errors.some(error => error.path === path) ? Infinity : errors.length);
+    return failures.reduce((best, errors) => (distance(errors) < distance(best) ? errors : best));
+  }
+
+  const actual = typeOf(value);
+  if (schema.type && !matchesType(schema.type, actual)) {
+    return [{ path, message: `expected ${schema.type}, got ${actual}` }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && !DATE_TIME.test(value)) {
+      errors.push({ path, message: 'must be a date-time' });
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, document, `${path}[${index}]`));
+    });
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (propertyValue === undefined) {
+        return;
+      }
+
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, document, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${name}`, message: 'is not documented' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, document, `${path}.${name}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Format violations one per line
+ * @param {Array} errors - Violations from validateSchema
+ * @returns {String} Readable list
+ */
+const formatViolations = errors => errors.map(error => `${error.path} ${error.message}`).join('\n');
+
+module.exports = {
+  validateSchema,
+  formatViolations,
+  resolveRef,
+};
@@ -0,0 +1,203 @@
+const { getChainCalls } = require('../utils/validation');
+
+// JSON schema equivalents of the chain methods our routes use, keyed by method name
+const VALIDATOR_SCHEMAS = {
+  isLength: ([options = {}]) => ({ type: 'string', minLength: options.min, maxLength: options.max }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  isMongoId: () => ({ type: 'string', pattern: '^[0-9a-fA-F]{24}$' }),
+  isISO8601: () => ({ type: 'string', format: 'date-time' }),
+  isBase64: ([options = {}]) => ({ type: 'string', pattern: options.urlSafe ? '^[A-Za-z0-9_-]*$' : '^[A-Za-z0-9+/]*={0,2}$' }),
+  isIn: ([values]) => ({ enum: values }),
+  isInt: ([options = {}]) => ({ type: 'integer', minimum: options.min, maximum: options.max }),
+  isFloat: ([options = {}]) => ({ type: 'number', minimum: options.min, maximum: options.max }),
+  isNumeric: () => ({ type: 'number' }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isArray: ([options = {}]) => ({ type: 'array', minItems: options.min, maxItems: options.max }),
+  isObject: () => ({ type: 'object' }),
+  isString: () => ({ type: 'string' }),
+  notEmpty: () => ({ minLength: 1 }),
+  // JSON schema patterns have no flags, so flagged expressions are left to the description
+  matches: ([pattern, modifiers]) => {
+    const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    const flags = pattern instanceof RegExp ? pattern.flags : modifiers;
+    return flags ? {} : { type: 'string', pattern: source };
+  },
+};
+
+// The same methods after .not()
+const NEGATED_VALIDATOR_SCHEMAS = {
+  isEmpty: () => ({ minLength: 1 }),
+};
+
+/**
+ * Drop keys whose value is undefined
+ * @param {Object} schema - Schema
+ * @returns {Object} Schema
+ */
+const compact = schema => Object.fromEntries(
+  Object.entries(schema).filter(([, value]) => value !== undefined),
+);
+
+/**
+ * Check whether a route handler is an express-validator chain
+ * @param {Function} handler - Route handler
+ * @returns {Boolean} Whether it is a validation chain
+ */
+const isValidationChain = handler => Boolean(handler && handler.builder && typeof handler.builder.build === 'function');
+
+/**
+ * Describe one validation chain
+ * Fields, locations and optionality come from the built context; checks and messages
+ * from the calls recorded by utils/validation (chains built elsewhere get no schema)
+ * @param {Function} chain - express-validator chain
+ * @returns {Object} Fields, locations, schema, requirement and messages
+ */
+const describeChain = (chain) => {
+  const context = chain.builder.build();
+  const calls = getChainCalls(chain) || [];
+  const conditional = calls.some(({ method }) => method === 'if');
+  let schema = {};
+  let negated = false;
+  const messages = [];
+
+  calls.forEach(({ method, args }) => {
+    if (method === 'withMessage') {
+      if (typeof args[0] === 'string' && !messages.includes(args[0])) {
+        messages.push(args[0]);
+      }
+      return;
+    }
+
+    if (method === 'not') {
+      negated = true;
+      return;
+    }
+
+    const table = negated ? NEGATED_VALIDATOR_SCHEMAS : VALIDATOR_SCHEMAS;
+    const toSchema = table[method];
+    if (toSchema) {
+      schema = { ...schema, ...compact(toSchema(args)) };
+    }
+    negated = false;
+  });
+
+  return {
+    fields: context.fields,
+    locations: context.locations,
+    required: context.optional === false && !conditional,
+    schema,
+    messages,
+  };
+};
+
+/**
+ * Merge a field description into a parameter map
+ * Several chains may validate the same field; their checks add up
+ * @param {Object} map - Descriptions by field
+ * @param {String} field - Field name
+ * @param {Object} description - Chain description
+ */
+const mergeField = (map, field, description) => {
+  const existing = map[field] || { schema: {}, required: false, messages: [] };
+
+  map[field] = {
+    schema: { ...existing.schema, ...description.schema },
+    required: existing.required || description.required,
+    messages: [...existing.messages, ...description.messages.filter(msg => !existing.messages.includes(msg))],
+  };
+};
+
+/**
+ * Schema of a field, with its validation messages as description
+ * @param {Object} description - Field description
+ * @returns {Object} Schema
+ */
+const fieldSchema = (description) => {
+  const schema = { ...description.schema };
+  if (description.messages.length) {
+    schema.description = description.messages.join('. ');
+  }
+  return schema;
+};
+
+/**
+ * Add a field description to an object schema, following dotted and wildcard paths
+ * @param {Object} schema - Object schema to extend
+ * @param {String} field - Field path (settings.theme, tags.*)
+ * @param {Object} description - Field description
+ */
+const addProperty = (schema, field, description) => {
+  const segments = field.split('.');
+  let target = schema;
+
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+
+    if (segment === '*') {
+      target.type = 'array';
+      target.items = target.items || { type: 'object', properties: {} };
+      if (isLast) {
+        Object.assign(target.items, description.schema);
+      }
+      target = target.items;
+      return;
+    }
+
+    target.type = target.type || 'object';
+    target.properties = target.properties || {};
+    target.properties[segment] = target.properties[segment] || {};
+
+    if (isLast) {
+      Object.assign(target.properties[segment], fieldSchema(description));
+      if (description.required) {
+        target.required = [...new Set([...(target.required || []), segment])];
+      }
+    }
+
+    target = target.properties[segment];
+  });
+};
+
+/**
+ * Describe the input of a route from its validation chains
+ * @param {Array} handlers - Route handlers
+ * @returns {Object} Path and query fields, and the request body schema (or null)
+ */
+const describeInput = (handlers) => {
+  const fields = { params: {}, query: {}, body: {} };
+
+  handlers.filter(isValidationChain).forEach((chain) => {
+    const description = describeChain(chain);
+    description.locations.forEach((location) => {
+      if (fields[location]) {
+        description.fields.forEach(field => mergeField(fields[location], field, description));
+      }
+    });
+  });
+
+  let body = null;
+  if (Object.keys(fields.body).length) {
+    body = { type: 'object', properties: {} };
+    Object.entries(fields.body).forEach(([field, description]) => addProperty(body, field, description));
+  }
+
+  const toParameters = (location, map) => Object.entries(map).map(([name, description]) => ({
+    name,
+    in: location,
+    required: location === 'path' || description.required,
+    schema: fieldSchema(description),
+  }));
+
+  return {
+    pathParameters: toParameters('path', fields.params),
+    queryParameters: toParameters('query', fields.query),
+    body,
+  };
+};
+
+module.exports = {
+  describeInput,
+  describeChain,
+  isValidationChain,
+};
@@ -0,0 +1,166 @@
+const os = require('os');
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Lease = require('../models/Lease');
+const { invalidateUserStats } = require('../utils/userStats');
+const { onShutdown, removeShutdownHook } = require('../utils/shutdown');
+const logger = require('../utils/logger');
+
+const LEASE_NAME = 'publish-scheduler';
+const BATCH_SIZE = 100;
+
+const INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+
+// Outlive one interval so a slow run keeps its lease, but not much longer
+const LEASE_TTL_MS = INTERVAL_MS * 2;
+
+// Identifies this process when several instances compete for the lease
+const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let timer = null;
+let running = false;
+
+const status = {
+  started: false,
+  startedAt: null,
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastError: null,
+  publishedCount: 0,
+};
+
+/**
+ * Publish every scheduled post whose time has come
+ * Posts are flipped one by one with a status guard, so a post is never
+ * published twice even if two instances run at the same moment
+ * @param {Date} [now] - Reference time
+ * @returns {Number} Number of posts published
+ */
+const publishDuePosts = async (now = new Date()) => {
+  let published = 0;
+
+  for (;;) {
+    const duePosts = await Post.find({
+      status: 'scheduled',
+      scheduledFor: { $lte: now },
+    })
+      .select('_id title author scheduledFor')
+      .sort({ scheduledFor: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const post of duePosts) {
+      const result = await Post.updateOne(
+        { _id: post._id, status: 'scheduled' },
+        { $set: { status: 'published', publishedAt: post.scheduledFor } }
+      );
+
+      if (result.modifiedCount > 0) {
+        published += 1;
+        invalidateUserStats(post.author);
+        logger.info(`Scheduled post published: ${post.title}`);
+      }
+    }
+
+    if (duePosts.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Run one scheduler tick if this instance holds the lease
+ * @returns {Number} Number of posts published
+ */
+const runOnce = async () => {
+  if (running) {
+    return 0;
+  }
+
+  running = true;
+  status.lastRunAt = new Date();
+
+  try {
+    const isLeader = await Lease.acquire(LEASE_NAME, owner, LEASE_TTL_MS);
+    if (!isLeader) {
+      status.lastSuccessAt = new Date();
+      return 0;
+    }
+
+    const published = await publishDuePosts();
+    status.publishedCount += published;
+    status.lastSuccessAt = new Date();
+    status.lastError = null;
+    return published;
+  } catch (error) {
+    status.lastError = error.message;
+    logger.logError(error);
+    return 0;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the scheduler
+ * The first tick runs immediately to catch up on posts that came due
+ * while no server was running
+ */
+const startScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  status.started = true;
+  status.startedAt = new Date();
+  timer = setInterval(runOnce, INTERVAL_MS);
+  timer.unref();
+  runOnce();
+
+  onShutdown(LEASE_NAME, stopScheduler);
+
+  logger.info(`Publish scheduler started (every ${INTERVAL_MS}ms)`);
+};
+
+/**
+ * Stop the scheduler and hand the lease to another instance
+ */
+const stopScheduler = async () => {
+  if (!timer) {
+    return;
+  }
+
+  clearInterval(timer);
+  timer = null;
+  removeShutdownHook(LEASE_NAME, stopScheduler);
+  status.started = false;
+  status.startedAt = null;
+
+  try {
+    await Lease.release(LEASE_NAME, owner);
+  } catch (error) {
+    logger.logError(error);
+  }
+
+  logger.info('Publish scheduler stopped');
+};
+
+/**
+ * Get the scheduler state
+ * @returns {Object} Scheduler status
+ */
+const getSchedulerStatus = () => ({
+  ...status,
+  intervalMs: INTERVAL_MS,
+  owner,
+});
+
+module.exports = {
+  publishDuePosts,
+  runOnce,
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus,
+};
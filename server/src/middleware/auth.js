@@ -1,9 +1,10 @@
-const { extractToken, getUserFromToken } = require('../utils/auth');
+const { extractToken, authenticateToken } = require('../utils/auth');
+const { setContextValue } = require('../utils/requestContext');
 const logger = require('../utils/logger');
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token and attaches user and session ID to request
  */
 const auth = async (req, res, next) => {
   try {
@@ -16,8 +17,10 @@ const auth = async (req, res, next) => {
       });
     }
     
-    const user = await getUserFromToken(token);
+    const { user, sessionId } = await authenticateToken(token);
     req.user = user;
+    req.sessionId = sessionId;
+    setContextValue('userId', user.id);
     next();
   } catch (error) {
     logger.logError(error, req);
@@ -27,6 +30,8 @@ const auth = async (req, res, next) => {
     
     if (error.message === 'User not found') {
       message = 'User not found';
+    } else if (error.message === 'Session revoked') {
+      message = 'Session revoked';
     } else if (error.message === 'User account is deactivated') {
       statusCode = 403;
       message = 'Account deactivated';
@@ -48,8 +53,10 @@ const optionalAuth = async (req, res, next) => {
     const token = extractToken(req);
     
     if (token) {
-      const user = await getUserFromToken(token);
+      const { user, sessionId } = await authenticateToken(token);
       req.user = user;
+      req.sessionId = sessionId;
+      setContextValue('userId', user.id);
     }
     
     next();
@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { errorsTotal } = require('../utils/metrics');
 
 /**
  * Global error handling middleware
@@ -15,10 +16,12 @@ const errorHandler = (err, req, res, next) => {
   let statusCode = 500;
   let message = 'Internal Server Error';
   let details = null;
+  let errorType = 'InternalError';
   
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     statusCode = 400;
+    errorType = 'CastError';
     message = 'Invalid resource ID format';
     details = 'The provided ID is not a valid MongoDB ObjectId';
   }
@@ -26,6 +29,7 @@ const errorHandler = (err, req, res, next) => {
   // Mongoose duplicate key error
   if (err.code === 11000) {
     statusCode = 400;
+    errorType = 'DuplicateKey';
     message = 'Duplicate field value';
     const field = Object.keys(err.keyValue)[0];
     const value = err.keyValue[field];
@@ -35,6 +39,7 @@ const errorHandler = (err, req, res, next) => {
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     statusCode = 400;
+    errorType = 'ValidationError';
     message = 'Validation Error';
     const errors = Object.values(err.errors).map(val => val.message);
     details = errors;
@@ -43,6 +48,7 @@ const errorHandler = (err, req, res, next) => {
   // JWT error
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
+    errorType = 'JsonWebTokenError';
     message = 'Invalid token';
     details = 'Please provide a valid authentication token';
   }
@@ -50,6 +56,7 @@ const errorHandler = (err, req, res, next) => {
   // JWT expired error
   if (err.name === 'TokenExpiredError') {
     statusCode = 401;
+    errorType = 'TokenExpiredError';
     message = 'Token expired';
     details = 'Please log in again';
   }
@@ -57,6 +64,7 @@ const errorHandler = (err, req, res, next) => {
   // Express validator error
   if (err.type === 'ValidationError' && err.errors) {
     statusCode = 400;
+    errorType = 'RequestValidationError';
     message = 'Validation Error';
     details = err.errors.map(error => ({
       field: error.param,
@@ -68,12 +76,14 @@ const errorHandler = (err, req, res, next) => {
   // File upload errors
   if (err.code === 'LIMIT_FILE_SIZE') {
     statusCode = 400;
+    errorType = 'FileTooLarge';
     message = 'File too large';
     details = 'Please upload a smaller file';
   }
   
   if (err.code === 'LIMIT_UNEXPECTED_FILE') {
     statusCode = 400;
+    errorType = 'UnexpectedFile';
     message = 'Unexpected file field';
     details = 'Please check the file upload field name';
   }
@@ -81,6 +91,7 @@ const errorHandler = (err, req, res, next) => {
   // Database connection errors
   if (err.name === 'MongoNetworkError' || err.name === 'MongoTimeoutError') {
     statusCode = 503;
+    errorType = 'DatabaseUnavailable';
     message = 'Database connection error';
     details = 'Service temporarily unavailable';
   }
@@ -88,6 +99,7 @@ const errorHandler = (err, req, res, next) => {
   // Rate limiting error
   if (err.status === 429) {
     statusCode = 429;
+    errorType = 'RateLimit';
     message = 'Too many requests';
     details = 'Please try again later';
   }
@@ -95,10 +107,13 @@ const errorHandler = (err, req, res, next) => {
   // Custom application errors
   if (err.isOperational) {
     statusCode = err.statusCode || 400;
+    errorType = 'AppError';
     message = err.message;
     details = err.details || null;
   }
   
+  errorsTotal.inc({ type: errorType, status: statusCode });
+  
   // Build error response
   const errorResponse = {
     error: message,
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const {
+  httpRequestsTotal,
+  httpRequestDuration,
+  routeTemplate,
+} = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Scrapers allowed without a token when METRICS_ALLOWED_IPS is not set
+const DEFAULT_ALLOWED_IPS = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Logged once, on the first scrape refused for lack of configuration
+let reportedUnconfigured = false;
+
+/**
+ * HTTP metrics middleware
+ * Counts requests and records their latency, labelled by route template and status
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  let matchedRoute;
+  let template = 'unmatched';
+
+  // Resolve the template when Express matches a route; by the time the
+  // response finishes, nested routers have restored the parent params
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matchedRoute,
+    set: (route) => {
+      matchedRoute = route;
+      template = routeTemplate(req);
+    },
+  });
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: template,
+      status: res.statusCode,
+    };
+
+    httpRequestsTotal.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
+
+/**
+ * Compare two secrets in constant time
+ * @param {String} given - Secret from the request
+ * @param {String} expected - Configured secret
+ * @returns {Boolean} Whether they match
+ */
+const secretsMatch = (given, expected) => {
+  const givenBuffer = Buffer.from(String(given));
+  const expectedBuffer = Buffer.from(expected);
+  return givenBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(givenBuffer, expectedBuffer);
+};
+
+/**
+ * Metrics access middleware
+ * Allows scrapers presenting METRICS_TOKEN as a bearer token, or connecting
+ * from an address in METRICS_ALLOWED_IPS (loopback only by default). In
+ * production there is no default: behind a proxy on the same host every
+ * client would look like loopback, so one of the two must be configured.
+ */
+const metricsAccess = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  const authHeader = req.get('Authorization');
+
+  if (token && authHeader && authHeader.startsWith('Bearer ') && secretsMatch(authHeader.slice(7), token)) {
+    return next();
+  }
+
+  if (!token && !process.env.METRICS_ALLOWED_IPS && process.env.NODE_ENV === 'production') {
+    if (!reportedUnconfigured) {
+      reportedUnconfigured = true;
+      logger.error('Refusing /metrics: set METRICS_TOKEN or METRICS_ALLOWED_IPS to expose metrics in production');
+    }
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Metrics access is not configured',
+    });
+  }
+
+  const allowedIps = process.env.METRICS_ALLOWED_IPS
+    ? process.env.METRICS_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_IPS;
+
+  if (allowedIps.includes(req.ip)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Access denied',
+    message: 'Metrics are not available to this client',
+  });
+};
+
+module.exports = {
+  httpMetrics,
+  metricsAccess,
+};
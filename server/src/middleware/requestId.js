@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept caller-supplied IDs only if they are short and log-safe
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses an incoming X-Request-Id or generates one, echoes it in the response
+ * and runs the rest of the request inside a context that carries it
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+
+  runWithContext({ requestId: id }, next);
+};
+
+module.exports = {
+  requestId,
+  REQUEST_ID_HEADER,
+};
@@ -0,0 +1,117 @@
+const logger = require('../utils/logger');
+const { routeTemplate } = require('../utils/metrics');
+const { getOpenApiDocument, findResponseSchema, toOpenApiPath } = require('../docs/openapi');
+const { validateSchema, formatViolations, resolveRef } = require('../docs/validateSchema');
+
+const MODES = ['warn', 'strict'];
+
+// Violations seen since the last clear, for test suites to assert on
+let violations = [];
+
+/**
+ * Schema a response should match
+ * @param {Object} document - OpenAPI document
+ * @param {Object} req - Express request
+ * @param {Number} status - Response status
+ * @returns {Object} { route, documented, schema }
+ */
+const expectedSchema = (document, req, status) => {
+  const route = routeTemplate(req).replace(/\/$/, '') || '/';
+  const pathItem = document.paths[toOpenApiPath(route)];
+  const documented = Boolean(pathItem && pathItem[req.method.toLowerCase()]);
+  const schema = documented ? findResponseSchema(document, req.method, route, status) : null;
+
+  // Every error shares the same envelope, whether or not the route is documented
+  if (!schema && status >= 400) {
+    return { route, documented: true, schema: resolveRef(document, '#/components/schemas/Error') };
+  }
+
+  return { route, documented, schema };
+};
+
+/**
+ * Check JSON responses against the OpenAPI document
+ * In `warn` mode drift is logged; in `strict` mode the response is replaced with a 500
+ * so a test asserting on the original response fails
+ * @param {String} mode - warn or strict
+ * @returns {Function} Express middleware
+ */
+const responseValidation = (mode = 'warn') => {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown response validation mode "${mode}" (expected ${MODES.join(' or ')})`);
+  }
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    let checked = false;
+
+    res.json = (body) => {
+      if (checked) {
+        return json(body);
+      }
+      checked = true;
+
+      const document = getOpenApiDocument(req.app);
+      const status = res.statusCode;
+      const { route, documented, schema } = expectedSchema(document, req, status);
+
+      // Routes outside the document (/, /metrics) are not checked
+      if (!documented) {
+        return json(body);
+      }
+
+      // Compare what will actually be sent, after toJSON transforms
+      const payload = JSON.parse(JSON.stringify(body === undefined ? null : body));
+      const errors = schema
+        ? validateSchema(schema, payload, document)
+        : [{ path: '$', message: `no schema documented for status ${status}` }];
+
+      if (!errors.length) {
+        return json(body);
+      }
+
+      const violation = {
+        method: req.method,
+        route,
+        status,
+        errors,
+      };
+      violations.push(violation);
+
+      logger.warn(`Response of ${req.method} ${route} (${status}) does not match the OpenAPI document\n${formatViolations(errors)}`, {
+        route,
+        status,
+      });
+
+      if (mode === 'strict') {
+        return res.status(500).json({
+          error: 'Response does not match the OpenAPI document',
+          details: violation,
+        });
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+/**
+ * Responses that drifted from the document since the last clear
+ * @returns {Array} Violations: { method, route, status, errors }
+ */
+const getResponseViolations = () => [...violations];
+
+/**
+ * Forget recorded violations
+ */
+const clearResponseViolations = () => {
+  violations = [];
+};
+
+module.exports = {
+  responseValidation,
+  getResponseViolations,
+  clearResponseViolations,
+};
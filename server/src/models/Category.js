@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { uniqueSlug } = require('../utils/slug');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -37,17 +38,18 @@ const categorySchema = new mongoose.Schema({
 categorySchema.index({ name: 1 });
 categorySchema.index({ slug: 1 });
 
-// Generate slug from name before saving
-categorySchema.pre('save', function(next) {
-  if (this.isModified('name')) {
-    this.slug = this.name
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+// Generate a unique slug from name before saving
+categorySchema.pre('save', async function() {
+  // Set by saveWithUniqueSlug when another category took the slug first
+  const { slugConflict } = this.$locals;
+  if (this.isModified('name') || !this.slug || slugConflict) {
+    this.slug = await uniqueSlug(this.constructor, this.name, {
+      document: this,
+      fallback: 'category',
+      keepCurrent: !slugConflict,
+    });
+    this.$locals.slugConflict = false;
   }
-  next();
 });
 
 // Virtual for post count (will be populated when needed)
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Deepest reply level allowed; top-level comments have depth 0
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 3;
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [COMMENT_MAX_DEPTH, `Replies cannot be nested deeper than ${COMMENT_MAX_DEPTH} levels`],
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+// Instance method to soft delete while keeping the thread's shape
+commentSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Hide content and author of deleted comments
+commentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.isDeleted) {
+      ret.content = null;
+      ret.author = null;
+    }
+    return ret;
+  },
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+Comment.MAX_DEPTH = COMMENT_MAX_DEPTH;
+
+module.exports = Comment;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A named, time-limited lock shared by every server instance
+const leaseSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Lease name is required'],
+  },
+  owner: {
+    type: String,
+    required: [true, 'Lease owner is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Acquire or renew a lease
+ * Succeeds when the lease is free, expired or already held by `owner`
+ * @param {String} name - Lease name
+ * @param {String} owner - Unique ID of the caller
+ * @param {Number} ttlMs - How long the lease is held without renewal
+ * @returns {Boolean} Whether the caller now holds the lease
+ */
+leaseSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lease = await this.findOneAndUpdate(
+      { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lease.owner === owner;
+  } catch (error) {
+    // Another owner holds a live lease, so the upsert hit the unique _id
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a lease held by `owner`
+ * @param {String} name - Lease name
+ * @param {String} owner - Unique ID of the caller
+ * @returns {Boolean} Whether a lease was released
+ */
+leaseSchema.statics.release = async function(name, owner) {
+  const result = await this.deleteOne({ _id: name, owner });
+  return result.deletedCount > 0;
+};
+
+module.exports = mongoose.model('Lease', leaseSchema);
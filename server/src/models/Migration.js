@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One document per applied migration, named after its file
+const migrationSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Migration name is required'],
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  durationMs: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  collection: 'migrations',
+  versionKey: false,
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const SlugHistory = require('./SlugHistory');
+const { uniqueSlug } = require('../utils/slug');
+const { postUrls } = require('../utils/urls');
+const { CONTENT_FORMATS, renderContent, htmlToText } = require('../utils/markdown');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -13,6 +17,22 @@ const postSchema = new mongoose.Schema({
     required: [true, 'Content is required'],
     minlength: [10, 'Content must be at least 10 characters long'],
   },
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'markdown',
+  },
+  // Rendered from content on save, never set directly
+  contentHtml: {
+    type: String,
+    default: '',
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    id: String,
+    text: String,
+  }],
   excerpt: {
     type: String,
     maxlength: [500, 'Excerpt cannot exceed 500 characters'],
@@ -44,7 +64,7 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft',
   },
   views: {
@@ -52,6 +72,11 @@ const postSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -75,30 +100,83 @@ const postSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-postSchema.index({ title: 'text', content: 'text' });
+// Full-text search ranks title matches above tags, excerpt and content
+postSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  { name: 'post_text', weights: { title: 10, tags: 5, excerpt: 3, content: 1 } }
+);
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, status: 1 });
 postSchema.index({ slug: 1 });
+postSchema.index({ tags: 1, status: 1 });
 postSchema.index({ status: 1, publishedAt: -1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
 
-// Generate slug from title before saving
+// Scheduled posts need a publication date
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.scheduledFor) {
+    this.invalidate('scheduledFor', 'Scheduled posts require a scheduledFor date');
+  }
+  next();
+});
+
+// Generate a unique slug from title before saving
+postSchema.pre('save', async function() {
+  // Set by saveWithUniqueSlug when another post took the slug first
+  const { slugConflict } = this.$locals;
+  if (!this.isModified('title') && this.slug && !slugConflict) {
+    return;
+  }
+
+  const slug = await uniqueSlug(this.constructor, this.title, {
+    document: this,
+    fallback: 'post',
+    keepCurrent: !slugConflict,
+  });
+  this.$locals.slugConflict = false;
+
+  if (slug !== this.slug) {
+    // Remembered after the save succeeds, see below; a retry keeps the first one
+    if (!this.$locals.slugChanged) {
+      this.$locals.previousSlug = this.isNew ? null : this.slug;
+    }
+    this.$locals.slugChanged = true;
+    this.slug = slug;
+  }
+});
+
+// Keep renamed posts reachable under their old slug
+postSchema.post('save', async function() {
+  if (!this.$locals.slugChanged) {
+    return;
+  }
+
+  const { previousSlug } = this.$locals;
+  this.$locals.slugChanged = false;
+  this.$locals.previousSlug = null;
+
+  // The new slug may have belonged to another post once; it is this post's now
+  await SlugHistory.deleteOne({ slug: this.slug });
+  if (previousSlug) {
+    await SlugHistory.record(previousSlug, this._id);
+  }
+});
+
+// Render content to sanitized HTML and its table of contents
 postSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+  if (this.isModified('content') || this.isModified('contentFormat') || !this.contentHtml) {
+    const { html, toc } = renderContent(this.content, this.contentFormat);
+    this.contentHtml = html;
+    this.toc = toc;
   }
   next();
 });
 
-// Generate excerpt from content if not provided
+// Generate excerpt from the rendered content if not provided
 postSchema.pre('save', function(next) {
-  if (!this.excerpt && this.content) {
-    // Strip HTML tags and get first 150 characters
-    const plainText = this.content.replace(/<[^>]*>/g, '');
+  if (!this.excerpt && this.contentHtml) {
+    // First 150 characters of the text readers see
+    const plainText = htmlToText(this.contentHtml);
     this.excerpt = plainText.substring(0, 150) + (plainText.length > 150 ? '...' : '');
   }
   next();
@@ -125,12 +203,40 @@ postSchema.virtual('readingTime').get(function() {
   return time;
 });
 
+// Virtuals for the public links of the post
+postSchema.virtual('url').get(function() {
+  return postUrls(this).url;
+});
+
+postSchema.virtual('canonicalUrl').get(function() {
+  return postUrls(this).canonicalUrl;
+});
+
 // Instance method to increment views
 postSchema.methods.incrementViews = function() {
   this.views += 1;
   return this.save();
 };
 
+// Instance method to check if the post was written by a user
+postSchema.methods.isAuthoredBy = function(user) {
+  return Boolean(user) && String(this.author._id || this.author) === String(user._id);
+};
+
+// Instance method to check if a user may read the post (drafts: author and admins only)
+postSchema.methods.isVisibleTo = function(user) {
+  return this.status === 'published'
+    || (Boolean(user) && (user.role === 'admin' || this.isAuthoredBy(user)));
+};
+
+// Instance method to count a view, except the author's own and views of unpublished posts
+postSchema.methods.recordView = async function(user) {
+  if (this.status === 'published' && !this.isAuthoredBy(user)) {
+    await this.incrementViews();
+  }
+  return this;
+};
+
 // Instance method to toggle like
 postSchema.methods.toggleLike = function(userId) {
   const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { CONTENT_FORMATS } = require('../utils/markdown');
+
+// Post fields captured in every revision
+const TRACKED_FIELDS = ['title', 'content', 'contentFormat', 'excerpt', 'tags', 'category'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: 1,
+  },
+  // User who produced this version
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required'],
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+  },
+  // Revisions recorded before Markdown support hold free-form HTML
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html',
+  },
+  excerpt: {
+    type: String,
+    default: null,
+  },
+  tags: [{
+    type: String,
+  }],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostRevision',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Index for performance
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+/**
+ * Record the current state of a post as its next revision
+ * @param {Object} post - Post document
+ * @param {String} authorId - User who produced this state
+ * @param {Object} [options] - Extra fields (restoredFrom, createdAt)
+ * @returns {Object} Revision document
+ */
+postRevisionSchema.statics.snapshot = async function(post, authorId, options = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ version: -1 }).select('version');
+
+  const data = {
+    post: post._id,
+    version: latest ? latest.version + 1 : 1,
+    author: authorId,
+    ...options,
+  };
+  TRACKED_FIELDS.forEach((field) => {
+    data[field] = post[field];
+  });
+
+  return this.create(data);
+};
+
+/**
+ * Make sure a post's original version is on record before its first edit
+ * @param {Object} post - Post document, before any changes are applied
+ * @returns {Object|null} Created baseline revision, if any
+ */
+postRevisionSchema.statics.ensureBaseline = async function(post) {
+  const exists = await this.exists({ post: post._id });
+  if (exists) {
+    return null;
+  }
+
+  return this.snapshot(post, post.author._id || post.author, { createdAt: post.updatedAt || post.createdAt });
+};
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+PostRevision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = PostRevision;
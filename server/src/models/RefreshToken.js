@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // SHA-256 of the opaque token handed to the client
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Device cannot exceed 500 characters'],
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedBy: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ user: 1, family: 1 });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+
+// Let MongoDB drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for token state
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Never expose the hash
+refreshTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.replacedBy;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
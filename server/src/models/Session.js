@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Device cannot exceed 500 characters'],
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Let MongoDB drop sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+// Virtual for a human readable device name, e.g. "Chrome on Windows"
+sessionSchema.virtual('deviceName').get(function() {
+  if (!this.device) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(this.device));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(this.device));
+
+  if (!browser && !platform) {
+    return this.device.substring(0, 50);
+  }
+
+  return [browser && browser[0], platform && platform[0]].filter(Boolean).join(' on ');
+});
+
+// Virtual for session state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Ensure virtual fields are serialized
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A slug a post used before it was renamed, so old links keep working
+const slugHistorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+slugHistorySchema.index({ post: 1 });
+
+/**
+ * Remember that a post used to live at a slug
+ * A slug retired twice points at the post that retired it last
+ * @param {String} slug - Previous slug
+ * @param {ObjectId} postId - Post now using a different slug
+ * @returns {Promise}
+ */
+slugHistorySchema.statics.record = function(slug, postId) {
+  return this.updateOne(
+    { slug },
+    { $set: { post: postId } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('SlugHistory', slugHistorySchema);
@@ -1,13 +1,35 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+const { body } = require('../utils/validation');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { generateToken, validatePassword } = require('../utils/auth');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+  validatePassword,
+} = require('../utils/auth');
+const { sendMail } = require('../utils/mailer');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Sessions and refresh tokens store at most this much of the User-Agent
+const DEVICE_MAX_LENGTH = 500;
+
+/**
+ * Describe the calling device for refresh token records
+ * Long User-Agents are cut rather than failing the sign-in on the model's maxlength
+ * @param {Object} req - Express request object
+ * @returns {Object} Device and IP
+ */
+const deviceInfo = (req) => ({
+  device: (req.get('User-Agent') || '').slice(0, DEVICE_MAX_LENGTH) || null,
+  ip: req.ip || null,
+});
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -82,8 +104,8 @@ router.post('/register', [
   
   const user = await User.create(userData);
   
-  // Generate token
-  const token = generateToken(user);
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokenPair(user, deviceInfo(req));
   
   // Update last login
   user.lastLogin = new Date();
@@ -94,6 +116,7 @@ router.post('/register', [
   res.status(201).json({
     message: 'User registered successfully',
     token,
+    refreshToken,
     user: user.toPublicJSON(),
   });
 }));
@@ -143,8 +166,8 @@ router.post('/login', [
     throw new AppError('Invalid credentials', 401, 'Incorrect password');
   }
   
-  // Generate token
-  const token = generateToken(user);
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueTokenPair(user, deviceInfo(req));
   
   // Update last login
   user.lastLogin = new Date();
@@ -155,10 +178,63 @@ router.post('/login', [
   res.json({
     message: 'Login successful',
     token,
+    refreshToken,
     user: user.toPublicJSON(),
   });
 }));
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+  
+  const { user, token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, deviceInfo(req));
+  
+  res.json({
+    message: 'Token refreshed successfully',
+    token,
+    refreshToken,
+    user: user.toPublicJSON(),
+  });
+}));
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the refresh token family of this device
+ * @access  Public
+ */
+router.post('/logout', [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+  
+  // Unknown tokens are ignored so logout is idempotent
+  await revokeRefreshToken(req.body.refreshToken);
+  
+  res.json({
+    message: 'Logged out successfully',
+  });
+}));
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset
@@ -181,15 +257,86 @@ router.post('/forgot-password', [
   
   const user = await User.findOne({ email: email.toLowerCase() });
   
+  if (user && user.isActive) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+    const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `You requested a password reset. Use the link below to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>You requested a password reset. Use the link below to choose a new password:</p><p><a href="${resetUrl}">${resetUrl}</a></p><p>If you did not request this, you can ignore this email.</p>`,
+      });
+      logger.info(`Password reset requested for: ${user.email}`);
+    } catch (error) {
+      // Don't leave a usable token behind if the email never went out
+      user.clearPasswordResetToken();
+      await user.save();
+      logger.logError(error, req);
+    }
+  }
+  
   // Always return success message for security (don't reveal if email exists)
   res.json({
     message: 'If an account with this email exists, a password reset link has been sent',
   });
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with a token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password', [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+  
+  const { token, password } = req.body;
   
-  if (user) {
-    // TODO: Implement email sending logic
-    logger.info(`Password reset requested for: ${user.email}`);
+  const user = await User.findOne({
+    passwordResetToken: User.hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+password +passwordResetToken +passwordResetExpires');
+  
+  if (!user) {
+    throw new AppError('Invalid or expired reset token', 400);
   }
+  
+  // Validate password strength
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    throw new AppError('Password does not meet requirements', 400, passwordValidation.errors);
+  }
+  
+  // Update password and consume the token
+  user.password = password;
+  user.clearPasswordResetToken();
+  await user.save();
+  
+  // Sign out every device that may have used the old password
+  await revokeUserTokens(user._id);
+  
+  logger.info(`Password reset completed for: ${user.username} (${user.email})`);
+  
+  res.json({
+    message: 'Password has been reset successfully',
+  });
 }));
 
 /**
@@ -238,6 +385,9 @@ router.post('/change-password', [
   user.password = newPassword;
   await user.save();
   
+  // Sign out every device that may have used the old password
+  await revokeUserTokens(user._id);
+  
   logger.info(`Password changed for user: ${user.username} (${user.email})`);
   
   res.json({
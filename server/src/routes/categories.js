@@ -0,0 +1,348 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { body, query } = require('../utils/validation');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { auth, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { saveWithUniqueSlug } = require('../utils/slug');
+const { clearUserStatsCache } = require('../utils/userStats');
+const logger = require('../utils/logger');
+const { withPostUrls } = require('../utils/urls');
+const { cursorQueryValidators, paginationOptions, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+/**
+ * Move every post of a category to another category
+ * Refuses when the category still has posts and no target is given
+ * @param {Object} category - Category being removed or deactivated
+ * @param {String} reassignTo - ID of the category that receives the posts
+ * @returns {Number} Number of posts moved
+ */
+const reassignPosts = async (category, reassignTo) => {
+  const postCount = await Post.countDocuments({ category: category._id });
+
+  if (postCount === 0) {
+    return 0;
+  }
+
+  if (!reassignTo) {
+    throw new AppError(
+      'Category has posts',
+      409,
+      `Category '${category.name}' still has ${postCount} post(s); provide reassignTo to move them`
+    );
+  }
+
+  if (reassignTo === category._id.toString()) {
+    throw new AppError('Invalid reassignment', 400, 'Cannot reassign posts to the same category');
+  }
+
+  const target = await Category.findById(reassignTo);
+  if (!target || !target.isActive) {
+    throw new AppError('Target category not found', 404);
+  }
+
+  const result = await Post.updateMany(
+    { category: category._id },
+    { $set: { category: target._id } }
+  );
+
+  // Any author may have posts here, so cached topCategories of everyone are stale
+  if (result.modifiedCount > 0) {
+    clearUserStatsCache();
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Find a category by ID or slug, hiding inactive categories from non-admins
+ * @param {String} idOrSlug - Category ID or slug
+ * @param {Object} [user] - Authenticated user
+ * @returns {Object} Category with its post count
+ * @throws {AppError} 404 when the category is missing or inactive
+ */
+const findVisibleCategory = async (idOrSlug, user) => {
+  // isValidObjectId() accepts any 12-character string, which includes slugs like "web-security"
+  const lookup = mongoose.isObjectIdOrHexString(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: idOrSlug.toLowerCase() };
+
+  const category = await Category.findOne(lookup).populate('postCount');
+
+  if (!category || (!category.isActive && (!user || user.role !== 'admin'))) {
+    throw new AppError('Category not found', 404);
+  }
+
+  return category;
+};
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get all categories with post counts
+ * @access  Public (inactive categories visible to admins only)
+ */
+router.get('/', [
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean'),
+], optionalAuth, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const isAdmin = req.user && req.user.role === 'admin';
+  const query = {};
+
+  if (!isAdmin || req.query.includeInactive !== 'true') {
+    query.isActive = true;
+  }
+
+  const categories = await Category.find(query)
+    .populate('postCount')
+    .sort({ name: 1 });
+
+  res.json({ categories });
+}));
+
+/**
+ * @route   GET /api/categories/:idOrSlug
+ * @desc    Get single category by ID or slug
+ * @access  Public (inactive categories visible to admins only)
+ */
+router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
+  const category = await findVisibleCategory(req.params.idOrSlug, req.user);
+
+  res.json({ category });
+}));
+
+/**
+ * @route   GET /api/categories/:idOrSlug/posts
+ * @desc    Get the published posts of a category, newest first (paginated by page or cursor)
+ * @access  Public (inactive categories visible to admins only)
+ */
+router.get('/:idOrSlug/posts', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  ...cursorQueryValidators(),
+], optionalAuth, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const category = await findVisibleCategory(req.params.idOrSlug, req.user);
+
+  const { items: posts, pagination } = await paginate({
+    ...paginationOptions(req),
+    model: Post,
+    filter: { category: category._id, status: 'published' },
+    sortBy: 'publishedAt',
+    sortOrder: 'desc',
+    sort: { createdAt: -1 },
+    prepare: find => find
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name slug color'),
+  });
+
+  res.json({
+    category,
+    posts: withPostUrls(posts),
+    pagination,
+  });
+}));
+
+/**
+ * @route   GET /api/categories/:idOrSlug/posts/:slug
+ * @desc    Get single post of a category by slug
+ * @access  Public (drafts visible to their author and admins only)
+ */
+router.get('/:idOrSlug/posts/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const category = await findVisibleCategory(req.params.idOrSlug, req.user);
+
+  const post = await Post.findOne({ slug: req.params.slug.toLowerCase(), category: category._id })
+    .populate('author', 'username firstName lastName avatar')
+    .populate('category', 'name slug color');
+
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  await post.recordView(req.user);
+
+  res.json({ post });
+}));
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a new category
+ * @access  Private (Admin)
+ */
+router.post('/', [
+  auth,
+  requireAdmin,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#([0-9A-F]{3}){1,2}$/i)
+    .withMessage('Color must be a valid hex color code'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const { name, description, color } = req.body;
+
+  const categoryData = { name };
+  if (description) categoryData.description = description;
+  if (color) categoryData.color = color;
+
+  const category = await saveWithUniqueSlug(new Category(categoryData));
+
+  logger.info(`Category created: ${category.name} by ${req.user.username}`);
+
+  res.status(201).json({
+    message: 'Category created successfully',
+    category,
+  });
+}));
+
+/**
+ * @route   PUT /api/categories/:id
+ * @desc    Update or deactivate a category
+ * @access  Private (Admin)
+ */
+router.put('/:id', [
+  auth,
+  requireAdmin,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#([0-9A-F]{3}){1,2}$/i)
+    .withMessage('Color must be a valid hex color code'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  body('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const { name, description, color, isActive, reassignTo } = req.body;
+
+  // Deactivating a category with posts requires moving them first
+  let reassigned = 0;
+  if (isActive === false && category.isActive) {
+    reassigned = await reassignPosts(category, reassignTo);
+  }
+
+  // Update fields
+  if (name) category.name = name;
+  if (description !== undefined) category.description = description;
+  if (color) category.color = color;
+  if (isActive !== undefined) category.isActive = isActive;
+
+  await saveWithUniqueSlug(category);
+  await category.populate('postCount');
+
+  logger.info(`Category updated: ${category.name} by ${req.user.username}`);
+
+  res.json({
+    message: 'Category updated successfully',
+    category,
+    reassigned,
+  });
+}));
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category, optionally moving its posts with ?reassignTo=
+ * @access  Private (Admin)
+ */
+router.delete('/:id', [
+  auth,
+  requireAdmin,
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const reassigned = await reassignPosts(category, req.query.reassignTo);
+
+  await Category.findByIdAndDelete(req.params.id);
+
+  logger.info(`Category deleted: ${category.name} by ${req.user.username}`);
+
+  res.json({
+    message: 'Category deleted successfully',
+    reassigned,
+  });
+}));
+
+module.exports = router;
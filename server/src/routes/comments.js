@@ -0,0 +1,235 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { body } = require('../utils/validation');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { invalidateUserStats } = require('../utils/userStats');
+const logger = require('../utils/logger');
+
+// Mounted under /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the post a comment request refers to
+ * Unpublished posts are only visible to their author and admins
+ * @param {Object} req - Express request object
+ * @returns {Object} Post document
+ */
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  if (post.status !== 'published') {
+    if (!req.user || (req.user.role !== 'admin' && post.author.toString() !== req.user._id.toString())) {
+      throw new AppError('Post not found', 404);
+    }
+  }
+
+  return post;
+};
+
+/**
+ * Load a comment of the post in the route
+ * @param {Object} req - Express request object
+ * @returns {Object} Comment document
+ */
+const findComment = async (req) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  return comment;
+};
+
+/**
+ * Nest a flat, chronologically sorted comment list into threads
+ * @param {Array} comments - Comment documents
+ * @returns {Array} Top-level comments with `replies`
+ */
+const buildThreads = (comments) => {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach((comment) => {
+    byId.set(comment._id.toString(), { ...comment.toJSON(), replies: [] });
+  });
+
+  byId.forEach((comment) => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    Get the comment threads of a post
+ * @access  Public
+ */
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const post = await findVisiblePost(req);
+
+  const comments = await Comment.find({ post: post._id })
+    .populate('author', 'username firstName lastName avatar')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    comments: buildThreads(comments),
+    commentCount: post.commentCount,
+    maxDepth: Comment.MAX_DEPTH,
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/comments
+ * @desc    Comment on a post or reply to a comment
+ * @access  Private
+ */
+router.post('/', [
+  auth,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+
+  body('parentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const post = await findVisiblePost(req);
+
+  if (post.status !== 'published') {
+    throw new AppError('Cannot comment on unpublished post', 400);
+  }
+
+  const { content, parentId } = req.body;
+
+  let depth = 0;
+  if (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, post: post._id });
+
+    if (!parent) {
+      throw new AppError('Parent comment not found', 404);
+    }
+
+    if (parent.isDeleted) {
+      throw new AppError('Cannot reply to a deleted comment', 400);
+    }
+
+    depth = parent.depth + 1;
+    if (depth > Comment.MAX_DEPTH) {
+      throw new AppError('Maximum reply depth reached', 400, `Replies cannot be nested deeper than ${Comment.MAX_DEPTH} levels`);
+    }
+  }
+
+  const comment = await Comment.create({
+    post: post._id,
+    author: req.user._id,
+    parent: parentId || null,
+    depth,
+    content,
+  });
+
+  await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+  invalidateUserStats(post.author);
+
+  await comment.populate('author', 'username firstName lastName avatar');
+
+  logger.info(`New comment on post ${post._id} by ${req.user.username}`);
+
+  res.status(201).json({
+    message: 'Comment created successfully',
+    comment,
+  });
+}));
+
+/**
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (Author)
+ */
+router.put('/:commentId', [
+  auth,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const comment = await findComment(req);
+
+  if (comment.author.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied', 403, 'You can only edit your own comments');
+  }
+
+  if (comment.isDeleted) {
+    throw new AppError('Cannot edit a deleted comment', 400);
+  }
+
+  comment.content = req.body.content;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await comment.populate('author', 'username firstName lastName avatar');
+
+  res.json({
+    message: 'Comment updated successfully',
+    comment,
+  });
+}));
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @desc    Soft delete a comment, keeping its replies in place
+ * @access  Private (Author or Admin)
+ */
+router.delete('/:commentId', auth, asyncHandler(async (req, res) => {
+  const comment = await findComment(req);
+
+  // Check ownership (author or admin)
+  if (req.user.role !== 'admin' && comment.author.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied', 403, 'You can only delete your own comments');
+  }
+
+  if (comment.isDeleted) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  await comment.softDelete();
+  const post = await Post.findByIdAndUpdate(comment.post, { $inc: { commentCount: -1 } }).select('author');
+  if (post) {
+    invalidateUserStats(post.author);
+  }
+
+  logger.info(`Comment ${comment._id} deleted by ${req.user.username}`);
+
+  res.json({
+    message: 'Comment deleted successfully',
+  });
+}));
+
+module.exports = router;
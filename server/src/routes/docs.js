@@ -0,0 +1,56 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { getOpenApiDocument } = require('../docs/openapi');
+
+const router = express.Router();
+
+// Scripts are served as files rather than inlined so the page passes helmet's CSP
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>MERN Testing & Debugging API</title>
+    <link rel="stylesheet" href="/api/docs/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/api/docs/swagger-ui-bundle.js"></script>
+    <script src="/api/docs/init.js"></script>
+  </body>
+</html>
+`;
+
+const DOCS_INIT = `window.ui = SwaggerUIBundle({
+  url: '/api/openapi.json',
+  dom_id: '#swagger-ui',
+  deepLinking: true,
+  persistAuthorization: true,
+});
+`;
+
+/**
+ * @route   GET /api/openapi.json
+ * @desc    OpenAPI 3 document generated from the route validators and models
+ * @access  Public
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiDocument(req.app));
+});
+
+/**
+ * @route   GET /api/docs
+ * @desc    Interactive API documentation
+ * @access  Public
+ */
+router.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+router.get('/docs/init.js', (req, res) => {
+  res.type('js').send(DOCS_INIT);
+});
+
+// Swagger UI assets
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { FEED_FORMATS, renderFeed } = require('../utils/feeds');
+const { normalizeTag } = require('../utils/tags');
+const { publicBaseUrl, apiUrl, postUrls } = require('../utils/urls');
+
+const router = express.Router();
+
+const FEED_TITLE = process.env.FEED_TITLE || 'MERN Testing & Debugging Blog';
+const FEED_ITEM_LIMIT = parseInt(process.env.FEED_ITEM_LIMIT, 10) || 20;
+
+// excerpt: items carry the excerpt only; full: the whole post as well
+const FEED_CONTENT = process.env.FEED_CONTENT === 'full' ? 'full' : 'excerpt';
+
+// What each feed variant covers: a filter on published posts and a title suffix
+const SCOPES = {
+  categories: async (slug) => {
+    const category = await Category.findOne({ slug: slug.toLowerCase(), isActive: true });
+    if (!category) {
+      throw new AppError('Category not found', 404);
+    }
+    return { filter: { category: category._id }, title: category.name, description: category.description };
+  },
+  tags: async (tag) => ({ filter: { tags: normalizeTag(tag) }, title: `#${normalizeTag(tag)}` }),
+  authors: async (username) => {
+    const user = await User.findOne({ username, isActive: true });
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return { filter: { author: user._id }, title: user.fullName };
+  },
+};
+
+/**
+ * Describe a post as a feed item
+ * @param {Object} post - Post with author and category populated
+ * @returns {Object} Feed item
+ */
+const toFeedItem = post => ({
+  url: postUrls(post).canonicalUrl,
+  title: post.title,
+  summary: post.excerpt,
+  content: FEED_CONTENT === 'full' ? post.contentHtml : null,
+  published: post.publishedAt,
+  updated: post.updatedAt,
+  author: post.author ? post.author.fullName : null,
+  categories: [post.category && post.category.name, ...(post.tags || [])].filter(Boolean),
+});
+
+/**
+ * Send a feed, or 304 when the reader already has this version
+ * Validators are computed from the newest change before any post is loaded
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} format - rss, atom or json
+ * @param {Object} scope - { filter, title, description }
+ */
+const sendFeed = async (req, res, format, scope) => {
+  const filter = { ...scope.filter, status: 'published' };
+
+  const [latest, count] = await Promise.all([
+    Post.findOne(filter).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Post.countDocuments(filter),
+  ]);
+  const updated = latest ? latest.updatedAt : null;
+
+  // The count catches posts leaving the feed, which don't bump any updatedAt
+  const version = [req.path, FEED_CONTENT, count, updated ? updated.getTime() : 0].join(':');
+  res.set('ETag', `W/"${crypto.createHash('sha1').update(version).digest('base64url')}"`);
+  if (updated) {
+    res.set('Last-Modified', updated.toUTCString());
+  }
+  res.set('Cache-Control', 'public, max-age=300');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const posts = await Post.find(filter)
+    .populate('author', 'username firstName lastName')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(FEED_ITEM_LIMIT);
+
+  const body = renderFeed(format, {
+    title: scope.title ? `${FEED_TITLE}: ${scope.title}` : FEED_TITLE,
+    description: scope.description || `Latest posts from ${FEED_TITLE}`,
+    siteUrl: publicBaseUrl(),
+    feedUrl: apiUrl(`${req.baseUrl}${req.path}`),
+    updated,
+    items: posts.map(toFeedItem),
+  });
+
+  res.type(FEED_FORMATS[format].contentType).send(body);
+};
+
+/**
+ * @route   GET /feeds/(rss.xml|atom.xml|feed.json)
+ * @route   GET /feeds/(categories|tags|authors)/:key/(rss.xml|atom.xml|feed.json)
+ * @desc    Latest published posts as RSS 2.0, Atom or JSON Feed; keyed by category slug, tag or username
+ * @access  Public
+ */
+Object.entries(FEED_FORMATS).forEach(([format, { file }]) => {
+  router.get(`/${file}`, asyncHandler(async (req, res) => {
+    await sendFeed(req, res, format, { filter: {} });
+  }));
+
+  Object.entries(SCOPES).forEach(([scope, resolve]) => {
+    router.get(`/${scope}/:key/${file}`, asyncHandler(async (req, res) => {
+      await sendFeed(req, res, format, await resolve(req.params.key));
+    }));
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getReadiness } = require('../utils/health');
+
+const router = express.Router();
+
+/**
+ * @route   GET /health
+ * @desc    Basic health check
+ * @access  Public
+ */
+router.get('/', (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+  });
+});
+
+/**
+ * @route   GET /health/live
+ * @desc    Liveness probe: the process is up and serving requests
+ * @access  Public
+ */
+router.get('/live', (req, res) => {
+  res.status(200).json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * @route   GET /health/ready
+ * @desc    Readiness probe: dependencies are healthy and the process is not shutting down
+ * @access  Public
+ */
+router.get('/ready', asyncHandler(async (req, res) => {
+  const { ready, shuttingDown, checks } = await getReadiness();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    shuttingDown,
+    timestamp: new Date().toISOString(),
+    checks,
+  });
+}));
+
+module.exports = router;
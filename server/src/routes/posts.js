@@ -1,16 +1,41 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+const { body, query } = require('../utils/validation');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const SlugHistory = require('../models/SlugHistory');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
 const { auth, optionalAuth, requireOwnership } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { invalidateUserStats } = require('../utils/userStats');
+const { withPostUrls } = require('../utils/urls');
+const { parseTagList } = require('../utils/tags');
+const { saveWithUniqueSlug } = require('../utils/slug');
+const { CONTENT_FORMATS } = require('../utils/markdown');
+const { cursorQueryValidators, paginationOptions, paginate } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Check that a date lies in the future
+ * @param {String|Date} value - Date to check
+ * @returns {Boolean} Whether the date is after now
+ */
+const isInFuture = (value) => new Date(value).getTime() > Date.now();
+
+// Comment threads live under /api/posts/:id/comments
+router.use('/:id/comments', commentRoutes);
+
+// Edit history lives under /api/posts/:id/revisions
+router.use('/:id/revisions', revisionRoutes);
+
 /**
  * @route   GET /api/posts
- * @desc    Get all posts with filtering, pagination, and search
+ * @desc    Get all posts with filtering, pagination (by page or cursor), and search
  * @access  Public
  */
 router.get('/', [
@@ -31,8 +56,8 @@ router.get('/', [
   
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
   
   query('search')
     .optional()
@@ -40,6 +65,16 @@ router.get('/', [
     .isLength({ min: 1, max: 100 })
     .withMessage('Search term must be between 1 and 100 characters'),
   
+  query('tags')
+    .optional()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Tags must be a comma-separated list'),
+  
+  query('tagMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('Tag mode must be any or all'),
+  
   query('sortBy')
     .optional()
     .isIn(['createdAt', 'updatedAt', 'publishedAt', 'title', 'views', 'likes'])
@@ -49,6 +84,8 @@ router.get('/', [
     .optional()
     .isIn(['asc', 'desc'])
     .withMessage('Sort order must be asc or desc'),
+
+  ...cursorQueryValidators(),
 ], optionalAuth, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -57,14 +94,14 @@ router.get('/', [
   }
   
   const {
-    page = 1,
-    limit = 10,
     category,
     status = 'published',
     search,
     sortBy = 'publishedAt',
     sortOrder = 'desc',
     author,
+    tags,
+    tagMode = 'any',
   } = req.query;
   
   // Build query
@@ -87,50 +124,88 @@ router.get('/', [
     query.author = author;
   }
   
+  // Tag filter: posts with any (or all) of the listed tags
+  const tagList = parseTagList(tags);
+  if (tagList.length) {
+    query.tags = tagMode === 'all' ? { $all: tagList } : { $in: tagList };
+  }
+  
   // Search functionality
   if (search) {
     query.$text = { $search: search };
   }
   
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-  
-  // If sorting by publishedAt, add createdAt as secondary sort
-  if (sortBy === 'publishedAt') {
-    sort.createdAt = -1;
+  const options = paginationOptions(req);
+
+  // Like counts live in an array, which has no stable position to resume from
+  if (options.mode === 'cursor' && sortBy === 'likes') {
+    throw new AppError('Validation Error', 400, 'Cursor pagination cannot sort by likes');
   }
   
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  // Execute query
-  const posts = await Post.find(query)
-    .populate('author', 'username firstName lastName avatar')
-    .populate('category', 'name slug color')
-    .sort(sort)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean();
-  
-  // Get total count for pagination
-  const total = await Post.countDocuments(query);
-  
-  // Calculate pagination info
-  const totalPages = Math.ceil(total / parseInt(limit));
-  const hasNextPage = parseInt(page) < totalPages;
-  const hasPrevPage = parseInt(page) > 1;
+  const { items: posts, pagination } = await paginate({
+    ...options,
+    model: Post,
+    filter: query,
+    sortBy,
+    sortOrder,
+    // If sorting by publishedAt, add createdAt as secondary sort
+    sort: sortBy === 'publishedAt' ? { createdAt: -1 } : {},
+    prepare: find => find
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name slug color'),
+  });
   
   res.json({
-    posts,
-    pagination: {
-      current: parseInt(page),
-      total: totalPages,
-      hasNext: hasNextPage,
-      hasPrev: hasPrevPage,
-      limit: parseInt(limit),
-      totalItems: total,
-    },
+    posts: withPostUrls(posts),
+    pagination,
+  });
+}));
+
+/**
+ * Send a single post, hiding unpublished posts from everyone but their author and admins
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|null} post - Post with author and category populated
+ * @throws {AppError} 404 when the post is missing or not visible to the user
+ */
+const sendPost = async (req, res, post) => {
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  await post.recordView(req.user);
+
+  res.json({ post });
+};
+
+/**
+ * @route   GET /api/posts/slug/:slug
+ * @desc    Get single post by slug; old slugs of renamed posts redirect to the current one
+ * @access  Public
+ */
+router.get('/slug/:slug', optionalAuth, asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug })
+    .populate('author', 'username firstName lastName avatar')
+    .populate('category', 'name slug color');
+
+  if (post) {
+    return sendPost(req, res, post);
+  }
+
+  const previous = await SlugHistory.findOne({ slug: req.params.slug })
+    .populate('post', 'slug status author');
+
+  // Don't reveal where an unpublished post moved to
+  const target = previous && previous.post;
+  if (!target || !target.isVisibleTo(req.user)) {
+    throw new AppError('Post not found', 404);
+  }
+
+  const location = `${req.baseUrl}/slug/${encodeURIComponent(target.slug)}`;
+  res.location(location).status(301).json({
+    message: 'Post has moved',
+    slug: target.slug,
+    location,
   });
 }));
 
@@ -144,23 +219,7 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     .populate('author', 'username firstName lastName avatar')
     .populate('category', 'name slug color');
   
-  if (!post) {
-    throw new AppError('Post not found', 404);
-  }
-  
-  // Check if user can view this post
-  if (post.status !== 'published') {
-    if (!req.user || (req.user.role !== 'admin' && post.author._id.toString() !== req.user._id.toString())) {
-      throw new AppError('Post not found', 404);
-    }
-  }
-  
-  // Increment views (only for published posts and if user is not the author)
-  if (post.status === 'published' && (!req.user || post.author._id.toString() !== req.user._id.toString())) {
-    await post.incrementViews();
-  }
-  
-  res.json({ post });
+  await sendPost(req, res, post);
 }));
 
 /**
@@ -180,6 +239,11 @@ router.post('/', [
     .isLength({ min: 10 })
     .withMessage('Content must be at least 10 characters long'),
   
+  body('contentFormat')
+    .optional()
+    .isIn(CONTENT_FORMATS)
+    .withMessage('Content format must be markdown or html'),
+  
   body('category')
     .isMongoId()
     .withMessage('Category must be a valid ID'),
@@ -197,8 +261,21 @@ router.post('/', [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published'])
-    .withMessage('Status must be draft or published'),
+    .isIn(['draft', 'scheduled', 'published'])
+    .withMessage('Status must be draft, scheduled, or published'),
+  
+  body('scheduledFor')
+    .if(body('status').equals('scheduled'))
+    .exists({ values: 'falsy' })
+    .withMessage('scheduledFor is required when status is scheduled'),
+  
+  body('scheduledFor')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('scheduledFor must be a valid date')
+    .bail()
+    .custom(isInFuture)
+    .withMessage('scheduledFor must be in the future'),
   
   body('featuredImage')
     .optional()
@@ -211,11 +288,11 @@ router.post('/', [
     throw new AppError('Validation Error', 400, errors.array());
   }
   
-  const { title, content, category, excerpt, tags, status, featuredImage } = req.body;
+  const { title, content, contentFormat, category, excerpt, tags, status, scheduledFor, featuredImage } = req.body;
   
   // Verify category exists
   const categoryExists = await Category.findById(category);
-  if (!categoryExists) {
+  if (!categoryExists || !categoryExists.isActive) {
     throw new AppError('Category not found', 404);
   }
   
@@ -228,11 +305,14 @@ router.post('/', [
     status: status || 'draft',
   };
   
+  if (contentFormat) postData.contentFormat = contentFormat;
   if (excerpt) postData.excerpt = excerpt;
   if (tags && Array.isArray(tags)) postData.tags = tags;
   if (featuredImage) postData.featuredImage = featuredImage;
+  if (postData.status === 'scheduled') postData.scheduledFor = scheduledFor;
   
-  const post = await Post.create(postData);
+  const post = await saveWithUniqueSlug(new Post(postData));
+  invalidateUserStats(req.user._id);
   
   // Populate the created post
   await post.populate('author', 'username firstName lastName avatar');
@@ -265,6 +345,11 @@ router.put('/:id', [
     .isLength({ min: 10 })
     .withMessage('Content must be at least 10 characters long'),
   
+  body('contentFormat')
+    .optional()
+    .isIn(CONTENT_FORMATS)
+    .withMessage('Content format must be markdown or html'),
+  
   body('category')
     .optional()
     .isMongoId()
@@ -283,8 +368,16 @@ router.put('/:id', [
   
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  
+  body('scheduledFor')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('scheduledFor must be a valid date')
+    .bail()
+    .custom(isInFuture)
+    .withMessage('scheduledFor must be in the future'),
   
   body('featuredImage')
     .optional()
@@ -308,26 +401,45 @@ router.put('/:id', [
     throw new AppError('Access denied', 403, 'You can only edit your own posts');
   }
   
-  const { title, content, category, excerpt, tags, status, featuredImage } = req.body;
+  const { title, content, contentFormat, category, excerpt, tags, status, scheduledFor, featuredImage } = req.body;
   
   // Verify category exists if provided
   if (category) {
     const categoryExists = await Category.findById(category);
-    if (!categoryExists) {
+    if (!categoryExists || !categoryExists.isActive) {
       throw new AppError('Category not found', 404);
     }
   }
   
+  // Keep the pre-edit version on record before the first change
+  await PostRevision.ensureBaseline(post);
+  
   // Update fields
   if (title) post.title = title;
   if (content) post.content = content;
+  if (contentFormat) post.contentFormat = contentFormat;
   if (category) post.category = category;
   if (excerpt !== undefined) post.excerpt = excerpt;
   if (tags !== undefined) post.tags = tags;
   if (status) post.status = status;
+  if (scheduledFor !== undefined) post.scheduledFor = scheduledFor;
   if (featuredImage !== undefined) post.featuredImage = featuredImage;
   
-  await post.save();
+  // Only scheduled posts keep a schedule, and it must still be ahead of us
+  if (post.status !== 'scheduled') {
+    post.scheduledFor = null;
+  } else if (!post.scheduledFor || !isInFuture(post.scheduledFor)) {
+    throw new AppError('Validation Error', 400, 'Scheduled posts require a scheduledFor date in the future');
+  }
+  
+  const hasTrackedChanges = PostRevision.TRACKED_FIELDS.some(field => post.isModified(field));
+  
+  await saveWithUniqueSlug(post);
+  
+  if (hasTrackedChanges) {
+    await PostRevision.snapshot(post, req.user._id);
+  }
+  invalidateUserStats(post.author);
   
   // Populate the updated post
   await post.populate('author', 'username firstName lastName avatar');
@@ -359,6 +471,10 @@ router.delete('/:id', auth, asyncHandler(async (req, res) => {
   }
   
   await Post.findByIdAndDelete(req.params.id);
+  await Comment.deleteMany({ post: post._id });
+  await PostRevision.deleteMany({ post: post._id });
+  await SlugHistory.deleteMany({ post: post._id });
+  invalidateUserStats(post.author);
   
   logger.info(`Post deleted: ${post.title} by ${req.user.username}`);
   
@@ -384,6 +500,7 @@ router.post('/:id/like', auth, asyncHandler(async (req, res) => {
   }
   
   await post.toggleLike(req.user._id);
+  invalidateUserStats(post.author);
   
   const isLiked = post.likes.some(like => like.user.toString() === req.user._id.toString());
   
@@ -0,0 +1,147 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { query } = require('../utils/validation');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { auth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { saveWithUniqueSlug } = require('../utils/slug');
+const { diffLines, diffWords, summarizeDiff } = require('../utils/diff');
+const { invalidateUserStats } = require('../utils/userStats');
+const logger = require('../utils/logger');
+
+// Mounted under /api/posts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the post in the route, enforcing the author-or-admin check
+ * @param {Object} req - Express request object
+ * @returns {Object} Post document
+ */
+const findOwnedPost = async (req) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new AppError('Post not found', 404);
+  }
+
+  // Check ownership (author or admin)
+  if (req.user.role !== 'admin' && post.author.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied', 403, 'You can only view the history of your own posts');
+  }
+
+  return post;
+};
+
+/**
+ * Load a revision of the post in the route
+ * @param {Object} req - Express request object
+ * @returns {Object} Revision document
+ */
+const findRevision = async (req) => {
+  const revision = await PostRevision.findOne({ _id: req.params.revId, post: req.params.id })
+    .populate('author', 'username firstName lastName avatar');
+
+  if (!revision) {
+    throw new AppError('Revision not found', 404);
+  }
+
+  return revision;
+};
+
+/**
+ * @route   GET /api/posts/:id/revisions
+ * @desc    Get the revision history of a post, newest first
+ * @access  Private (Author or Admin)
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const post = await findOwnedPost(req);
+
+  const revisions = await PostRevision.find({ post: post._id })
+    .select('-content')
+    .populate('author', 'username firstName lastName avatar')
+    .sort({ version: -1 });
+
+  res.json({ revisions });
+}));
+
+/**
+ * @route   GET /api/posts/:id/revisions/:revId/diff
+ * @desc    Diff a revision against the current version of the post
+ * @access  Private (Author or Admin)
+ */
+router.get('/:revId/diff', [
+  auth,
+  query('mode')
+    .optional()
+    .isIn(['line', 'word'])
+    .withMessage('Mode must be line or word'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const post = await findOwnedPost(req);
+  const revision = await findRevision(req);
+  const mode = req.query.mode || 'line';
+  const diffText = mode === 'word' ? diffWords : diffLines;
+
+  const content = diffText(revision.content, post.content);
+  const revisionTags = revision.tags || [];
+  const currentTags = post.tags || [];
+
+  res.json({
+    revision,
+    mode,
+    diff: {
+      title: diffWords(revision.title, post.title),
+      excerpt: diffWords(revision.excerpt || '', post.excerpt || ''),
+      content,
+      tags: {
+        added: currentTags.filter(tag => !revisionTags.includes(tag)),
+        removed: revisionTags.filter(tag => !currentTags.includes(tag)),
+      },
+      category: {
+        from: revision.category,
+        to: post.category,
+        changed: String(revision.category) !== String(post.category),
+      },
+    },
+    summary: summarizeDiff(content),
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/revisions/:revId/restore
+ * @desc    Roll a post back to a revision (recorded as a new revision)
+ * @access  Private (Author or Admin)
+ */
+router.post('/:revId/restore', auth, asyncHandler(async (req, res) => {
+  const post = await findOwnedPost(req);
+  const revision = await findRevision(req);
+
+  await PostRevision.ensureBaseline(post);
+
+  PostRevision.TRACKED_FIELDS.forEach((field) => {
+    post[field] = revision[field];
+  });
+  await saveWithUniqueSlug(post);
+
+  const restored = await PostRevision.snapshot(post, req.user._id, { restoredFrom: revision._id });
+  invalidateUserStats(post.author);
+
+  await post.populate('author', 'username firstName lastName avatar');
+  await post.populate('category', 'name slug color');
+
+  logger.info(`Post restored to version ${revision.version}: ${post.title} by ${req.user.username}`);
+
+  res.json({
+    message: `Post restored to version ${revision.version}`,
+    post,
+    revision: restored,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { query } = require('../utils/validation');
+const Post = require('../models/Post');
+const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  toTextSearch,
+  highlightPost,
+} = require('../utils/search');
+
+const router = express.Router();
+
+// How many values each facet lists
+const FACET_LIMIT = 10;
+
+/**
+ * @route   GET /api/search
+ * @desc    Search published posts by relevance ("quoted phrases", -exclusions) with snippets and facets
+ * @access  Public
+ */
+router.get('/', [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Category must be a valid ID'),
+
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid ID'),
+
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be between 1 and 50 characters'),
+
+  query('year')
+    .optional()
+    .isInt({ min: 1970, max: 9999 })
+    .withMessage('Year must be a valid year'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+], optionalAuth, asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const parsed = parseSearchQuery(req.query.q);
+  if (!hasSearchTerms(parsed)) {
+    throw new AppError('Validation Error', 400, 'Search needs at least one word or phrase that is not excluded');
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  // $text has to lead the pipeline; the filters narrow the results and the facets alike
+  const match = {
+    $text: { $search: toTextSearch(parsed) },
+    status: 'published',
+  };
+  if (req.query.category) {
+    match.category = new mongoose.Types.ObjectId(req.query.category);
+  }
+  if (req.query.author) {
+    match.author = new mongoose.Types.ObjectId(req.query.author);
+  }
+  if (req.query.tag) {
+    match.tags = req.query.tag.toLowerCase();
+  }
+  if (req.query.year) {
+    const year = parseInt(req.query.year, 10);
+    match.publishedAt = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+  }
+
+  const [result] = await Post.aggregate([
+    { $match: match },
+    { $set: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        hits: [
+          { $sort: { score: -1, publishedAt: -1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { score: 1 } },
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { _id: 1, name: '$category.name', slug: '$category.slug', count: 1 } },
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+          { $project: { _id: 0, tag: '$_id', count: 1 } },
+        ],
+        authors: [
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'author' } },
+          { $unwind: '$author' },
+          { $project: { _id: 1, username: '$author.username', count: 1 } },
+        ],
+        years: [
+          { $match: { publishedAt: { $ne: null } } },
+          { $group: { _id: { $year: '$publishedAt' }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+          { $project: { _id: 0, year: '$_id', count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  // Load the page of posts through the model for population and virtuals
+  const posts = await Post.find({ _id: { $in: result.hits.map(hit => hit._id) } })
+    .populate('author', 'username firstName lastName avatar')
+    .populate('category', 'name slug color');
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+  const results = result.hits
+    .filter(hit => postsById.has(hit._id.toString()))
+    .map((hit) => {
+      const post = postsById.get(hit._id.toString());
+      return {
+        post,
+        score: Math.round(hit.score * 1000) / 1000,
+        highlights: highlightPost(post, parsed),
+      };
+    });
+
+  const totalItems = result.total.length ? result.total[0].count : 0;
+  const totalPages = Math.ceil(totalItems / limit);
+
+  res.json({
+    query: parsed,
+    results,
+    facets: {
+      categories: result.categories,
+      tags: result.tags,
+      authors: result.authors,
+      years: result.years,
+    },
+    pagination: {
+      current: page,
+      total: totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+      limit,
+      totalItems,
+    },
+  });
+}));
+
+module.exports = router;
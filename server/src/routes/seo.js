@@ -0,0 +1,81 @@
+const express = require('express');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  SITEMAP_MAX_URLS,
+  SITEMAP_SECTIONS,
+  buildUrlset,
+  buildSitemapIndex,
+  countSitemapUrls,
+  loadSitemapSection,
+  sectionLastModified,
+} = require('../utils/sitemap');
+const { robotsRules, buildRobotsTxt } = require('../utils/robots');
+const { apiUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const XML = 'application/xml; charset=utf-8';
+
+/**
+ * @route   GET /sitemap.xml
+ * @desc    Sitemap of published posts, active categories and active authors; a sitemap index past 50k URLs
+ * @access  Public
+ */
+router.get('/sitemap.xml', asyncHandler(async (req, res) => {
+  const counts = await countSitemapUrls();
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  res.set('Cache-Control', 'public, max-age=3600');
+
+  if (total <= SITEMAP_MAX_URLS) {
+    const sections = await Promise.all(SITEMAP_SECTIONS.map(name => loadSitemapSection(name)));
+    return res.type(XML).send(buildUrlset(sections.flat()));
+  }
+
+  // Too many URLs for one file: one child sitemap per section page
+  const children = SITEMAP_SECTIONS.flatMap(name => Array.from(
+    { length: Math.ceil(counts[name] / SITEMAP_MAX_URLS) },
+    (_, i) => ({ name, page: i + 1 })
+  ));
+
+  const entries = await Promise.all(children.map(async ({ name, page }) => ({
+    loc: apiUrl(`/sitemaps/${name}-${page}.xml`),
+    lastmod: await sectionLastModified(name, page),
+  })));
+
+  res.type(XML).send(buildSitemapIndex(entries));
+}));
+
+/**
+ * @route   GET /sitemaps/:file
+ * @desc    One page of a sitemap section listed in the sitemap index, e.g. posts-2.xml
+ * @access  Public
+ */
+router.get('/sitemaps/:file', asyncHandler(async (req, res) => {
+  const match = req.params.file.match(/^([a-z]+)-(\d+)\.xml$/);
+  const page = match ? parseInt(match[2], 10) : 0;
+
+  if (!match || !SITEMAP_SECTIONS.includes(match[1]) || page < 1) {
+    throw new AppError('Sitemap not found', 404);
+  }
+
+  const entries = await loadSitemapSection(match[1], page);
+  if (!entries.length) {
+    throw new AppError('Sitemap not found', 404);
+  }
+
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type(XML).send(buildUrlset(entries));
+}));
+
+/**
+ * @route   GET /robots.txt
+ * @desc    Crawler rules from the ROBOTS_* settings, pointing at the sitemap
+ * @access  Public
+ */
+router.get('/robots.txt', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('text/plain').send(buildRobotsTxt(robotsRules(), apiUrl('/sitemap.xml')));
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { body, query } = require('../utils/validation');
+const Post = require('../models/Post');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { escapeRegExp } = require('../utils/slug');
+const { normalizeTag, mergeTagsExpression } = require('../utils/tags');
+const { withPostUrls } = require('../utils/urls');
+const { cursorQueryValidators, paginationOptions, paginate } = require('../utils/pagination');
+const { clearUserStatsCache } = require('../utils/userStats');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get tags of published posts with usage counts, optionally by prefix (autocomplete)
+ * @access  Public
+ */
+router.get('/', [
+  query('prefix')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Prefix must be between 1 and 50 characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort field must be count or name'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const match = { status: 'published' };
+
+  if (req.query.prefix) {
+    // Anchored, so the tags index can serve it
+    match.tags = new RegExp(`^${escapeRegExp(normalizeTag(req.query.prefix))}`);
+  }
+
+  const tags = await Post.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    // A post matching the prefix may carry other tags too
+    ...(match.tags ? [{ $match: { tags: match.tags } }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: req.query.sortBy === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } },
+  ]);
+
+  res.json({ tags });
+}));
+
+/**
+ * @route   GET /api/tags/:tag/posts
+ * @desc    Get the published posts with a tag, newest first (paginated by page or cursor)
+ * @access  Public
+ */
+router.get('/:tag/posts', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  ...cursorQueryValidators(),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const tag = normalizeTag(req.params.tag);
+
+  const { items: posts, pagination } = await paginate({
+    ...paginationOptions(req),
+    model: Post,
+    filter: { tags: tag, status: 'published' },
+    sortBy: 'publishedAt',
+    sortOrder: 'desc',
+    sort: { createdAt: -1 },
+    prepare: find => find
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name slug color'),
+  });
+
+  if (!posts.length && !pagination.hasPrev) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  res.json({
+    tag,
+    posts: withPostUrls(posts),
+    pagination,
+  });
+}));
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Replace one or more tags with another across all posts
+ * @access  Private (Admin)
+ */
+router.post('/merge', [
+  auth,
+  requireAdmin,
+  body('from')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('from must be a list of 1 to 50 tags'),
+
+  body('from.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+
+  body('into')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('into must be between 1 and 50 characters'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+
+  const into = normalizeTag(req.body.into);
+  const from = [...new Set(req.body.from.map(normalizeTag))].filter(tag => tag !== into);
+
+  if (!from.length) {
+    throw new AppError('Validation Error', 400, 'Nothing to merge: every tag in from equals into');
+  }
+
+  // One update: rename the tags in place and drop the duplicates that creates
+  const result = await Post.updateMany(
+    { tags: { $in: from } },
+    [{ $set: { tags: mergeTagsExpression(from, into) } }]
+  );
+
+  // Top tags in the user statistics may have changed for any author
+  clearUserStatsCache();
+
+  logger.info(`Tags merged: ${from.join(', ')} into ${into} on ${result.modifiedCount} posts by ${req.user.username}`);
+
+  res.json({
+    message: 'Tags merged successfully',
+    from,
+    into,
+    postsUpdated: result.modifiedCount,
+  });
+}));
+
+module.exports = router;
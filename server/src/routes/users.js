@@ -1,12 +1,51 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+const { body, param, query } = require('../utils/validation');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth, requireAdmin, requireOwnership } = require('../middleware/auth');
+const { revokeTokenFamily, revokeUserTokens } = require('../utils/auth');
+const { getUserStats } = require('../utils/userStats');
+const { cursorQueryValidators, paginationOptions, paginate } = require('../utils/pagination');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * List the active sessions of a user, most recently used first
+ * @param {String} userId - User ID
+ * @param {String} [currentSessionId] - Session making the request
+ * @returns {Array} Sessions with a `current` flag
+ */
+const listActiveSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+  
+  return sessions.map((session) => ({
+    ...session.toJSON(),
+    current: session._id.toString() === currentSessionId,
+  }));
+};
+
+/**
+ * Revoke one session of a user
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+  
+  await revokeTokenFamily(session._id.toString());
+};
+
 /**
  * @route   GET /api/users
  * @desc    Get all users (Admin only)
@@ -40,6 +79,8 @@ router.get('/', [
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean'),
+
+  ...cursorQueryValidators(),
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -48,8 +89,6 @@ router.get('/', [
   }
   
   const {
-    page = 1,
-    limit = 10,
     search,
     role,
     isActive,
@@ -71,35 +110,18 @@ router.get('/', [
     ];
   }
   
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  
-  // Execute query
-  const users = await User.find(query)
-    .select('-password')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean();
-  
-  // Get total count for pagination
-  const total = await User.countDocuments(query);
-  
-  // Calculate pagination info
-  const totalPages = Math.ceil(total / parseInt(limit));
-  const hasNextPage = parseInt(page) < totalPages;
-  const hasPrevPage = parseInt(page) > 1;
+  const { items: users, pagination } = await paginate({
+    ...paginationOptions(req),
+    model: User,
+    filter: query,
+    sortBy: 'createdAt',
+    sortOrder: 'desc',
+    prepare: find => find.select('-password'),
+  });
   
   res.json({
     users,
-    pagination: {
-      current: parseInt(page),
-      total: totalPages,
-      hasNext: hasNextPage,
-      hasPrev: hasPrevPage,
-      limit: parseInt(limit),
-      totalItems: total,
-    },
+    pagination,
   });
 }));
 
@@ -118,6 +140,59 @@ router.get('/me', auth, asyncHandler(async (req, res) => {
   res.json({ user: user.toPublicJSON() });
 }));
 
+/**
+ * @route   GET /api/users/me/sessions
+ * @desc    List active sessions of the current user
+ * @access  Private
+ */
+router.get('/me/sessions', auth, asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id, req.sessionId);
+  
+  res.json({ sessions });
+}));
+
+/**
+ * @route   DELETE /api/users/me/sessions
+ * @desc    Sign out everywhere except the current session
+ * @access  Private
+ */
+router.delete('/me/sessions', auth, asyncHandler(async (req, res) => {
+  const revoked = await revokeUserTokens(req.user._id, { except: req.sessionId });
+  
+  logger.info(`User signed out other sessions: ${req.user.username} (${revoked} revoked)`);
+  
+  res.json({
+    message: 'Signed out of all other sessions',
+    revoked,
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/me/sessions/:sessionId
+ * @desc    Sign out a single session of the current user
+ * @access  Private
+ */
+router.delete('/me/sessions/:sessionId', [
+  auth,
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Session ID must be a valid ID'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+  
+  await revokeUserSession(req.user._id, req.params.sessionId);
+  
+  logger.info(`User signed out session ${req.params.sessionId}: ${req.user.username}`);
+  
+  res.json({
+    message: 'Session signed out successfully',
+  });
+}));
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -324,6 +399,11 @@ router.put('/:id', [
   
   await user.save();
   
+  // Deactivated users lose every refresh token
+  if (isActive === false) {
+    await revokeUserTokens(user._id);
+  }
+  
   logger.info(`User updated by admin: ${user.username} (${user.email}) by ${req.user.username}`);
   
   res.json({
@@ -353,6 +433,7 @@ router.delete('/:id', [
   }
   
   await User.findByIdAndDelete(req.params.id);
+  await revokeUserTokens(user._id);
   
   logger.info(`User deleted by admin: ${user.username} (${user.email}) by ${req.user.username}`);
   
@@ -361,6 +442,84 @@ router.delete('/:id', [
   });
 }));
 
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List active sessions of a user
+ * @access  Private (Admin)
+ */
+router.get('/:id/sessions', [
+  auth,
+  requireAdmin,
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  const sessions = await listActiveSessions(user._id, req.sessionId);
+  
+  res.json({ sessions });
+}));
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Sign out every session of a user
+ * @access  Private (Admin)
+ */
+router.delete('/:id/sessions', [
+  auth,
+  requireAdmin,
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  const revoked = await revokeUserTokens(user._id);
+  
+  logger.info(`All sessions revoked by admin: ${user.username} by ${req.user.username}`);
+  
+  res.json({
+    message: 'All sessions signed out',
+    revoked,
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Sign out a single session of a user
+ * @access  Private (Admin)
+ */
+router.delete('/:id/sessions/:sessionId', [
+  auth,
+  requireAdmin,
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Session ID must be a valid ID'),
+], asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation Error', 400, errors.array());
+  }
+  
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  await revokeUserSession(user._id, req.params.sessionId);
+  
+  logger.info(`Session ${req.params.sessionId} revoked by admin: ${user.username} by ${req.user.username}`);
+  
+  res.json({
+    message: 'Session signed out successfully',
+  });
+}));
+
 /**
  * @route   GET /api/users/:id/stats
  * @desc    Get user statistics
@@ -376,12 +535,13 @@ router.get('/:id/stats', [
     throw new AppError('User not found', 404);
   }
   
-  // TODO: Implement user statistics aggregation
-  // This could include post count, total views, total likes, etc.
+  const { stats, generatedAt, cached } = await getUserStats(user._id);
   
   res.json({
-    message: 'User statistics endpoint - To be implemented',
     user: user.toPublicJSON(),
+    stats,
+    generatedAt,
+    cached,
   });
 }));
 
@@ -1,7 +1,9 @@
 require('dotenv').config();
 const app = require('./app');
-const connectDB = require('./config/database');
+const { connectDB } = require('./config/database');
 const logger = require('./utils/logger');
+const { startScheduler } = require('./jobs/publishScheduler');
+const { shutdown, isShuttingDown } = require('./utils/shutdown');
 
 const PORT = process.env.PORT || 5000;
 
@@ -15,22 +17,25 @@ connectDB()
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
     });
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-      logger.info('SIGTERM received. Shutting down gracefully...');
-      server.close(() => {
-        logger.info('Process terminated');
-        process.exit(0);
-      });
-    });
+    // Publish scheduled posts (catches up on anything that came due while down)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      startScheduler();
+    }
 
-    process.on('SIGINT', () => {
-      logger.info('SIGINT received. Shutting down gracefully...');
-      server.close(() => {
-        logger.info('Process terminated');
-        process.exit(0);
-      });
-    });
+    // Graceful shutdown; a second signal while shutting down exits immediately
+    const handleSignal = async (signal, options) => {
+      if (isShuttingDown()) {
+        logger.warn(`${signal} received again. Exiting immediately`);
+        process.exit(1);
+      }
+
+      const exitCode = await shutdown({ server, signal, ...options });
+      process.exit(exitCode);
+    };
+
+    // SIGTERM comes from orchestrators and gets the drain delay; Ctrl-C skips it
+    process.on('SIGTERM', () => handleSignal('SIGTERM'));
+    process.on('SIGINT', () => handleSignal('SIGINT', { drainMs: 0 }));
   })
   .catch((error) => {
     logger.error('Failed to connect to MongoDB:', error);
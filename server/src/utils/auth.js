@@ -1,22 +1,35 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key-for-testing';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Only write lastUsedAt when it is older than this, to spare a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
 
 /**
- * Generate JWT token
+ * Generate short-lived JWT access token
  * @param {Object} user - User object
+ * @param {String} [family] - Session (refresh token family) the token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, family = null) => {
   const payload = {
     id: user._id || user.id,
     username: user.username,
     email: user.email,
     role: user.role,
   };
+  
+  if (family) {
+    payload.sid = family;
+  }
 
   return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRE,
@@ -58,11 +71,12 @@ const extractToken = (req) => {
 };
 
 /**
- * Get user from token
+ * Authenticate an access token
+ * Tokens bound to a session stop working as soon as the session is revoked
  * @param {String} token - JWT token
- * @returns {Object} User object
+ * @returns {Object} User object and session ID
  */
-const getUserFromToken = async (token) => {
+const authenticateToken = async (token) => {
   try {
     const decoded = verifyToken(token);
     const user = await User.findById(decoded.id).select('-password');
@@ -75,13 +89,222 @@ const getUserFromToken = async (token) => {
       throw new Error('User account is deactivated');
     }
     
-    return user;
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      
+      if (!session || !session.isActive) {
+        throw new Error('Session revoked');
+      }
+      
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+      }
+    }
+    
+    return { user, sessionId: decoded.sid || null };
   } catch (error) {
     logger.error('Get user from token error:', error.message);
     throw error;
   }
 };
 
+/**
+ * Get user from token
+ * @param {String} token - JWT token
+ * @returns {Object} User object
+ */
+const getUserFromToken = async (token) => {
+  const { user } = await authenticateToken(token);
+  return user;
+};
+
+/**
+ * Hash an opaque refresh token for storage and lookup
+ * @param {String} token - Raw refresh token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Compute the expiry date of a refresh token issued now
+ * @returns {Date} Expiry date
+ */
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Issue a new refresh token in a family
+ * @param {Object} user - User object
+ * @param {Object} options - Family (session ID) and device info
+ * @returns {Object} Raw token and its stored document
+ */
+const issueRefreshToken = async (user, { family, device = null, ip = null }) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  
+  const document = await RefreshToken.create({
+    user: user._id || user.id,
+    tokenHash: hashRefreshToken(token),
+    family,
+    device,
+    ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+  
+  return { token, document };
+};
+
+/**
+ * Start a session and issue its access/refresh token pair
+ * The session ID doubles as the refresh token family
+ * @param {Object} user - User object
+ * @param {Object} [options] - Device info
+ * @returns {Object} Access token, refresh token and session
+ */
+const issueTokenPair = async (user, { device = null, ip = null } = {}) => {
+  const session = await Session.create({
+    user: user._id || user.id,
+    device,
+    ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+  const family = session._id.toString();
+  
+  const { token: refreshToken } = await issueRefreshToken(user, { family, device, ip });
+  
+  return {
+    token: generateToken(user, family),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Revoke a session and every active token of its family
+ * @param {String} family - Session ID / token family
+ * @returns {Number} Number of revoked tokens
+ */
+const revokeTokenFamily = async (family) => {
+  const now = new Date();
+  
+  await Session.updateOne({ _id: family, revokedAt: null }, { $set: { revokedAt: now } });
+  
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every session and refresh token of a user
+ * @param {String} userId - User ID
+ * @param {Object} [options] - Session to keep signed in
+ * @returns {Number} Number of revoked sessions
+ */
+const revokeUserTokens = async (userId, { except = null } = {}) => {
+  const now = new Date();
+  const sessionQuery = { user: userId, revokedAt: null };
+  const tokenQuery = { user: userId, revokedAt: null };
+  
+  if (except) {
+    sessionQuery._id = { $ne: except };
+    tokenQuery.family = { $ne: except.toString() };
+  }
+  
+  const result = await Session.updateMany(sessionQuery, { $set: { revokedAt: now } });
+  await RefreshToken.updateMany(tokenQuery, { $set: { revokedAt: now } });
+  
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * A replayed (already rotated) token revokes its whole family
+ * @param {String} token - Raw refresh token
+ * @param {Object} [options] - Device info of the caller
+ * @returns {Object} User, access token and new refresh token
+ */
+const rotateRefreshToken = async (token, { device = null, ip = null } = {}) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashRefreshToken(token) });
+  
+  if (!existing) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+  
+  // Tokens of a session revoked from another device are simply invalid
+  const session = await Session.findById(existing.family);
+  if (!session || session.revokedAt) {
+    throw new AppError('Invalid refresh token', 401, 'Session has been signed out');
+  }
+  
+  if (existing.revokedAt) {
+    const revoked = await revokeTokenFamily(existing.family);
+    logger.warn(`Refresh token reuse detected for user ${existing.user}; revoked ${revoked} token(s) in family ${existing.family}`);
+    throw new AppError('Refresh token reuse detected', 401, 'Please log in again');
+  }
+  
+  if (existing.expiresAt <= new Date()) {
+    throw new AppError('Refresh token expired', 401, 'Please log in again');
+  }
+  
+  const user = await User.findById(existing.user);
+  
+  if (!user) {
+    throw new AppError('User not found', 401);
+  }
+  
+  if (!user.isActive) {
+    await revokeTokenFamily(existing.family);
+    throw new AppError('Account deactivated', 403, 'Your account has been deactivated');
+  }
+  
+  const { token: refreshToken, document } = await issueRefreshToken(user, {
+    family: existing.family,
+    device: device || existing.device,
+    ip: ip || existing.ip,
+  });
+  
+  // Mark the old token as used; only succeeds once under concurrent refreshes
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy: document.tokenHash } }
+  );
+  
+  if (!rotated) {
+    await revokeTokenFamily(existing.family);
+    throw new AppError('Refresh token reuse detected', 401, 'Please log in again');
+  }
+  
+  await Session.updateOne({ _id: existing.family }, {
+    $set: {
+      lastUsedAt: new Date(),
+      ip: ip || existing.ip,
+      expiresAt: document.expiresAt,
+    },
+  });
+  
+  return {
+    user,
+    token: generateToken(user, existing.family),
+    refreshToken,
+  };
+};
+
+/**
+ * Revoke the family of a refresh token (logout from one device)
+ * @param {String} token - Raw refresh token
+ * @returns {Boolean} Whether the token was known
+ */
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashRefreshToken(token) });
+  
+  if (!existing) {
+    return false;
+  }
+  
+  await revokeTokenFamily(existing.family);
+  return true;
+};
+
 /**
  * Validate password strength
  * @param {String} password - Password to validate
@@ -153,8 +376,16 @@ const calculatePasswordStrength = (password) => {
 
 module.exports = {
   generateToken,
+  issueRefreshToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeUserTokens,
+  hashRefreshToken,
   verifyToken,
   extractToken,
+  authenticateToken,
   getUserFromToken,
   validatePassword,
   calculatePasswordStrength,
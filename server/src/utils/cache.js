@@ -0,0 +1,49 @@
+/**
+ * Create a small in-process cache with per-entry expiry
+ * Oldest entries are evicted first once `maxEntries` is reached
+ * @param {Object} [options] - Cache options
+ * @param {Number} [options.ttlMs] - Time to live of an entry
+ * @param {Number} [options.maxEntries] - Maximum number of entries
+ * @returns {Object} Cache with get/set/delete/clear
+ */
+const createCache = ({ ttlMs = 5 * 60 * 1000, maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+
+    if (entries.size >= maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,171 @@
+// Beyond this many edits, report a full replacement instead of a minimal diff
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Compute the shortest edit script between two token arrays (Myers' algorithm)
+ * @param {Array} a - Old tokens
+ * @param {Array} b - New tokens
+ * @returns {Array|null} Operations, or null when the edit distance is too large
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  // Diagonals never leave [-d, d], so the arrays only need to span the cap
+  const span = Math.min(max, MAX_EDIT_DISTANCE);
+  const offset = span + 1;
+  const v = new Array(2 * span + 3).fill(0);
+  const trace = [];
+
+  // Forward pass: record the furthest reaching path for every edit distance
+  let done = false;
+  for (let d = 0; d <= max && !done; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return null;
+    }
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack from the end to recover the operations
+  const operations = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && snapshot[offset + k - 1] < snapshot[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = snapshot[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      operations.push({ type: 'equal', value: a[x - 1] });
+      x -= 1;
+      y -= 1;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        operations.push({ type: 'added', value: b[y - 1] });
+      } else {
+        operations.push({ type: 'removed', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return operations.reverse();
+};
+
+/**
+ * Diff two token arrays
+ * Common prefix and suffix are matched up front to keep the search small
+ * @param {Array} a - Old tokens
+ * @param {Array} b - New tokens
+ * @returns {Array} Operations: { type: 'equal' | 'added' | 'removed', value }
+ */
+const diffTokens = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map(value => ({ type: 'removed', value })),
+    ...middleB.map(value => ({ type: 'added', value })),
+  ];
+
+  return [
+    ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...middle,
+    ...a.slice(endA).map(value => ({ type: 'equal', value })),
+  ];
+};
+
+/**
+ * Merge consecutive operations of the same type
+ * @param {Array} operations - Token operations
+ * @param {String} separator - Joiner for merged values
+ * @returns {Array} Merged operations
+ */
+const mergeOperations = (operations, separator) => operations.reduce((merged, operation) => {
+  const last = merged[merged.length - 1];
+  if (last && last.type === operation.type) {
+    last.value = `${last.value}${separator}${operation.value}`;
+  } else {
+    merged.push({ ...operation });
+  }
+  return merged;
+}, []);
+
+/**
+ * Line-by-line diff of two texts
+ * @param {String} oldText - Previous text
+ * @param {String} newText - Current text
+ * @returns {Array} Merged operations, values joined with newlines
+ */
+const diffLines = (oldText = '', newText = '') => mergeOperations(
+  diffTokens((oldText || '').split('\n'), (newText || '').split('\n')),
+  '\n'
+);
+
+/**
+ * Word-by-word diff of two texts (whitespace is kept as its own token)
+ * @param {String} oldText - Previous text
+ * @param {String} newText - Current text
+ * @returns {Array} Merged operations
+ */
+const diffWords = (oldText = '', newText = '') => {
+  const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token !== '');
+  return mergeOperations(diffTokens(tokenize(oldText), tokenize(newText)), '');
+};
+
+/**
+ * Summarize a diff
+ * @param {Array} operations - Diff operations
+ * @returns {Object} Counts of added and removed chunks
+ */
+const summarizeDiff = (operations) => ({
+  added: operations.filter(operation => operation.type === 'added').length,
+  removed: operations.filter(operation => operation.type === 'removed').length,
+});
+
+module.exports = {
+  diffTokens,
+  diffLines,
+  diffWords,
+  summarizeDiff,
+};
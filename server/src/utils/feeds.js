@@ -0,0 +1,149 @@
+// Builders for RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents
+//
+// Every builder takes the same description of a feed:
+//   { title, description, siteUrl, feedUrl, updated, items }
+// where each item is
+//   { url, title, summary, content, published, updated, author, categories }
+// and `content` is HTML (null when the feed only carries summaries).
+
+const FEED_FORMATS = {
+  rss: { file: 'rss.xml', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { file: 'atom.xml', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { file: 'feed.json', contentType: 'application/feed+json; charset=utf-8' },
+};
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Control characters are not allowed in XML 1.0 at all
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * Build an XML element, skipping empty values
+ * @param {String} name - Element name
+ * @param {*} value - Text content
+ * @param {String} [attributes] - Raw attribute string
+ * @returns {String} Element, or an empty string
+ */
+const element = (name, value, attributes = '') => (value === null || value === undefined || value === ''
+  ? ''
+  : `<${name}${attributes}>${escapeXml(value)}</${name}>`);
+
+const lines = parts => parts.filter(Boolean).join('\n');
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildRss = feed => lines([
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" '
+    + 'xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+  '<channel>',
+  element('title', feed.title),
+  element('link', feed.siteUrl),
+  element('description', feed.description),
+  `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+  element('lastBuildDate', feed.updated && feed.updated.toUTCString()),
+  ...feed.items.map(item => lines([
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.url, ' isPermaLink="true"'),
+    element('description', item.summary),
+    item.content ? `<content:encoded><![CDATA[${item.content.replace(/]]>/g, ']]]]><![CDATA[>')}]]></content:encoded>` : '',
+    element('dc:creator', item.author),
+    element('pubDate', item.published && item.published.toUTCString()),
+    ...item.categories.map(category => element('category', category)),
+    '</item>',
+  ])),
+  '</channel>',
+  '</rss>',
+]);
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - Feed description
+ * @returns {String} XML
+ */
+const buildAtom = feed => lines([
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  element('id', feed.feedUrl),
+  element('title', feed.title),
+  element('subtitle', feed.description),
+  `<link href="${escapeXml(feed.siteUrl)}"/>`,
+  `<link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/atom+xml"/>`,
+  element('updated', (feed.updated || new Date(0)).toISOString()),
+  ...feed.items.map(item => lines([
+    '<entry>',
+    element('id', item.url),
+    element('title', item.title),
+    `<link href="${escapeXml(item.url)}"/>`,
+    element('published', item.published && item.published.toISOString()),
+    element('updated', (item.updated || item.published).toISOString()),
+    item.author ? `<author>${element('name', item.author)}</author>` : '',
+    element('summary', item.summary),
+    element('content', item.content, ' type="html"'),
+    ...item.categories.map(category => `<category term="${escapeXml(category)}"/>`),
+    '</entry>',
+  ])),
+  '</feed>',
+]);
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - Feed description
+ * @returns {String} JSON
+ */
+const buildJsonFeed = feed => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  items: feed.items.map(item => ({
+    id: item.url,
+    url: item.url,
+    title: item.title,
+    summary: item.summary || undefined,
+    // JSON Feed requires one of content_html and content_text
+    ...(item.content ? { content_html: item.content } : { content_text: item.summary || '' }),
+    date_published: item.published ? item.published.toISOString() : undefined,
+    date_modified: item.updated ? item.updated.toISOString() : undefined,
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.length ? item.categories : undefined,
+  })),
+}, null, 2);
+
+const BUILDERS = {
+  rss: buildRss,
+  atom: buildAtom,
+  json: buildJsonFeed,
+};
+
+/**
+ * Render a feed in one of the supported formats
+ * @param {String} format - rss, atom or json
+ * @param {Object} feed - Feed description
+ * @returns {String} Document
+ */
+const renderFeed = (format, feed) => BUILDERS[format](feed);
+
+module.exports = {
+  FEED_FORMATS,
+  escapeXml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  renderFeed,
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const logger = require('./logger');
+const { getSchedulerStatus } = require('../jobs/publishScheduler');
+const { isShuttingDown } = require('./shutdown');
+
+// A dependency that takes longer than this to answer counts as down
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+// A heartbeat is stale once this many intervals pass without a successful run
+const MAX_MISSED_HEARTBEATS = 3;
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {Number} ms - Timeout
+ * @returns {Promise} Promise result
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Check the database connection with a ping
+ * @returns {Object} Check result with readyState and latency
+ */
+const checkDatabase = async () => {
+  const { readyState } = mongoose.connection;
+  const result = {
+    status: 'ok',
+    readyState,
+    state: CONNECTION_STATES[readyState] || 'unknown',
+  };
+
+  if (readyState !== 1) {
+    return { ...result, status: 'fail', error: 'Database is not connected' };
+  }
+
+  const start = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), CHECK_TIMEOUT_MS);
+    return { ...result, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ...result, status: 'fail', error: error.message };
+  }
+};
+
+/**
+ * Check that the log directory accepts writes
+ * @returns {Object} Check result
+ */
+const checkLogDirectory = async () => {
+  if (!logger.logDir) {
+    return { status: 'skipped', reason: 'File logging is disabled' };
+  }
+
+  try {
+    await fs.promises.access(logger.logDir, fs.constants.W_OK);
+    return { status: 'ok', path: logger.logDir };
+  } catch (error) {
+    return { status: 'fail', path: logger.logDir, error: error.message };
+  }
+};
+
+/**
+ * Check that the publish scheduler keeps succeeding
+ * @returns {Object} Check result with the age of the last successful run
+ */
+const checkScheduler = async () => {
+  const scheduler = getSchedulerStatus();
+
+  if (!scheduler.started) {
+    return { status: 'skipped', reason: 'Scheduler is not running' };
+  }
+
+  const lastBeat = scheduler.lastSuccessAt || scheduler.startedAt;
+  const ageMs = Date.now() - lastBeat.getTime();
+  const maxAgeMs = scheduler.intervalMs * MAX_MISSED_HEARTBEATS;
+
+  const result = {
+    status: ageMs <= maxAgeMs ? 'ok' : 'fail',
+    lastSuccessAt: scheduler.lastSuccessAt,
+    ageMs,
+    maxAgeMs,
+  };
+
+  if (scheduler.lastError) {
+    result.lastError = scheduler.lastError;
+  }
+
+  return result;
+};
+
+const checks = {
+  database: checkDatabase,
+  logDirectory: checkLogDirectory,
+  scheduler: checkScheduler,
+};
+
+/**
+ * Run every readiness check
+ * @returns {Object} `ready` flag and per-check breakdown
+ */
+const getReadiness = async () => {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => checks[name]()));
+
+  const breakdown = {};
+  names.forEach((name, index) => {
+    breakdown[name] = results[index];
+  });
+
+  const shuttingDown = isShuttingDown();
+  const ready = !shuttingDown && results.every(result => result.status !== 'fail');
+
+  return {
+    ready,
+    shuttingDown,
+    checks: breakdown,
+  };
+};
+
+module.exports = {
+  getReadiness,
+  checkDatabase,
+  checkLogDirectory,
+  checkScheduler,
+};
@@ -1,4 +1,6 @@
 const winston = require('winston');
+require('winston-daily-rotate-file');
+const { getContext } = require('./requestContext');
 
 // Define log levels
 const levels = {
@@ -21,67 +23,172 @@ const colors = {
 // Add colors to winston
 winston.addColors(colors);
 
-// Define log format
-const format = winston.format.combine(
-  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
-  winston.format.colorize({ all: true }),
-  winston.format.printf(
-    (info) => `${info.timestamp} ${info.level}: ${info.message}`,
-  ),
+// pretty: colorized lines for humans, json: one JSON object per line for log aggregators
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'pretty';
+
+// Rotation settings for the files in LOG_DIR
+const LOG_DIR = process.env.LOG_DIR || 'logs';
+const LOG_MAX_SIZE = process.env.LOG_MAX_SIZE || '20m';
+const LOG_MAX_FILES = process.env.LOG_MAX_FILES || '14d';
+
+/**
+ * Turn an error into a plain object that survives JSON serialization
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Error name, message, status, code and stack
+ */
+const serializeError = (error) => {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+  };
+
+  if (error.statusCode) serialized.statusCode = error.statusCode;
+  if (error.code) serialized.code = error.code;
+  if (error.details) serialized.details = error.details;
+  if (error.stack) serialized.stack = error.stack;
+
+  return serialized;
+};
+
+// Tag every line with the request and user it was logged from
+const requestContext = winston.format((info) => {
+  const context = getContext();
+  if (context) {
+    if (!info.requestId && context.requestId) info.requestId = context.requestId;
+    if (!info.userId && context.userId) info.userId = context.userId;
+  }
+  return info;
+});
+
+// Winston keeps the original level of an entry under this symbol
+const LEVEL = Symbol.for('level');
+
+// Errors passed straight to logger.error(err) become a structured `error` field
+const structuredError = winston.format((info) => {
+  if (info instanceof Error) {
+    return {
+      [LEVEL]: info[LEVEL],
+      level: info.level,
+      message: info.message,
+      error: serializeError(info),
+    };
+  }
+  if (info.error instanceof Error) {
+    info.error = serializeError(info.error);
+  }
+  return info;
+});
+
+// Shared by every transport
+const baseFormat = winston.format.combine(
+  requestContext(),
+  structuredError(),
+  // JSON entries keep ISO timestamps so aggregators can parse them
+  LOG_FORMAT === 'json'
+    ? winston.format.timestamp()
+    : winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
 );
 
-// Define which logs to print based on environment
+/**
+ * Render a log entry as a single human readable line
+ * Error entries carry their route, user, IP and stack trace
+ * @param {Object} info - Winston log entry
+ * @returns {String} Log line
+ */
+const prettyLine = (info) => {
+  let line = `${info.timestamp} ${info.level}:${info.requestId ? ` [${info.requestId}]` : ''} ${info.message}`;
+
+  if (info.error) {
+    if (info.route) line += ` | Route: ${info.method} ${info.route}`;
+    if (info.userId) line += ` | User: ${info.userId}`;
+    if (info.ip) line += ` | IP: ${info.ip}`;
+    if (info.error.stack) line += `\nStack: ${info.error.stack}`;
+  }
+
+  return line;
+};
+
+/**
+ * Build the output format of a transport
+ * @param {Object} [options] - Format options
+ * @param {Boolean} [options.colorize] - Colorize pretty output
+ * @returns {Object} Winston format
+ */
+const outputFormat = ({ colorize = false } = {}) => {
+  if (LOG_FORMAT === 'json') {
+    return winston.format.json();
+  }
+
+  return colorize
+    ? winston.format.combine(winston.format.colorize({ all: true }), winston.format.printf(prettyLine))
+    : winston.format.printf(prettyLine);
+};
+
+// Define which logs to print based on environment, unless LOG_LEVEL says otherwise
 const level = () => {
+  if (process.env.LOG_LEVEL && levels[process.env.LOG_LEVEL] !== undefined) {
+    return process.env.LOG_LEVEL;
+  }
+
   const env = process.env.NODE_ENV || 'development';
   const isDevelopment = env === 'development';
   return isDevelopment ? 'debug' : 'warn';
 };
 
+/**
+ * Create a file transport that rotates daily and whenever the file exceeds LOG_MAX_SIZE
+ * The current file is always reachable through `<name>.log`
+ * @param {String} name - Base file name
+ * @param {Object} [options] - Extra transport options
+ * @returns {Object} Winston transport
+ */
+const rotatingFile = (name, options = {}) => new winston.transports.DailyRotateFile({
+  dirname: LOG_DIR,
+  filename: `${name}-%DATE%.log`,
+  datePattern: 'YYYY-MM-DD',
+  maxSize: LOG_MAX_SIZE,
+  maxFiles: LOG_MAX_FILES,
+  createSymlink: true,
+  symlinkName: `${name}.log`,
+  auditFile: `${LOG_DIR}/.${name}-audit.json`,
+  format: outputFormat(),
+  ...options,
+});
+
+// Tests don't log to files
+const logToFiles = process.env.NODE_ENV !== 'test';
+
 // Define which logs to print to files
 const transports = [
   // Console transport
-  new winston.transports.Console(),
-  
-  // File transport for errors
-  new winston.transports.File({
-    filename: 'logs/error.log',
-    level: 'error',
-  }),
-  
-  // File transport for all logs
-  new winston.transports.File({ 
-    filename: 'logs/all.log' 
-  }),
+  new winston.transports.Console({ format: outputFormat({ colorize: true }) }),
 ];
 
+if (logToFiles) {
+  transports.push(
+    // File transport for errors
+    rotatingFile('error', { level: 'error' }),
+
+    // File transport for all logs
+    rotatingFile('all'),
+  );
+}
+
 // Create the logger
 const logger = winston.createLogger({
   level: level(),
   levels,
-  format,
+  format: baseFormat,
   transports,
   
   // Do not exit on handled exceptions
   exitOnError: false,
   
   // Handle exceptions and rejections
-  exceptionHandlers: [
-    new winston.transports.File({ filename: 'logs/exceptions.log' }),
-  ],
-  rejectionHandlers: [
-    new winston.transports.File({ filename: 'logs/rejections.log' }),
-  ],
+  exceptionHandlers: logToFiles ? [rotatingFile('exceptions')] : [],
+  rejectionHandlers: logToFiles ? [rotatingFile('rejections')] : [],
 });
 
-// If we're not in production, don't log to files
-if (process.env.NODE_ENV === 'test') {
-  logger.transports.forEach((transport) => {
-    if (transport instanceof winston.transports.File) {
-      transport.silent = true;
-    }
-  });
-}
-
 // Add request logging helper
 logger.logRequest = (req, res, next) => {
   const start = Date.now();
@@ -89,11 +196,19 @@ logger.logRequest = (req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - start;
     const message = `${req.method} ${req.originalUrl} ${res.statusCode} - ${duration}ms`;
+    const meta = {
+      requestId: req.requestId,
+      userId: req.user ? req.user.id : undefined,
+      method: req.method,
+      route: req.originalUrl,
+      status: res.statusCode,
+      duration,
+    };
     
     if (res.statusCode >= 400) {
-      logger.error(message);
+      logger.error(message, meta);
     } else {
-      logger.http(message);
+      logger.http(message, meta);
     }
   });
   
@@ -102,23 +217,25 @@ logger.logRequest = (req, res, next) => {
 
 // Add error logging helper
 logger.logError = (error, req = null) => {
-  let message = `Error: ${error.message}`;
+  const meta = { error: serializeError(error) };
   
   if (req) {
-    message += ` | Route: ${req.method} ${req.originalUrl}`;
+    meta.requestId = req.requestId;
+    meta.method = req.method;
+    meta.route = req.originalUrl;
     if (req.user) {
-      message += ` | User: ${req.user.id}`;
+      meta.userId = req.user.id;
     }
     if (req.ip) {
-      message += ` | IP: ${req.ip}`;
+      meta.ip = req.ip;
     }
   }
   
-  if (error.stack) {
-    message += `\nStack: ${error.stack}`;
-  }
-  
-  logger.error(message);
+  logger.error(`Error: ${error.message}`, meta);
 };
 
+logger.serializeError = serializeError;
+logger.logFormat = LOG_FORMAT;
+logger.logDir = logToFiles ? LOG_DIR : null;
+
 module.exports = logger;
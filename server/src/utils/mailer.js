@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@mern-testing-app.local';
+
+/**
+ * Create an in-memory transport
+ * Sent messages are kept in `outbox` so tests can inspect them
+ * @returns {Object} Transport
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push(message);
+      return { id: message.id };
+    },
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+};
+
+/**
+ * Create a file transport
+ * Every message is written as a JSON file into the outbox directory
+ * @param {String} directory - Outbox directory
+ * @returns {Object} Transport
+ */
+const createFileTransport = (directory = process.env.MAIL_OUTBOX_DIR || 'mail-outbox') => ({
+  name: 'file',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const filename = path.join(directory, `${message.id}.json`);
+    await fs.promises.writeFile(filename, JSON.stringify(message, null, 2));
+    return { id: message.id, filename };
+  },
+});
+
+/**
+ * Create a transport for when no transport is configured
+ * Every send fails, so callers see the problem instead of mail silently piling up on disk
+ * @returns {Object} Transport
+ */
+const createUnconfiguredTransport = () => ({
+  name: 'unconfigured',
+  send: async () => {
+    throw new Error('No mail transport is configured; set MAIL_TRANSPORT or call setTransport()');
+  },
+});
+
+/**
+ * Pick the default transport from MAIL_TRANSPORT
+ * Without it, tests use memory and development writes files; other environments
+ * must configure one explicitly
+ * @returns {Object} Transport
+ */
+const createDefaultTransport = () => {
+  const env = process.env.NODE_ENV || 'development';
+  const type = process.env.MAIL_TRANSPORT
+    || { test: 'memory', development: 'file' }[env];
+
+  if (type === 'memory') {
+    return createMemoryTransport();
+  }
+  if (type === 'file') {
+    return createFileTransport();
+  }
+
+  logger.error(type
+    ? `Unknown MAIL_TRANSPORT "${type}"; emails will not be sent`
+    : `MAIL_TRANSPORT is not set in ${env}; emails will not be sent`);
+  return createUnconfiguredTransport();
+};
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the active transport (e.g. with an SMTP adapter)
+ * A transport is any object with an async `send(message)` method
+ * @param {Object} newTransport - Transport to use
+ */
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+};
+
+/**
+ * Get the active transport
+ * @returns {Object} Transport
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - Message options (to, subject, text, html)
+ * @returns {Object} Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Mail requires a recipient and a subject');
+  }
+
+  const message = {
+    id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString(),
+  };
+
+  const result = await transport.send(message);
+  logger.info(`Mail sent via ${transport.name || 'custom'} transport: "${subject}" to ${to}`);
+
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createMemoryTransport,
+  createFileTransport,
+  createDefaultTransport,
+};
@@ -0,0 +1,120 @@
+// Post content rendering: Markdown (or legacy HTML) in, sanitized HTML out
+//
+// Authors may mix raw HTML into their Markdown; whatever comes out of the
+// renderer goes through the same allowlist, so the stored HTML is safe to
+// insert into a page as-is.
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slug');
+
+const CONTENT_FORMATS = ['markdown', 'html'];
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...HEADINGS, 'p', 'br', 'hr', 'blockquote', 'pre', 'code', 'ul', 'ol', 'li',
+    'a', 'img', 'strong', 'em', 'b', 'i', 's', 'del', 'ins', 'sub', 'sup', 'kbd', 'mark',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'dl', 'dt', 'dd', 'figure', 'figcaption',
+  ],
+  allowedAttributes: {
+    ...Object.fromEntries(HEADINGS.map(tag => [tag, ['id']])),
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style'],
+  },
+  // Fenced code keeps its language for Prism or highlight.js on the client
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  // Table column alignment
+  allowedStyles: {
+    '*': { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener' }),
+  },
+};
+
+const markdown = new MarkdownIt({ html: true, linkify: true });
+
+/**
+ * Plain text of an inline token
+ * @param {Object} token - markdown-it inline token
+ * @returns {String} Text
+ */
+const inlineText = token => (token && token.children ? token.children : [])
+  .filter(child => child.type === 'text' || child.type === 'code_inline')
+  .map(child => child.content)
+  .join('')
+  .trim();
+
+// Give every heading an id unique within the post and list it in env.toc
+markdown.core.ruler.push('heading_anchors', (state) => {
+  const used = new Set();
+
+  state.tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const text = inlineText(state.tokens[index + 1]);
+    const base = slugify(text, 'section');
+    let id = base;
+    for (let suffix = 2; used.has(id); suffix += 1) {
+      id = `${base}-${suffix}`;
+    }
+    used.add(id);
+
+    token.attrSet('id', id);
+    if (state.env.toc) {
+      state.env.toc.push({ level: Number(token.tag.slice(1)), id, text });
+    }
+  });
+});
+
+/**
+ * Sanitize HTML against the post content allowlist
+ * @param {String} html - Untrusted HTML
+ * @returns {String} Safe HTML
+ */
+const sanitizeContent = html => sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+
+/**
+ * Render post content to sanitized HTML
+ * Legacy HTML content is sanitized only, so it has no heading anchors or table of contents
+ * @param {String} content - Post content
+ * @param {String} [format] - markdown or html
+ * @returns {Object} { html, toc: [{ level, id, text }] }
+ */
+const renderContent = (content, format = 'markdown') => {
+  const env = { toc: [] };
+  const html = format === 'html' ? String(content || '') : markdown.render(String(content || ''), env);
+  return { html: sanitizeContent(html), toc: env.toc };
+};
+
+/**
+ * Readable text of rendered HTML, for excerpts
+ * @param {String} html - Sanitized HTML
+ * @returns {String} Text with whitespace collapsed
+ */
+const htmlToText = html => sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+  sanitizeContent,
+  htmlToText,
+};
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const client = require('prom-client');
+
+// All metrics live in one registry served by GET /metrics
+const register = new client.Registry();
+
+// Process metrics: CPU, memory, GC, event-loop lag (nodejs_eventloop_lag_*)
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests handled',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const errorsTotal = new client.Counter({
+  name: 'http_errors_total',
+  help: 'Errors reaching the error handler, by classification',
+  labelNames: ['type', 'status'],
+  registers: [register],
+});
+
+const rateLimitRejectionsTotal = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register],
+});
+
+const mongooseQueryDuration = new client.Histogram({
+  name: 'mongoose_query_duration_seconds',
+  help: 'Mongoose query latency in seconds',
+  labelNames: ['model', 'operation'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register],
+});
+
+const mongodbPoolCheckedOut = new client.Gauge({
+  name: 'mongodb_pool_checked_out_connections',
+  help: 'Pool connections currently in use',
+  registers: [register],
+});
+
+const mongodbPoolConnectionsCreated = new client.Counter({
+  name: 'mongodb_pool_connections_created_total',
+  help: 'Pool connections opened',
+  registers: [register],
+});
+
+const mongodbPoolConnectionsClosed = new client.Counter({
+  name: 'mongodb_pool_connections_closed_total',
+  help: 'Pool connections closed',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+const mongodbPoolCheckoutFailures = new client.Counter({
+  name: 'mongodb_pool_checkout_failures_total',
+  help: 'Failed attempts to check a connection out of the pool',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+const mongooseConnectionState = new client.Gauge({
+  name: 'mongoose_connection_state',
+  help: 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  },
+});
+
+const QUERY_OPERATIONS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'estimatedDocumentCount',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+// Pending query timers, keyed by query/aggregate/document
+const queryTimers = new WeakMap();
+
+/**
+ * Mongoose plugin timing queries, aggregations and saves
+ * Registered globally below, so it applies to every model compiled afterwards
+ * @param {Object} schema - Mongoose schema
+ */
+const queryTimingPlugin = (schema) => {
+  const instrument = (operations, labelsOf) => {
+    schema.pre(operations, function startQueryTimer() {
+      const labels = labelsOf(this);
+      if (labels.model) {
+        queryTimers.set(this, mongooseQueryDuration.startTimer(labels));
+      }
+    });
+
+    const stopQueryTimer = (target) => {
+      const end = queryTimers.get(target);
+      if (end) {
+        queryTimers.delete(target);
+        end();
+      }
+    };
+
+    schema.post(operations, function onQuerySuccess() {
+      stopQueryTimer(this);
+    });
+    schema.post(operations, function onQueryError(error, res, next) {
+      stopQueryTimer(this);
+      next(error);
+    });
+  };
+
+  instrument(QUERY_OPERATIONS, query => ({ model: query.model && query.model.modelName, operation: query.op }));
+  instrument('aggregate', aggregate => ({ model: aggregate._model && aggregate._model.modelName, operation: 'aggregate' }));
+  instrument('save', doc => ({ model: doc.constructor.modelName, operation: 'save' }));
+};
+
+mongoose.plugin(queryTimingPlugin);
+
+// Clients whose pool events are already counted
+const trackedClients = new WeakSet();
+
+/**
+ * Count connection pool events of a MongoDB client
+ * @param {Object} mongoClient - Connected MongoClient
+ */
+const trackConnectionPool = (mongoClient) => {
+  if (!mongoClient || trackedClients.has(mongoClient)) {
+    return;
+  }
+  trackedClients.add(mongoClient);
+
+  mongoClient.on('connectionCreated', () => mongodbPoolConnectionsCreated.inc());
+  mongoClient.on('connectionClosed', event => mongodbPoolConnectionsClosed.inc({ reason: event.reason }));
+  mongoClient.on('connectionCheckedOut', () => mongodbPoolCheckedOut.inc());
+  mongoClient.on('connectionCheckedIn', () => mongodbPoolCheckedOut.dec());
+  mongoClient.on('connectionCheckOutFailed', event => mongodbPoolCheckoutFailures.inc({ reason: event.reason }));
+};
+
+// Path segments that are IDs rather than part of a route
+const ID_SEGMENT = /^([0-9a-f]{24}|\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Get the route template a request matched, e.g. /api/posts/:id/comments/:commentId
+ * Templates keep the label set small; raw URLs would create a series per ID
+ * @param {Object} req - Express request object
+ * @returns {String} Route template, or `unmatched` if no route handled the request
+ */
+const routeTemplate = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  // The matched route path only covers the part below its router mount point
+  const routeSegments = String(req.route.path).split('/').filter(Boolean);
+  const urlSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const mountSegments = urlSegments.slice(0, Math.max(urlSegments.length - routeSegments.length, 0));
+
+  // Mount points of nested routers can hold params too (/api/posts/:id/comments)
+  const paramNames = new Map(Object.entries(req.params || {}).map(([name, value]) => [String(value), name]));
+  const templatedMount = mountSegments.map((segment) => {
+    let value = segment;
+    try {
+      value = decodeURIComponent(segment);
+    } catch (error) {
+      return ':param';
+    }
+
+    if (paramNames.has(value)) {
+      return `:${paramNames.get(value)}`;
+    }
+    return ID_SEGMENT.test(value) ? ':id' : segment;
+  });
+
+  return `/${[...templatedMount, ...routeSegments].join('/')}`;
+};
+
+module.exports = {
+  register,
+  httpRequestsTotal,
+  httpRequestDuration,
+  errorsTotal,
+  rateLimitRejectionsTotal,
+  mongooseQueryDuration,
+  mongooseConnectionState,
+  trackConnectionPool,
+  routeTemplate,
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Lease = require('../models/Lease');
+const Migration = require('../models/Migration');
+const logger = require('./logger');
+const { slugify } = require('./slug');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+const LOCK_NAME = 'migrations';
+
+// The lock is renewed before every migration; one migration may run this long
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// How long a second deploy waits for the first one to finish
+const LOCK_TIMEOUT_MS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS, 10) || 60000;
+const LOCK_POLL_MS = 1000;
+
+const TEMPLATE = `// Use \`db\` (the native driver) rather than the models: they describe today's
+// schema, not the one this migration was written against
+module.exports = {
+  description: '__DESCRIPTION__',
+
+  async up({ db }) {
+    // await db.collection('posts').updateMany({ ... }, { $set: { ... } });
+  },
+
+  async down({ db }) {
+    // Undo up, or leave empty if the change can't be undone
+  },
+};
+`;
+
+/**
+ * Load the migration files of a directory, oldest first
+ * @param {String} [dir] - Migrations directory
+ * @returns {Array} Migrations: { name, description, up, down }
+ * @throws {Error} When a file does not export up and down functions
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      const name = path.basename(file, '.js');
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${name} must export up and down functions`);
+      }
+
+      return {
+        name,
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down,
+      };
+    });
+};
+
+/**
+ * Compare the migration files with the migrations collection
+ * @param {Object} [options] - Options
+ * @param {String} [options.dir] - Migrations directory
+ * @returns {Promise<Array>} { name, description, status (applied, pending or missing), appliedAt }
+ */
+const getMigrationStatus = async ({ dir = MIGRATIONS_DIR } = {}) => {
+  const migrations = loadMigrations(dir);
+  const applied = await Migration.find().lean();
+  const appliedByName = new Map(applied.map(record => [record._id, record]));
+
+  const status = migrations.map(migration => ({
+    name: migration.name,
+    description: migration.description,
+    status: appliedByName.has(migration.name) ? 'applied' : 'pending',
+    appliedAt: appliedByName.has(migration.name) ? appliedByName.get(migration.name).appliedAt : null,
+  }));
+
+  // Applied on this database but no longer in the directory
+  const known = new Set(migrations.map(migration => migration.name));
+  applied
+    .filter(record => !known.has(record._id))
+    .forEach((record) => {
+      status.push({
+        name: record._id,
+        description: '',
+        status: 'missing',
+        appliedAt: record.appliedAt,
+      });
+    });
+
+  return status.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Run a function while holding the migrations lock
+ * Waits for a concurrent run to finish, then fails after `timeoutMs`
+ * @param {Function} fn - Work to run
+ * @param {Object} [options] - Options
+ * @param {Number} [options.timeoutMs] - How long to wait for the lock
+ * @returns {Promise<*>} Result of fn
+ */
+const withMigrationLock = async (fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) => {
+  // One owner per run, so two runs in the same process still exclude each other
+  const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  const deadline = Date.now() + timeoutMs;
+
+  while (!(await Lease.acquire(LOCK_NAME, owner, LOCK_TTL_MS))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Another migration run holds the lock (waited ${timeoutMs}ms)`);
+    }
+    logger.info('Waiting for another migration run to finish');
+    await new Promise(resolve => setTimeout(resolve, Math.min(LOCK_POLL_MS, Math.max(deadline - Date.now(), 0))));
+  }
+
+  const renewLock = async () => {
+    if (!(await Lease.acquire(LOCK_NAME, owner, LOCK_TTL_MS))) {
+      throw new Error('Lost the migrations lock: a migration ran longer than the lock lasts');
+    }
+  };
+
+  try {
+    return await fn(renewLock);
+  } finally {
+    await Lease.release(LOCK_NAME, owner);
+  }
+};
+
+/**
+ * Arguments passed to up and down
+ * @returns {Object} { db, mongoose, logger }
+ */
+const migrationContext = () => ({
+  db: mongoose.connection.db,
+  mongoose,
+  logger,
+});
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} [options] - Options
+ * @param {String} [options.dir] - Migrations directory
+ * @param {String} [options.to] - Stop after this migration
+ * @param {Number} [options.lockTimeoutMs] - How long to wait for the lock
+ * @returns {Promise<Array>} Names of the applied migrations
+ */
+const migrateUp = async ({ dir = MIGRATIONS_DIR, to, lockTimeoutMs } = {}) => {
+  const migrations = loadMigrations(dir);
+
+  if (to && !migrations.some(migration => migration.name === to)) {
+    throw new Error(`Unknown migration ${to}`);
+  }
+
+  return withMigrationLock(async (renewLock) => {
+    // Read under the lock: a concurrent run may have just applied some
+    const applied = new Set((await Migration.find().select('_id').lean()).map(record => record._id));
+    const target = to ? migrations.findIndex(migration => migration.name === to) : migrations.length - 1;
+    const pending = migrations.slice(0, target + 1).filter(migration => !applied.has(migration.name));
+    const done = [];
+
+    for (const migration of pending) {
+      await renewLock();
+      const start = Date.now();
+      logger.info(`Applying migration ${migration.name}`);
+
+      try {
+        await migration.up(migrationContext());
+      } catch (error) {
+        error.message = `Migration ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+
+      await Migration.create({ _id: migration.name, durationMs: Date.now() - start });
+      done.push(migration.name);
+    }
+
+    return done;
+  }, { timeoutMs: lockTimeoutMs });
+};
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} [options] - Options
+ * @param {String} [options.dir] - Migrations directory
+ * @param {Number} [options.steps] - How many migrations to roll back
+ * @param {Number} [options.lockTimeoutMs] - How long to wait for the lock
+ * @returns {Promise<Array>} Names of the rolled back migrations
+ */
+const migrateDown = async ({ dir = MIGRATIONS_DIR, steps = 1, lockTimeoutMs } = {}) => {
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.name, migration]));
+
+  return withMigrationLock(async (renewLock) => {
+    const applied = await Migration.find().sort({ _id: -1 }).limit(steps).lean();
+    const done = [];
+
+    for (const record of applied) {
+      const migration = migrations.get(record._id);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${record._id}: its file is missing`);
+      }
+
+      await renewLock();
+      logger.info(`Rolling back migration ${migration.name}`);
+
+      try {
+        await migration.down(migrationContext());
+      } catch (error) {
+        error.message = `Rolling back ${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+
+      await Migration.deleteOne({ _id: migration.name });
+      done.push(migration.name);
+    }
+
+    return done;
+  }, { timeoutMs: lockTimeoutMs });
+};
+
+/**
+ * Write a new, empty migration file
+ * @param {String} description - What the migration does
+ * @param {Object} [options] - Options
+ * @param {String} [options.dir] - Migrations directory
+ * @param {Date} [options.now] - Creation time, used for the file name
+ * @returns {String} Path of the new file
+ */
+const createMigration = (description, { dir = MIGRATIONS_DIR, now = new Date() } = {}) => {
+  const slug = slugify(description || '');
+  if (!slug) {
+    throw new Error('A migration needs a name, e.g. "backfill post slugs"');
+  }
+
+  const timestamp = now.toISOString().replace(/\D/g, '').slice(0, 14);
+  const file = path.join(dir, `${timestamp}-${slug}.js`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  const literal = description.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  fs.writeFileSync(file, TEMPLATE.replace('__DESCRIPTION__', () => literal), { flag: 'wx' });
+
+  return file;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  withMigrationLock,
+};
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { query } = require('./validation');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Encode a cursor pointing at an item of a sorted list
+ * The cursor records the sort it was made for, so it can't be replayed against another
+ * @param {Object} item - Item the cursor points at
+ * @param {String} sortBy - Sort field
+ * @param {String} sortOrder - asc or desc
+ * @param {String} direction - next (items after the item) or prev (items before it)
+ * @returns {String} Opaque base64url cursor
+ */
+const encodeCursor = (item, sortBy, sortOrder, direction) => {
+  const value = item[sortBy];
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    t: value instanceof Date ? 'date' : undefined,
+    id: String(item._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {String} cursor - Cursor from a previous response
+ * @param {String} sortBy - Sort field of the current request
+ * @param {String} sortOrder - Sort order of the current request
+ * @returns {Object} { value, id, direction }
+ * @throws {AppError} 400 when the cursor is malformed or was made for another sort
+ */
+const decodeCursor = (cursor, sortBy, sortOrder) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400, 'The cursor is malformed');
+  }
+
+  if (!payload || !mongoose.isValidObjectId(payload.id) || !['next', 'prev'].includes(payload.d)) {
+    throw new AppError('Invalid cursor', 400, 'The cursor is malformed');
+  }
+
+  if (payload.s !== sortBy || payload.o !== sortOrder) {
+    throw new AppError('Invalid cursor', 400, 'The cursor was made for a different sort order');
+  }
+
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw new AppError('Invalid cursor', 400, 'The cursor is malformed');
+  }
+
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(payload.id),
+    direction: payload.d,
+  };
+};
+
+/**
+ * Build the filter for the items after a cursor position, in scan order
+ * MongoDB sorts null before any other value, which the $or branches account for
+ * @param {String} field - Sort field
+ * @param {*} value - Sort value at the cursor
+ * @param {ObjectId} id - _id at the cursor (tie-breaker)
+ * @param {Number} order - 1 when scanning ascending, -1 when descending
+ * @returns {Object} MongoDB filter
+ */
+const afterPosition = (field, value, id, order) => {
+  const beyond = order === 1 ? '$gt' : '$lt';
+  const sameValue = { [field]: value, _id: { [beyond]: id } };
+
+  if (value === null) {
+    // Ascending: every non-null value comes after the nulls; descending: nothing but nulls
+    return order === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const branches = [{ [field]: { [beyond]: value } }, sameValue];
+  if (order === -1) {
+    branches.push({ [field]: null });
+  }
+  return { $or: branches };
+};
+
+/**
+ * Validators for the cursor pagination query parameters
+ * @returns {Array} express-validator chains for cursor, paginate and includeTotal
+ */
+const cursorQueryValidators = () => [
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Cursor must come from a previous response'),
+
+  query('paginate')
+    .optional()
+    .isIn(['offset', 'cursor'])
+    .withMessage('Paginate must be offset or cursor'),
+
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be a boolean'),
+];
+
+/**
+ * Read the pagination query parameters of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { page, limit, cursor, mode, includeTotal } for paginate
+ */
+const paginationOptions = req => ({
+  page: parseInt(req.query.page, 10) || 1,
+  limit: parseInt(req.query.limit, 10) || 10,
+  cursor: req.query.cursor,
+  mode: req.query.cursor ? 'cursor' : (req.query.paginate || 'offset'),
+  includeTotal: req.query.includeTotal !== 'false',
+});
+
+/**
+ * Fetch one page of a sorted list, by page number or by cursor
+ * @param {Object} options - Options
+ * @param {Object} options.model - Mongoose model
+ * @param {Object} options.filter - MongoDB filter
+ * @param {String} options.sortBy - Sort field
+ * @param {String} [options.sortOrder] - asc or desc
+ * @param {Object} [options.sort] - Extra sort keys for offset mode, after sortBy
+ * @param {Number} [options.limit] - Page size
+ * @param {Number} [options.page] - Page number (offset mode)
+ * @param {String} [options.cursor] - Cursor from a previous response (cursor mode)
+ * @param {String} [options.mode] - offset or cursor; a cursor implies cursor mode
+ * @param {Boolean} [options.includeTotal] - Whether to count the matching items
+ * @param {Function} [options.prepare] - Adds populate/select calls to the query
+ * @returns {Promise<Object>} { items, pagination }
+ */
+const paginate = async ({
+  model,
+  filter,
+  sortBy,
+  sortOrder = 'desc',
+  sort = {},
+  limit = 10,
+  page = 1,
+  cursor,
+  mode = 'offset',
+  includeTotal = true,
+  prepare = find => find,
+}) => {
+  const order = sortOrder === 'asc' ? 1 : -1;
+  const countTotal = () => (includeTotal ? model.countDocuments(filter) : Promise.resolve(undefined));
+
+  if (mode !== 'cursor' && !cursor) {
+    // One extra item tells whether there is a next page without counting
+    const [found, totalItems] = await Promise.all([
+      prepare(model.find(filter))
+        .sort({ [sortBy]: order, ...sort, _id: order })
+        .skip((page - 1) * limit)
+        .limit(limit + 1)
+        .lean(),
+      countTotal(),
+    ]);
+
+    const pagination = {
+      current: page,
+      hasNext: found.length > limit,
+      hasPrev: page > 1,
+      limit,
+    };
+    if (totalItems !== undefined) {
+      pagination.total = Math.ceil(totalItems / limit);
+      pagination.totalItems = totalItems;
+    }
+
+    return { items: found.slice(0, limit), pagination };
+  }
+
+  const position = cursor ? decodeCursor(cursor, sortBy, sortOrder) : null;
+  const backwards = Boolean(position) && position.direction === 'prev';
+  const scanOrder = backwards ? -order : order;
+
+  // Kept next to the other conditions: $text must stay at the top level
+  const scanFilter = position
+    ? { ...filter, $and: [...(filter.$and || []), afterPosition(sortBy, position.value, position.id, scanOrder)] }
+    : filter;
+
+  const [found, totalItems] = await Promise.all([
+    prepare(model.find(scanFilter))
+      .sort({ [sortBy]: scanOrder, _id: scanOrder })
+      .limit(limit + 1)
+      .lean(),
+    countTotal(),
+  ]);
+
+  const hasMore = found.length > limit;
+  const items = found.slice(0, limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const hasNext = backwards ? Boolean(position) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+
+  const pagination = {
+    hasNext,
+    hasPrev,
+    limit,
+    nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], sortBy, sortOrder, 'next') : null,
+    prevCursor: hasPrev && items.length ? encodeCursor(items[0], sortBy, sortOrder, 'prev') : null,
+  };
+  if (totalItems !== undefined) {
+    pagination.totalItems = totalItems;
+  }
+
+  return { items, pagination };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorQueryValidators,
+  paginationOptions,
+  paginate,
+};
@@ -0,0 +1,47 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds per-request values (requestId, ...) across every async hop of a request
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ * @param {Object} context - Values visible to everything the function triggers
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the context of the current request
+ * @returns {Object|null} Context or null outside a request
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Get the ID of the current request
+ * @returns {String|null} Request ID or null outside a request
+ */
+const getRequestId = () => {
+  const context = getContext();
+  return context ? context.requestId : null;
+};
+
+/**
+ * Set a value on the current request context
+ * Does nothing outside a request
+ * @param {String} key - Context key
+ * @param {*} value - Value to store
+ */
+const setContextValue = (key, value) => {
+  const context = getContext();
+  if (context) {
+    context[key] = value;
+  }
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getRequestId,
+  setContextValue,
+};
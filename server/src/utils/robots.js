@@ -0,0 +1,55 @@
+/**
+ * Split a comma-separated environment variable
+ * @param {String} value - "/api/,/admin"
+ * @returns {Array} Trimmed, non-empty values
+ */
+const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Read the robots.txt rules from the environment
+ * ROBOTS_DISALLOW_ALL keeps every crawler out (staging); ROBOTS_ALLOW and
+ * ROBOTS_DISALLOW are comma-separated paths; ROBOTS_CRAWL_DELAY is in seconds
+ * @returns {Object} { disallowAll, allow, disallow, crawlDelay }
+ */
+const robotsRules = () => ({
+  disallowAll: process.env.ROBOTS_DISALLOW_ALL === 'true',
+  allow: list(process.env.ROBOTS_ALLOW),
+  disallow: list(process.env.ROBOTS_DISALLOW ?? '/api/'),
+  crawlDelay: parseInt(process.env.ROBOTS_CRAWL_DELAY, 10) || null,
+});
+
+/**
+ * Build a robots.txt document
+ * @param {Object} rules - Result of robotsRules
+ * @param {String} [sitemapUrl] - Absolute URL of the sitemap
+ * @returns {String} robots.txt
+ */
+const buildRobotsTxt = (rules, sitemapUrl) => {
+  const lines = ['User-agent: *'];
+
+  if (rules.disallowAll) {
+    lines.push('Disallow: /');
+  } else {
+    rules.allow.forEach(path => lines.push(`Allow: ${path}`));
+    rules.disallow.forEach(path => lines.push(`Disallow: ${path}`));
+    // An empty Disallow is how robots.txt says "everything is allowed"
+    if (!rules.allow.length && !rules.disallow.length) {
+      lines.push('Disallow:');
+    }
+  }
+
+  if (rules.crawlDelay) {
+    lines.push(`Crawl-delay: ${rules.crawlDelay}`);
+  }
+
+  if (sitemapUrl && !rules.disallowAll) {
+    lines.push('', `Sitemap: ${sitemapUrl}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  robotsRules,
+  buildRobotsTxt,
+};
@@ -0,0 +1,172 @@
+const { escapeRegExp } = require('./slug');
+const { htmlToText } = require('./markdown');
+
+// Characters around a match shown in a snippet
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a search query into words, quoted phrases and exclusions
+ * `react "state management" -redux -"class components"`
+ * @param {String} text - Search query
+ * @returns {Object} { terms, phrases, excluded }
+ */
+const parseSearchQuery = (text) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokens = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = tokens.exec(String(text))) !== null) {
+    const negated = Boolean(match[1] || match[3]);
+    const phrase = match[2] !== undefined;
+    const value = (phrase ? match[2] : match[4]).trim().replace(/\s+/g, ' ');
+
+    // A lone "-" or an empty phrase carries nothing to search for
+    if (!value || value === '-') {
+      continue;
+    }
+
+    if (negated) {
+      parsed.excluded.push(value);
+    } else if (phrase) {
+      parsed.phrases.push(value);
+    } else {
+      parsed.terms.push(value);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Whether a parsed query has anything to match (exclusions alone match nothing)
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Boolean}
+ */
+const hasSearchTerms = parsed => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * Rebuild the $search string MongoDB expects from a parsed query
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {String} Text search string
+ */
+const toTextSearch = parsed => [
+  ...parsed.phrases.map(phrase => `"${phrase}"`),
+  ...parsed.terms,
+  ...parsed.excluded.map(value => (value.includes(' ') ? `-"${value}"` : `-${value}`)),
+].join(' ');
+
+/**
+ * Regular expression matching the words and phrases of a query
+ * Words also match longer forms (search finds "searching"), like MongoDB's stemming
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {RegExp|null} Case-insensitive global expression, or null without terms
+ */
+const highlightPattern = (parsed) => {
+  const alternatives = [
+    ...parsed.phrases.map(phrase => escapeRegExp(phrase).replace(/ /g, '\\s+')),
+    ...parsed.terms.map(term => `${escapeRegExp(term)}\\w*`),
+  ];
+
+  if (!alternatives.length) {
+    return null;
+  }
+
+  // Longest first, so a phrase wins over a word inside it
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<!\\w)(?:${alternatives.join('|')})`, 'gi');
+};
+
+/**
+ * Wrap the matches of a query in <mark> tags; the rest of the text is HTML-escaped
+ * @param {String} text - Text to highlight
+ * @param {RegExp|null} pattern - Result of highlightPattern
+ * @returns {String} HTML
+ */
+const markMatches = (text, pattern) => {
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let html = '';
+  let last = 0;
+  text.replace(pattern, (match, offset) => {
+    html += `${escapeHtml(text.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Cut a snippet around the first match of a query and highlight it
+ * @param {String} text - Plain text (HTML tags are stripped first)
+ * @param {RegExp|null} pattern - Result of highlightPattern
+ * @param {Number} [length] - Approximate snippet length
+ * @returns {String|null} Highlighted HTML snippet, or null when nothing matches
+ */
+const snippet = (text, pattern, length = SNIPPET_LENGTH) => {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!pattern) {
+    return null;
+  }
+
+  pattern.lastIndex = 0;
+  const match = pattern.exec(plain);
+  pattern.lastIndex = 0;
+  if (!match) {
+    return null;
+  }
+
+  // Start a little before the match, at a word boundary
+  let start = Math.max(0, match.index - Math.floor(length / 4));
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    start = space === -1 || space > match.index ? start : space + 1;
+  }
+  let end = Math.min(plain.length, start + length);
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    end = space > match.index + match[0].length ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < plain.length ? '…' : '';
+  return `${prefix}${markMatches(plain.slice(start, end), pattern)}${suffix}`;
+};
+
+/**
+ * Highlight a post for a search result
+ * Snippets come from the rendered content, so they show what readers see rather than Markdown
+ * @param {Object} post - Post with title, excerpt, contentHtml and tags
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} { title, snippet, tags } where tags lists the matching tags
+ */
+const highlightPost = (post, parsed) => {
+  const pattern = highlightPattern(parsed);
+  const matches = value => Boolean(pattern) && value.search(pattern) !== -1;
+
+  return {
+    title: markMatches(post.title, pattern),
+    snippet: snippet(htmlToText(post.contentHtml || ''), pattern)
+      || snippet(post.excerpt, pattern)
+      || escapeHtml(post.excerpt || ''),
+    tags: (post.tags || []).filter(matches),
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasSearchTerms,
+  toTextSearch,
+  highlightPattern,
+  markMatches,
+  snippet,
+  highlightPost,
+};
@@ -0,0 +1,198 @@
+const { disconnectDB } = require('../config/database');
+const logger = require('./logger');
+
+// How long readiness fails before we stop accepting connections (load balancer drain)
+const DRAIN_MS = process.env.SHUTDOWN_DRAIN_MS ? parseInt(process.env.SHUTDOWN_DRAIN_MS, 10) : 5000;
+
+// Budget for in-flight requests and shutdown hooks once the server stops accepting connections
+const TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// How often idle keep-alive connections are closed while requests drain
+const IDLE_SWEEP_MS = 250;
+
+// Shutdown hooks by name, run after the HTTP server has closed
+const hooks = new Map();
+
+let shuttingDown = false;
+let shutdownPromise = null;
+
+/**
+ * Register work to finish before the process exits (schedulers, queues, streams)
+ * Registering a name again replaces its hook
+ * @param {String} name - Hook name, used in logs
+ * @param {Function} hook - Function returning a promise, called once on shutdown
+ * @returns {Function} Function removing the hook
+ */
+const onShutdown = (name, hook) => {
+  hooks.set(name, hook);
+  return () => removeShutdownHook(name, hook);
+};
+
+/**
+ * Remove a shutdown hook
+ * @param {String} name - Hook name
+ * @param {Function} [hook] - Only remove if this is still the registered hook
+ */
+const removeShutdownHook = (name, hook) => {
+  if (!hook || hooks.get(name) === hook) {
+    hooks.delete(name);
+  }
+};
+
+/**
+ * Mark the process as shutting down, so readiness fails and load balancers drain it
+ */
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * Check whether the process is shutting down
+ * @returns {Boolean} Whether shutdown has started
+ */
+const isShuttingDown = () => shuttingDown;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve with `false` if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {Number} ms - Time limit
+ * @returns {Promise<Boolean>} Whether the promise settled in time
+ */
+const settlesWithin = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), Math.max(ms, 0));
+  });
+
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Stop accepting connections and wait for in-flight requests
+ * Idle keep-alive connections are closed as they appear; whatever is still
+ * open at the deadline is destroyed
+ * @param {Object} server - HTTP server
+ * @param {Number} deadline - Timestamp to give up waiting at
+ * @returns {Promise<Boolean>} Whether every request finished in time
+ */
+const closeServer = async (server, deadline) => {
+  if (!server || !server.listening) {
+    return true;
+  }
+
+  const closed = new Promise(resolve => server.close(resolve));
+
+  server.closeIdleConnections();
+  const sweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+
+  const drained = await settlesWithin(closed, deadline - Date.now());
+  clearInterval(sweep);
+
+  if (!drained) {
+    logger.warn('Shutdown deadline reached, closing remaining connections');
+    server.closeAllConnections();
+    await closed;
+  }
+
+  return drained;
+};
+
+/**
+ * Run every shutdown hook concurrently within the deadline
+ * @param {Number} deadline - Timestamp to give up waiting at
+ * @returns {Promise<Boolean>} Whether every hook finished cleanly
+ */
+const runHooks = async (deadline) => {
+  const pending = [...hooks.entries()].map(async ([name, hook]) => {
+    try {
+      const finished = await settlesWithin(Promise.resolve().then(hook), deadline - Date.now());
+      if (!finished) {
+        logger.warn(`Shutdown hook "${name}" did not finish before the deadline`);
+      }
+      return finished;
+    } catch (error) {
+      logger.logError(error);
+      return false;
+    }
+  });
+
+  const results = await Promise.all(pending);
+  return results.every(Boolean);
+};
+
+/**
+ * Wait for winston transports to write out buffered entries
+ * @returns {Promise} Resolves once the logger has finished
+ */
+const flushLogs = () => settlesWithin(new Promise((resolve) => {
+  logger.on('finish', resolve);
+  logger.end();
+}), 2000);
+
+/**
+ * Shut the process down gracefully
+ * 1. fail readiness and wait `drainMs` for load balancers to notice
+ * 2. stop accepting connections and let in-flight requests finish
+ * 3. run shutdown hooks
+ * 4. close the database connection and flush logs
+ * Steps 2 and 3 share `timeoutMs`. Calling it again returns the running shutdown.
+ * @param {Object} [options] - Shutdown options
+ * @param {Object} [options.server] - HTTP server to close
+ * @param {String} [options.signal] - Signal that triggered the shutdown, for logs
+ * @param {Number} [options.drainMs] - Drain delay
+ * @param {Number} [options.timeoutMs] - Time allowed for requests and hooks
+ * @param {Boolean} [options.closeLogger] - Flush and close the logger at the end
+ * @returns {Promise<Number>} Exit code: 0 if everything finished cleanly, 1 otherwise
+ */
+const shutdown = (options = {}) => {
+  if (shutdownPromise) {
+    return shutdownPromise;
+  }
+
+  const {
+    server = null,
+    signal = 'shutdown',
+    drainMs = DRAIN_MS,
+    timeoutMs = TIMEOUT_MS,
+    closeLogger = true,
+  } = options;
+
+  shutdownPromise = (async () => {
+    logger.info(`${signal} received. Shutting down gracefully...`);
+    markShuttingDown();
+
+    if (drainMs > 0) {
+      await sleep(drainMs);
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    let clean = await closeServer(server, deadline);
+    clean = (await runHooks(deadline)) && clean;
+
+    try {
+      await disconnectDB();
+    } catch (error) {
+      clean = false;
+    }
+
+    logger.info(clean ? 'Process terminated' : 'Process terminated with pending work');
+
+    if (closeLogger) {
+      await flushLogs();
+    }
+
+    return clean ? 0 : 1;
+  })();
+
+  return shutdownPromise;
+};
+
+module.exports = {
+  shutdown,
+  onShutdown,
+  removeShutdownHook,
+  markShuttingDown,
+  isShuttingDown,
+};
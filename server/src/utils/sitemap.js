@@ -0,0 +1,117 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { escapeXml } = require('./feeds');
+const { publicUrl, postPath, categoryPath, authorPath } = require('./urls');
+
+// The sitemaps protocol caps a single file at 50,000 URLs
+const SITEMAP_MAX_URLS = parseInt(process.env.SITEMAP_MAX_URLS, 10) || 50000;
+
+// Public pages, in sitemap order; only content that is live on the site is listed
+const SECTIONS = {
+  posts: {
+    model: Post,
+    filter: { status: 'published', slug: { $nin: [null, ''] } },
+    fields: 'slug updatedAt',
+    path: post => postPath(post.slug),
+  },
+  categories: {
+    model: Category,
+    filter: { isActive: true, slug: { $nin: [null, ''] } },
+    fields: 'slug updatedAt',
+    path: category => categoryPath(category.slug),
+  },
+  authors: {
+    model: User,
+    filter: { isActive: true },
+    fields: 'username updatedAt',
+    path: user => authorPath(user.username),
+  },
+};
+
+/**
+ * Build a <urlset> sitemap
+ * @param {Array} entries - { loc, lastmod }
+ * @returns {String} XML
+ */
+const buildUrlset = entries => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...entries.map(entry => `<url><loc>${escapeXml(entry.loc)}</loc>${
+    entry.lastmod ? `<lastmod>${entry.lastmod.toISOString()}</lastmod>` : ''}</url>`),
+  '</urlset>',
+].join('\n');
+
+/**
+ * Build a <sitemapindex> pointing at other sitemaps
+ * @param {Array} entries - { loc, lastmod }
+ * @returns {String} XML
+ */
+const buildSitemapIndex = entries => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...entries.map(entry => `<sitemap><loc>${escapeXml(entry.loc)}</loc>${
+    entry.lastmod ? `<lastmod>${entry.lastmod.toISOString()}</lastmod>` : ''}</sitemap>`),
+  '</sitemapindex>',
+].join('\n');
+
+/**
+ * Count the URLs of every section
+ * @returns {Promise<Object>} Counts by section name
+ */
+const countSitemapUrls = async () => {
+  const names = Object.keys(SECTIONS);
+  const counts = await Promise.all(names.map(name => SECTIONS[name].model.countDocuments(SECTIONS[name].filter)));
+  return Object.fromEntries(names.map((name, i) => [name, counts[i]]));
+};
+
+/**
+ * Load one page of a section as sitemap entries
+ * @param {String} name - Section name (posts, categories or authors)
+ * @param {Number} [page] - 1-based page of SITEMAP_MAX_URLS entries
+ * @param {Number} [limit] - Entries per page
+ * @returns {Promise<Array>} { loc, lastmod }
+ */
+const loadSitemapSection = async (name, page = 1, limit = SITEMAP_MAX_URLS) => {
+  const section = SECTIONS[name];
+  const documents = await section.model.find(section.filter)
+    .select(section.fields)
+    .sort({ _id: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+
+  return documents.map(document => ({
+    loc: publicUrl(section.path(document)),
+    lastmod: document.updatedAt,
+  }));
+};
+
+/**
+ * Newest change in one page of a section, for the sitemap index
+ * @param {String} name - Section name
+ * @param {Number} page - 1-based page
+ * @param {Number} [limit] - Entries per page
+ * @returns {Promise<Date|null>}
+ */
+const sectionLastModified = async (name, page, limit = SITEMAP_MAX_URLS) => {
+  const section = SECTIONS[name];
+  const [result] = await section.model.aggregate([
+    { $match: section.filter },
+    { $sort: { _id: 1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $group: { _id: null, lastmod: { $max: '$updatedAt' } } },
+  ]);
+  return result ? result.lastmod : null;
+};
+
+module.exports = {
+  SITEMAP_MAX_URLS,
+  SITEMAP_SECTIONS: Object.keys(SECTIONS),
+  buildUrlset,
+  buildSitemapIndex,
+  countSitemapUrls,
+  loadSitemapSection,
+  sectionLastModified,
+};
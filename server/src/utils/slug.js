@@ -0,0 +1,154 @@
+// Letters that don't decompose into ASCII + accents
+const TRANSLITERATIONS = {
+  // Latin
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i', ŋ: 'ng',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+};
+
+/**
+ * Replace accented and non-Latin letters with ASCII equivalents
+ * @param {String} text - Text to convert
+ * @returns {String} Lowercase text
+ */
+const transliterate = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFC')
+  // Letters like й, ё and ї are in the table whole; decomposing them first would turn й into и
+  .replace(/[^\u0000-\u007f]/g, char => TRANSLITERATIONS[char] ?? char)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Drop accents left over by the decomposition
+  .replace(/[^\u0000-\u007f]/g, char => TRANSLITERATIONS[char] ?? char); // e.g. ά, which is α once decomposed
+
+/**
+ * Turn a title or name into a URL slug
+ * @param {String} text - Text to convert
+ * @param {String} [fallback] - Slug to use when nothing is left (e.g. an all-emoji title)
+ * @returns {String} Lowercase, hyphen-separated ASCII slug
+ */
+const slugify = (text, fallback = '') => transliterate(text)
+  .trim()
+  .replace(/[^a-z0-9\s_-]/g, '') // Remove special characters
+  .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
+  .replace(/^-+|-+$/g, '') || fallback; // Remove leading/trailing hyphens
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {String} text - Literal text
+ * @returns {String} Escaped text
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern matching a base slug and its numbered variants (base, base-2, base-3...)
+ * @param {String} base - Base slug
+ * @returns {RegExp} Pattern capturing the suffix
+ */
+const slugPattern = base => new RegExp(`^${escapeRegExp(base)}(?:-(\\d+))?$`);
+
+/**
+ * Pick the base slug or its lowest free numbered variant
+ * @param {String} base - Base slug
+ * @param {Iterable} taken - Slugs already in use
+ * @returns {String} Slug not in `taken`
+ */
+const nextFreeSlug = (base, taken) => {
+  const pattern = slugPattern(base);
+  const used = new Set();
+
+  for (const slug of taken) {
+    const match = pattern.exec(slug);
+    if (match) {
+      used.add(match[1] ? Number(match[1]) : 1);
+    }
+  }
+
+  if (!used.has(1)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (used.has(suffix)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Find a slug no other document of a model uses, suffixing -2, -3... as needed
+ * A document keeps its current slug if it still fits the text
+ * @param {Object} Model - Mongoose model with a `slug` field
+ * @param {String} text - Title or name to derive the slug from
+ * @param {Object} [options] - Options
+ * @param {Object} [options.document] - Document being saved (its own slug doesn't count)
+ * @param {String} [options.fallback] - Base slug when the text has no usable characters
+ * @param {Boolean} [options.keepCurrent] - Let the document keep a slug that still fits
+ * @returns {Promise<String>} Unique slug
+ */
+const uniqueSlug = async (Model, text, { document, fallback = 'item', keepCurrent = true } = {}) => {
+  const base = slugify(text, fallback);
+  const pattern = slugPattern(base);
+
+  if (keepCurrent && document && document.slug && pattern.test(document.slug)) {
+    return document.slug;
+  }
+
+  const filter = { slug: pattern };
+  if (document) {
+    filter._id = { $ne: document._id };
+  }
+
+  const taken = await Model.find(filter).select('slug').lean();
+  return nextFreeSlug(base, taken.map(({ slug }) => slug));
+};
+
+// Saves attempted by saveWithUniqueSlug before a slug conflict is reported
+const SLUG_SAVE_ATTEMPTS = 5;
+
+/**
+ * Check whether an error is a duplicate key error on the slug index
+ * @param {Error} error - Error thrown by save
+ * @returns {Boolean} Whether the slug was taken
+ */
+const isSlugConflict = error => Boolean(error)
+  && error.code === 11000
+  && Boolean(error.keyPattern && error.keyPattern.slug);
+
+/**
+ * Save a document whose pre-save hook picks its slug with uniqueSlug
+ * Another save can claim the same slug between the lookup and the write; the
+ * hook then looks again (it sees `$locals.slugConflict`) and the save is retried
+ * @param {Object} document - Mongoose document
+ * @param {Number} [attempts] - Saves to try before giving up
+ * @returns {Promise<Object>} Saved document
+ */
+const saveWithUniqueSlug = async (document, attempts = SLUG_SAVE_ATTEMPTS) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await document.save();
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= attempts) {
+        throw error;
+      }
+      document.$locals.slugConflict = true;
+    }
+  }
+};
+
+module.exports = {
+  escapeRegExp,
+  slugify,
+  slugPattern,
+  nextFreeSlug,
+  transliterate,
+  uniqueSlug,
+  isSlugConflict,
+  saveWithUniqueSlug,
+};
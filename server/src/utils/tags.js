@@ -0,0 +1,51 @@
+/**
+ * Normalize a tag the way Post.tags stores it
+ * @param {String} tag - Tag as typed
+ * @returns {String} Trimmed, lowercase tag
+ */
+const normalizeTag = tag => String(tag).trim().toLowerCase();
+
+/**
+ * Parse a comma-separated tag list from a query string
+ * @param {String|Array} value - "react, node" (repeated parameters arrive as an array)
+ * @returns {Array} Unique normalized tags
+ */
+const parseTagList = (value) => {
+  const tags = [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+};
+
+/**
+ * Aggregation expression replacing some tags with another, keeping the order
+ * and dropping the duplicates the replacement creates
+ * @param {Array} from - Tags to replace
+ * @param {String} into - Replacement tag
+ * @returns {Object} Expression for the new `tags` array
+ */
+const mergeTagsExpression = (from, into) => ({
+  $reduce: {
+    input: {
+      $map: {
+        input: '$tags',
+        in: { $cond: [{ $in: ['$$this', from] }, into, '$$this'] },
+      },
+    },
+    initialValue: [],
+    in: {
+      $cond: [
+        { $in: ['$$this', '$$value'] },
+        '$$value',
+        { $concatArrays: ['$$value', ['$$this']] },
+      ],
+    },
+  },
+});
+
+module.exports = {
+  normalizeTag,
+  parseTagList,
+  mergeTagsExpression,
+};
@@ -0,0 +1,84 @@
+/**
+ * Base URL of the public site, without a trailing slash
+ * PUBLIC_BASE_URL, falling back to CLIENT_URL in development
+ * @returns {String} Base URL
+ */
+const publicBaseUrl = () => (process.env.PUBLIC_BASE_URL || process.env.CLIENT_URL || 'http://localhost:5173')
+  .replace(/\/+$/, '');
+
+/**
+ * Base URL of this API server as clients reach it, without a trailing slash
+ * Used for links to the server's own documents (feeds, sitemaps); never taken from
+ * request headers, which a proxy rewrites and a client can spoof
+ * @returns {String} Base URL
+ */
+const apiBaseUrl = () => (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`)
+  .replace(/\/+$/, '');
+
+/**
+ * Site path of a post page
+ * @param {String} slug - Post slug
+ * @returns {String} Path such as /posts/hello-world
+ */
+const postPath = slug => `/posts/${encodeURIComponent(slug)}`;
+
+/**
+ * Site path of a category page
+ * @param {String} slug - Category slug
+ * @returns {String} Path such as /categories/web-development
+ */
+const categoryPath = slug => `/categories/${encodeURIComponent(slug)}`;
+
+/**
+ * Site path of an author page
+ * @param {String} username - Author username
+ * @returns {String} Path such as /authors/ada
+ */
+const authorPath = username => `/authors/${encodeURIComponent(username)}`;
+
+/**
+ * Absolute public URL of a site path
+ * @param {String} sitePath - Path starting with a slash
+ * @returns {String} URL
+ */
+const publicUrl = sitePath => `${publicBaseUrl()}${sitePath}`;
+
+/**
+ * Absolute URL of a path on this API server
+ * @param {String} serverPath - Path starting with a slash
+ * @returns {String} URL
+ */
+const apiUrl = serverPath => `${apiBaseUrl()}${serverPath}`;
+
+/**
+ * Public links of a post
+ * @param {Object} post - Post or plain post object
+ * @returns {Object} { url: site path, canonicalUrl: absolute URL }, empty without a slug
+ */
+const postUrls = (post) => {
+  if (!post || !post.slug) {
+    return {};
+  }
+
+  const url = postPath(post.slug);
+  return { url, canonicalUrl: publicUrl(url) };
+};
+
+/**
+ * Add public links to plain post objects (lean queries skip the model virtuals)
+ * @param {Array} posts - Plain post objects
+ * @returns {Array} Posts with url and canonicalUrl
+ */
+const withPostUrls = posts => posts.map(post => ({ ...post, ...postUrls(post) }));
+
+module.exports = {
+  publicBaseUrl,
+  publicUrl,
+  apiBaseUrl,
+  apiUrl,
+  postPath,
+  categoryPath,
+  authorPath,
+  postUrls,
+  withPostUrls,
+};
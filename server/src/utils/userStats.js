@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { createCache } = require('./cache');
+const { withPostUrls } = require('./urls');
+
+const STATS_CACHE_TTL_MS = parseInt(process.env.STATS_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+
+// View counts change on every read, so they only refresh when the TTL runs out;
+// every other change to a user's posts invalidates the entry explicitly
+const statsCache = createCache({ ttlMs: STATS_CACHE_TTL_MS });
+
+/**
+ * Run the statistics aggregation for an author
+ * @param {String} userId - User ID
+ * @returns {Object} Statistics
+ */
+const aggregateUserStats = async (userId) => {
+  const author = new mongoose.Types.ObjectId(userId);
+
+  const [result] = await Post.aggregate([
+    { $match: { author } },
+    {
+      $facet: {
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              posts: { $sum: 1 },
+              views: { $sum: '$views' },
+              averageViews: { $avg: '$views' },
+              likes: { $sum: { $size: { $ifNull: ['$likes', []] } } },
+              comments: { $sum: { $ifNull: ['$commentCount', 0] } },
+            },
+          },
+        ],
+        mostViewed: [
+          { $sort: { views: -1, publishedAt: -1 } },
+          { $limit: 5 },
+          {
+            $project: {
+              title: 1,
+              slug: 1,
+              status: 1,
+              views: 1,
+              publishedAt: 1,
+              likeCount: { $size: { $ifNull: ['$likes', []] } },
+            },
+          },
+        ],
+        topCategories: [
+          { $group: { _id: '$category', count: { $sum: 1 }, views: { $sum: '$views' } } },
+          { $sort: { count: -1, views: -1 } },
+          { $limit: 5 },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category',
+            },
+          },
+          { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              category: { _id: '$category._id', name: '$category.name', slug: '$category.slug', color: '$category.color' },
+              count: 1,
+              views: 1,
+            },
+          },
+        ],
+        topTags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 10 },
+          { $project: { _id: 0, tag: '$_id', count: 1 } },
+        ],
+        activity: [
+          { $match: { status: 'published', publishedAt: { $ne: null } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, month: '$_id', count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || { posts: 0, views: 0, averageViews: 0, likes: 0, comments: 0 };
+  const postsByStatus = { draft: 0, scheduled: 0, published: 0, archived: 0 };
+  result.byStatus.forEach(({ _id, count }) => {
+    postsByStatus[_id] = count;
+  });
+
+  return {
+    posts: {
+      total: totals.posts,
+      byStatus: postsByStatus,
+    },
+    views: {
+      total: totals.views,
+      average: Math.round((totals.averageViews || 0) * 100) / 100,
+    },
+    likesReceived: totals.likes,
+    commentsReceived: totals.comments,
+    mostViewedPosts: withPostUrls(result.mostViewed),
+    topCategories: result.topCategories,
+    topTags: result.topTags,
+    publishingActivity: result.activity,
+  };
+};
+
+/**
+ * Get statistics for an author, served from cache when fresh
+ * @param {String} userId - User ID
+ * @returns {Object} Statistics, generation time and whether it came from cache
+ */
+const getUserStats = async (userId) => {
+  const key = userId.toString();
+  const cached = statsCache.get(key);
+
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const entry = {
+    stats: await aggregateUserStats(key),
+    generatedAt: new Date().toISOString(),
+  };
+  statsCache.set(key, entry);
+
+  return { ...entry, cached: false };
+};
+
+/**
+ * Drop the cached statistics of one or more authors
+ * @param {...String} userIds - User IDs
+ */
+const invalidateUserStats = (...userIds) => {
+  userIds.filter(Boolean).forEach((userId) => {
+    statsCache.delete((userId._id || userId).toString());
+  });
+};
+
+/**
+ * Drop every cached statistics entry
+ */
+const clearUserStatsCache = () => statsCache.clear();
+
+module.exports = {
+  getUserStats,
+  invalidateUserStats,
+  clearUserStatsCache,
+};
@@ -0,0 +1,62 @@
+// express-validator chain builders that remember how each chain was built
+//
+// Routes import body, query and param from here instead of express-validator.
+// Each chain records the public methods called on it (isLength, optional,
+// withMessage...) so the OpenAPI generator can describe a route's input
+// without reaching into express-validator internals.
+const expressValidator = require('express-validator');
+
+// Calls recorded for each chain
+const chainCalls = new WeakMap();
+
+/**
+ * Wrap a chain so calls to its builder methods are recorded
+ * @param {Function} chain - express-validator chain
+ * @returns {Function} Chain that behaves the same
+ */
+const recordCalls = (chain) => {
+  const calls = [];
+
+  const recorded = new Proxy(chain, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function' || typeof property !== 'string') {
+        return value;
+      }
+
+      return (...args) => {
+        const result = value.apply(target, args);
+        // Only chain building is recorded; run() and friends return something else
+        if (result !== target) {
+          return result;
+        }
+        calls.push({ method: property, args });
+        return recorded;
+      };
+    },
+  });
+
+  chainCalls.set(recorded, calls);
+  return recorded;
+};
+
+/**
+ * Wrap an express-validator chain builder (body, query, param)
+ * @param {Function} builder - Chain builder
+ * @returns {Function} Builder whose chains record their calls
+ */
+const recording = builder => (...args) => recordCalls(builder(...args));
+
+/**
+ * Calls made while building a chain
+ * @param {Function} chain - Chain from this module
+ * @returns {Array|null} { method, args } in order, or null for chains built elsewhere
+ */
+const getChainCalls = chain => chainCalls.get(chain) || null;
+
+module.exports = {
+  body: recording(expressValidator.body),
+  query: recording(expressValidator.query),
+  param: recording(expressValidator.param),
+  getChainCalls,
+};
@@ -0,0 +1,119 @@
+// factory.js - Minimal factory builder for Mongoose models
+
+const LAZY = Symbol('lazy');
+
+/**
+ * Attribute resolved only when needed, e.g. an associated document
+ * `build` runs for unsaved attributes, `create` (async) when the document is saved
+ * @param {Object} resolvers - { build, create }
+ * @returns {Object} Lazy attribute
+ */
+const lazy = ({ build, create }) => ({ [LAZY]: true, build, create });
+
+/**
+ * Define a factory for a model
+ * @param {Object} definition - Factory definition
+ * @param {String} definition.name - Name used in error messages
+ * @param {Object} definition.model - Mongoose model
+ * @param {Function} definition.attributes - ({ sequence, fake }) => default attributes
+ * @param {Object} [definition.traits] - Named ({ sequence, fake }) => attributes
+ * @param {Function} definition.fake - Returns the current fake data generator
+ * @returns {Object} Factory with build, buildMany, create, createMany and reset
+ */
+const defineFactory = ({ name, model, attributes, traits = {}, fake }) => {
+  let sequence = 0;
+
+  /**
+   * Merge defaults, traits and overrides, in argument order
+   * @param {Array} args - Trait names and override objects
+   * @returns {Object} Attributes, possibly holding lazy values
+   */
+  const merge = (args) => {
+    sequence += 1;
+    const context = { sequence, fake: fake() };
+
+    return args.reduce((result, arg) => {
+      if (typeof arg === 'string') {
+        if (!traits[arg]) {
+          throw new Error(`Unknown ${name} trait "${arg}" (expected one of ${Object.keys(traits).join(', ')})`);
+        }
+        return { ...result, ...traits[arg](context) };
+      }
+      return { ...result, ...arg };
+    }, attributes(context));
+  };
+
+  const isLazy = value => Boolean(value && value[LAZY]);
+
+  const factory = {
+    /**
+     * Attributes for a new document, without saving anything
+     * @param {...(String|Object)} args - Trait names and overrides, applied in order
+     * @returns {Object} Attributes
+     */
+    build(...args) {
+      const result = merge(args);
+      Object.keys(result).forEach((key) => {
+        if (isLazy(result[key])) {
+          result[key] = result[key].build();
+        }
+      });
+      return result;
+    },
+
+    /**
+     * Several attribute sets
+     * @param {Number} count - How many
+     * @param {...(String|Object)} args - Trait names and overrides
+     * @returns {Array} Attributes
+     */
+    buildMany(count, ...args) {
+      return Array.from({ length: count }, () => factory.build(...args));
+    },
+
+    /**
+     * Save a new document, creating its associations as needed
+     * @param {...(String|Object)} args - Trait names and overrides, applied in order
+     * @returns {Promise<Object>} Saved document
+     */
+    async create(...args) {
+      const result = merge(args);
+      for (const key of Object.keys(result)) {
+        if (isLazy(result[key])) {
+          result[key] = await result[key].create();
+        }
+      }
+      return model.create(result);
+    },
+
+    /**
+     * Save several documents, one after another so sequences stay in order
+     * @param {Number} count - How many
+     * @param {...(String|Object)} args - Trait names and overrides
+     * @returns {Promise<Array>} Saved documents
+     */
+    async createMany(count, ...args) {
+      const documents = [];
+      for (let index = 0; index < count; index += 1) {
+        documents.push(await factory.create(...args));
+      }
+      return documents;
+    },
+
+    /**
+     * Restart the sequence
+     */
+    reset() {
+      sequence = 0;
+    },
+
+    traits: Object.keys(traits),
+  };
+
+  return factory;
+};
+
+module.exports = {
+  defineFactory,
+  lazy,
+};
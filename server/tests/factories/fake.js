@@ -0,0 +1,79 @@
+// fake.js - Deterministic fake data for factories and seeds
+//
+// A seeded generator instead of Math.random: the same seed always produces the
+// same users, categories and posts, so failures reproduce.
+
+const FIRST_NAMES = [
+  'Ada', 'Alan', 'Barbara', 'Claude', 'Dennis', 'Edsger', 'Frances', 'Grace',
+  'Hedy', 'Ivan', 'Jean', 'Ken', 'Linus', 'Margaret', 'Niklaus', 'Radia',
+];
+
+const LAST_NAMES = [
+  'Allen', 'Backus', 'Cerf', 'Dijkstra', 'Engelbart', 'Hamilton', 'Hopper', 'Kay',
+  'Knuth', 'Lamarr', 'Liskov', 'Lovelace', 'Perlman', 'Ritchie', 'Thompson', 'Wirth',
+];
+
+const WORDS = [
+  'array', 'async', 'browser', 'cache', 'callback', 'closure', 'component', 'database',
+  'debugging', 'deploy', 'event', 'function', 'hook', 'index', 'layout', 'middleware',
+  'module', 'network', 'object', 'promise', 'query', 'react', 'render', 'request',
+  'route', 'schema', 'server', 'state', 'stream', 'testing', 'token', 'variable',
+];
+
+const TOPICS = [
+  'Web Development', 'Testing', 'Databases', 'DevOps', 'Design', 'Security',
+  'Performance', 'Career', 'Tooling', 'Accessibility', 'Mobile', 'Open Source',
+];
+
+const TAGS = ['javascript', 'node', 'react', 'mongodb', 'express', 'jest', 'css', 'api'];
+
+const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#6366F1'];
+
+const DEFAULT_SEED = 1;
+
+/**
+ * Create a fake data generator
+ * @param {Number} [seed] - Seed; the same seed yields the same sequence
+ * @returns {Object} Generator
+ */
+const createFake = (seed = DEFAULT_SEED) => {
+  // mulberry32: small, fast and good enough for test data
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = list => list[integer(0, list.length - 1)];
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+  const words = count => Array.from({ length: count }, () => pick(WORDS));
+  const sentence = (count = integer(6, 12)) => `${capitalize(words(count).join(' '))}.`;
+  const paragraph = (count = integer(3, 5)) => Array.from({ length: count }, () => sentence()).join(' ');
+
+  return {
+    random,
+    integer,
+    pick,
+    boolean: () => random() < 0.5,
+    firstName: () => pick(FIRST_NAMES),
+    lastName: () => pick(LAST_NAMES),
+    topic: () => pick(TOPICS),
+    color: () => pick(COLORS),
+    words,
+    title: () => words(integer(3, 6)).map(capitalize).join(' '),
+    sentence,
+    paragraph,
+    paragraphs: (count = integer(2, 4)) => Array.from({ length: count }, () => paragraph()).join('\n\n'),
+    tags: (count = integer(1, 3)) => [...new Set(Array.from({ length: count }, () => pick(TAGS)))],
+  };
+};
+
+module.exports = {
+  createFake,
+  DEFAULT_SEED,
+};
@@ -0,0 +1,114 @@
+// Test data factories for users, categories and posts
+//
+//   const { userFactory, postFactory } = require('../factories');
+//   const admin = await userFactory.create('admin');
+//   const post = await postFactory.create('publishedWithLikes', { author: admin._id });
+//
+// Arguments are trait names and override objects, applied in order. Associations
+// (author, category, likes) are created on demand by `create` and are plain
+// ObjectIds with `build`.
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const { defineFactory, lazy } = require('./factory');
+const { createFake, DEFAULT_SEED } = require('./fake');
+
+// Every factory-made user can log in with this password
+const DEFAULT_PASSWORD = 'password123';
+
+// Likes given to posts built with the publishedWithLikes trait
+const DEFAULT_LIKE_COUNT = 3;
+
+let fake = createFake(DEFAULT_SEED);
+const currentFake = () => fake;
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const userFactory = defineFactory({
+  name: 'user',
+  model: User,
+  fake: currentFake,
+  attributes: ({ sequence, fake: data }) => {
+    const firstName = data.firstName();
+    const lastName = data.lastName();
+    const handle = `${firstName}.${lastName}${sequence}`.toLowerCase();
+
+    return {
+      username: handle.replace('.', '_'),
+      email: `${handle}@example.com`,
+      password: DEFAULT_PASSWORD,
+      firstName,
+      lastName,
+    };
+  },
+  traits: {
+    admin: () => ({ role: 'admin' }),
+    deactivated: () => ({ isActive: false }),
+  },
+});
+
+const categoryFactory = defineFactory({
+  name: 'category',
+  model: Category,
+  fake: currentFake,
+  attributes: ({ sequence, fake: data }) => ({
+    name: `${data.topic()} ${sequence}`,
+    description: data.sentence(),
+    color: data.color(),
+  }),
+  traits: {
+    inactive: () => ({ isActive: false }),
+  },
+});
+
+const postFactory = defineFactory({
+  name: 'post',
+  model: Post,
+  fake: currentFake,
+  attributes: ({ fake: data }) => ({
+    title: data.title(),
+    content: data.paragraphs(),
+    tags: data.tags(),
+    status: 'draft',
+    author: lazy({ build: newId, create: async () => (await userFactory.create())._id }),
+    category: lazy({ build: newId, create: async () => (await categoryFactory.create())._id }),
+  }),
+  traits: {
+    draft: () => ({ status: 'draft' }),
+    published: () => ({ status: 'published' }),
+    scheduled: () => ({
+      status: 'scheduled',
+      scheduledFor: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    }),
+    archived: () => ({ status: 'archived' }),
+    publishedWithLikes: () => ({
+      status: 'published',
+      likes: lazy({
+        build: () => Array.from({ length: DEFAULT_LIKE_COUNT }, () => ({ user: newId() })),
+        create: async () => {
+          const users = await userFactory.createMany(DEFAULT_LIKE_COUNT);
+          return users.map(user => ({ user: user._id }));
+        },
+      }),
+    }),
+  },
+});
+
+/**
+ * Restart every sequence and the fake data generator
+ * @param {Number} [seed] - Seed for the fake data
+ */
+const resetFactories = (seed = DEFAULT_SEED) => {
+  fake = createFake(seed);
+  [userFactory, categoryFactory, postFactory].forEach(factory => factory.reset());
+};
+
+module.exports = {
+  userFactory,
+  categoryFactory,
+  postFactory,
+  resetFactories,
+  DEFAULT_PASSWORD,
+};
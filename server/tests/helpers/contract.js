@@ -0,0 +1,132 @@
+// contract.js - Supertest wrapper that checks every response against the OpenAPI document
+//
+// Drop-in replacement for supertest:
+//   const request = require('../helpers/contract');
+//   const res = await request(app).get('/api/posts');
+// A response whose body drifts from its documented schema (the post, user, auth and
+// error envelopes in src/docs) fails the request with the list of mismatches.
+
+const supertest = require('supertest');
+const { getOpenApiDocument, findResponseSchema } = require('../../src/docs/openapi');
+const { validateSchema } = require('../../src/docs/validateSchema');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'del', 'head', 'options'];
+
+// Longest body excerpt printed with a failure
+const MAX_BODY_LENGTH = 2000;
+
+/**
+ * Find the documented path matching a request path
+ * Literal segments win over parameters (/api/users/me before /api/users/{id})
+ * @param {Object} document - OpenAPI document
+ * @param {String} method - HTTP method
+ * @param {String} pathname - Request path without query string
+ * @returns {String|null} OpenAPI path
+ */
+const matchRoute = (document, method, pathname) => {
+  const candidates = Object.keys(document.paths)
+    .filter(openApiPath => document.paths[openApiPath][method.toLowerCase()])
+    .filter((openApiPath) => {
+      const pattern = openApiPath.replace(/\{\w+\}/g, '[^/]+');
+      return new RegExp(`^${pattern}/?$`).test(pathname);
+    });
+
+  const literalSegments = openApiPath => openApiPath.split('/').filter(segment => segment && !segment.startsWith('{')).length;
+  candidates.sort((a, b) => literalSegments(b) - literalSegments(a));
+
+  return candidates[0] || null;
+};
+
+/**
+ * Read the value at a violation path ($.posts[0].title)
+ * @param {*} body - Response body
+ * @param {String} path - Violation path
+ * @returns {*} Value, or undefined if missing
+ */
+const valueAt = (body, path) => path
+  .replace(/^\$/, '')
+  .split(/\.|\[(\d+)\]/)
+  .filter(Boolean)
+  .reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), body);
+
+/**
+ * Describe a received value for a failure message
+ * @param {*} value - Value
+ * @returns {String} Short description
+ */
+const describeValue = (value) => {
+  if (value === undefined) {
+    return 'missing';
+  }
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+/**
+ * Check a supertest response against its documented schema
+ * @param {Object} app - Express app the request was made against
+ * @param {Object} res - Supertest response
+ * @throws {Error} Listing every mismatch when the body drifts from the document
+ */
+const expectContract = (app, res) => {
+  if (!/json/.test(res.headers['content-type'] || '')) {
+    return;
+  }
+
+  const document = getOpenApiDocument(app);
+  const { method } = res.req;
+  const pathname = new URL(res.request.url).pathname;
+  const route = matchRoute(document, method, pathname);
+
+  let schema = route ? findResponseSchema(document, method, route, res.status) : null;
+  if (!schema && res.status >= 400) {
+    // Every error, including unmatched routes, uses the shared envelope
+    schema = { $ref: '#/components/schemas/Error' };
+  }
+
+  if (!schema) {
+    if (route) {
+      throw new Error(`${method} ${route} responded ${res.status}, which is not documented`);
+    }
+    return;
+  }
+
+  const errors = validateSchema(schema, res.body, document);
+  if (!errors.length) {
+    return;
+  }
+
+  const lines = errors.map(error => `  ${error.path} ${error.message} (received ${describeValue(valueAt(res.body, error.path))})`);
+  let body = JSON.stringify(res.body, null, 2);
+  if (body.length > MAX_BODY_LENGTH) {
+    body = `${body.slice(0, MAX_BODY_LENGTH)}\n  ...`;
+  }
+
+  throw new Error([
+    `${method} ${route || pathname} responded ${res.status} with a body that does not match its documented schema:`,
+    ...lines,
+    '',
+    'Received body:',
+    body,
+  ].join('\n'));
+};
+
+/**
+ * Supertest for an app, checking every response against the OpenAPI document
+ * @param {Object} app - Express app
+ * @returns {Object} Object with the supertest request methods
+ */
+const request = (app) => {
+  const agent = supertest(app);
+  const wrapped = {};
+
+  METHODS.forEach((method) => {
+    wrapped[method] = (...args) => agent[method](...args).expect(res => expectContract(app, res));
+  });
+
+  return wrapped;
+};
+
+module.exports = request;
+module.exports.expectContract = expectContract;
+module.exports.matchRoute = matchRoute;
@@ -0,0 +1,267 @@
+// auth.test.js - Integration tests for auth API endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const { setTransport, createMemoryTransport } = require('../../src/utils/mailer');
+
+let mongoServer;
+let mailTransport;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  mailTransport = createMemoryTransport();
+  setTransport(mailTransport);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123',
+  });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  mailTransport.clear();
+});
+
+// Pull the raw reset token out of the last email in the outbox
+const lastResetToken = () => {
+  const message = mailTransport.outbox[mailTransport.outbox.length - 1];
+  return message.text.match(/token=([a-f0-9]+)/)[1];
+};
+
+describe('POST /api/auth/forgot-password', () => {
+  it('should email a reset link and store only the token hash', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(mailTransport.outbox).toHaveLength(1);
+    expect(mailTransport.outbox[0].to).toBe('test@example.com');
+
+    const token = lastResetToken();
+    const user = await User.findOne({ email: 'test@example.com' })
+      .select('+passwordResetToken +passwordResetExpires');
+
+    expect(user.passwordResetToken).toBe(User.hashResetToken(token));
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should answer the same way for unknown emails without sending mail', async () => {
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('If an account with this email exists, a password reset link has been sent');
+    expect(mailTransport.outbox).toHaveLength(0);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  it('should reset the password with a valid token', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: lastResetToken(), password: 'NewPassword456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Password has been reset successfully');
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ login: 'testuser', password: 'NewPassword456' });
+
+    expect(login.status).toBe(200);
+  });
+
+  it('should not accept the same token twice', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+    const token = lastResetToken();
+
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'NewPassword456' });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'OtherPassword789' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid or expired reset token');
+  });
+
+  it('should reject an expired token', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+    const token = lastResetToken();
+
+    await User.updateOne(
+      { email: 'test@example.com' },
+      { passwordResetExpires: new Date(Date.now() - 1000) }
+    );
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'NewPassword456' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid or expired reset token');
+  });
+
+  it('should reject a weak new password', async () => {
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'test@example.com' });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: lastResetToken(), password: 'password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Password does not meet requirements');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ login: 'testuser', password: 'Password123' });
+
+  it('should return a refresh token on login', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+  });
+
+  it('should rotate the refresh token', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(body.refreshToken);
+  });
+
+  it('should issue and rotate tokens for clients with very long User-Agents', async () => {
+    const userAgent = `Mozilla/5.0 ${'x'.repeat(1000)}`;
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ login: 'testuser', password: 'Password123' });
+    expect(body.refreshToken).toBeDefined();
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('User-Agent', userAgent)
+      .send({ refreshToken: body.refreshToken });
+
+    expect(res.status).toBe(200);
+    const tokens = await RefreshToken.find();
+    tokens.forEach(refreshToken => expect(refreshToken.device).toHaveLength(500));
+  });
+
+  it('should revoke the whole family when a used token is replayed', async () => {
+    const { body } = await login();
+
+    const first = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.refreshToken });
+
+    const replay = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.refreshToken });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Refresh token reuse detected');
+
+    // The token issued by the legitimate rotation is dead too
+    const next = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: first.body.refreshToken });
+
+    expect(next.status).toBe(401);
+  });
+
+  it('should reject an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid refresh token');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('should revoke the refresh token of the device', async () => {
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ login: 'testuser', password: 'Password123' });
+
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: body.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Logged out successfully');
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.refreshToken });
+
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should leave other devices signed in', async () => {
+    const phone = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Phone')
+      .send({ login: 'testuser', password: 'Password123' });
+    const laptop = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Laptop')
+      .send({ login: 'testuser', password: 'Password123' });
+
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: phone.body.refreshToken });
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: laptop.body.refreshToken });
+
+    expect(refresh.status).toBe(200);
+  });
+});
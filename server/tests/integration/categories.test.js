@@ -0,0 +1,340 @@
+// categories.test.js - Integration tests for categories API endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let adminToken;
+let userId;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+
+  const adminUser = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'admin123',
+    role: 'admin',
+  });
+  adminToken = generateToken(adminUser);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Fresh category for every test
+beforeEach(async () => {
+  const category = await Category.create({
+    name: 'Web Development',
+    description: 'Posts about the web',
+  });
+  categoryId = category._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Category.deleteMany({});
+});
+
+const createPost = (category) => Post.create({
+  title: 'Category Test Post',
+  content: 'This post belongs to a category under test',
+  author: userId,
+  category,
+  status: 'published',
+});
+
+describe('GET /api/categories', () => {
+  it('should list active categories with post counts', async () => {
+    await createPost(categoryId);
+    await Category.create({ name: 'Retired', isActive: false });
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories).toHaveLength(1);
+    expect(res.body.categories[0].slug).toBe('web-development');
+    expect(res.body.categories[0].postCount).toBe(1);
+  });
+
+  it('should include inactive categories for admins on request', async () => {
+    await Category.create({ name: 'Retired', isActive: false });
+
+    const res = await request(app)
+      .get('/api/categories?includeInactive=true')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.categories).toHaveLength(2);
+  });
+});
+
+describe('GET /api/categories/:idOrSlug', () => {
+  it('should return a category by ID', async () => {
+    const res = await request(app).get(`/api/categories/${categoryId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.name).toBe('Web Development');
+  });
+
+  it('should return a category by slug', async () => {
+    const res = await request(app).get('/api/categories/web-development');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category._id).toBe(categoryId.toString());
+  });
+
+  it('should find slugs that are 12 characters long', async () => {
+    // Any 12-character string would also pass as an ObjectId
+    const category = await Category.create({ name: 'Web Security' });
+
+    const res = await request(app).get('/api/categories/web-security');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category._id).toBe(category._id.toString());
+  });
+
+  it('should hide inactive categories from non-admins', async () => {
+    await Category.findByIdAndUpdate(categoryId, { isActive: false });
+
+    const res = await request(app).get(`/api/categories/${categoryId}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Category not found');
+  });
+});
+
+describe('GET /api/categories/:idOrSlug/posts', () => {
+  it('should list the published posts of a category with their links', async () => {
+    await createPost(categoryId);
+    await Post.create({
+      title: 'Unfinished Draft Post',
+      content: 'Drafts stay out of category listings',
+      author: userId,
+      category: categoryId,
+    });
+
+    const res = await request(app).get('/api/categories/web-development/posts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category._id).toBe(categoryId.toString());
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0].url).toBe('/posts/category-test-post');
+    expect(res.body.posts[0].canonicalUrl).toMatch(/^https?:\/\/.+\/posts\/category-test-post$/);
+    expect(res.body.pagination.totalItems).toBe(1);
+  });
+
+  it('should list posts of a category whose slug is 12 characters long', async () => {
+    const category = await Category.create({ name: 'Technologies' });
+    await createPost(category._id);
+
+    const res = await request(app).get('/api/categories/technologies/posts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.category._id).toBe(category._id.toString());
+    expect(res.body.posts).toHaveLength(1);
+  });
+
+  it('should return 404 for an unknown category', async () => {
+    const res = await request(app).get('/api/categories/no-such-category/posts');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Category not found');
+  });
+});
+
+describe('GET /api/categories/:idOrSlug/posts/:slug', () => {
+  it('should return a post of the category and count the view', async () => {
+    const post = await createPost(categoryId);
+
+    const res = await request(app).get('/api/categories/web-development/posts/category-test-post');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(post._id.toString());
+    expect((await Post.findById(post._id)).views).toBe(1);
+  });
+
+  it('should find posts under a category whose slug is 12 characters long', async () => {
+    const category = await Category.create({ name: 'Technologies' });
+    const post = await createPost(category._id);
+
+    const res = await request(app).get('/api/categories/technologies/posts/category-test-post');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(post._id.toString());
+  });
+
+  it('should not find a post through another category', async () => {
+    const other = await Category.create({ name: 'Other Topics' });
+    await createPost(other._id);
+
+    const res = await request(app).get('/api/categories/web-development/posts/category-test-post');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Post not found');
+  });
+
+  it('should show drafts to their author only', async () => {
+    await Post.create({
+      title: 'Category Draft Post',
+      content: 'Only the author can read this one',
+      author: userId,
+      category: categoryId,
+    });
+
+    const anonymous = await request(app).get('/api/categories/web-development/posts/category-draft-post');
+    expect(anonymous.status).toBe(404);
+
+    const author = await request(app)
+      .get('/api/categories/web-development/posts/category-draft-post')
+      .set('Authorization', `Bearer ${token}`);
+    expect(author.status).toBe(200);
+    expect(author.body.post.views).toBe(0);
+  });
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category as admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Data Science', color: '#10B981' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category.slug).toBe('data-science');
+    expect(res.body.category.color).toBe('#10B981');
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Data Science' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Admin privileges required');
+  });
+
+  it('should return 400 for an invalid color', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Data Science', color: 'green' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  it('should update a category as admin', async () => {
+    const res = await request(app)
+      .put(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Frontend' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.name).toBe('Frontend');
+    expect(res.body.category.slug).toBe('frontend');
+  });
+
+  it('should refuse to deactivate a category that has posts', async () => {
+    await createPost(categoryId);
+
+    const res = await request(app)
+      .put(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Category has posts');
+  });
+
+  it('should refuse to deactivate a category with posts when isActive is a string', async () => {
+    await createPost(categoryId);
+
+    const res = await request(app)
+      .put(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .type('form')
+      .send({ isActive: 'false' });
+
+    expect(res.status).toBe(409);
+    expect((await Category.findById(categoryId)).isActive).toBe(true);
+  });
+
+  it('should move posts when deactivating with reassignTo', async () => {
+    const post = await createPost(categoryId);
+    const target = await Category.create({ name: 'Archive' });
+
+    const res = await request(app)
+      .put(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false, reassignTo: target._id.toString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.category.isActive).toBe(false);
+    expect(res.body.reassigned).toBe(1);
+
+    const movedPost = await Post.findById(post._id);
+    expect(movedPost.category.toString()).toBe(target._id.toString());
+  });
+});
+
+describe('DELETE /api/categories/:id', () => {
+  it('should delete an empty category', async () => {
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Category deleted successfully');
+    expect(await Category.findById(categoryId)).toBeNull();
+  });
+
+  it('should refuse to delete a category that has posts', async () => {
+    await createPost(categoryId);
+
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(await Category.findById(categoryId)).not.toBeNull();
+  });
+
+  it('should delete a category after reassigning its posts', async () => {
+    await createPost(categoryId);
+    const target = await Category.create({ name: 'Archive' });
+
+    const res = await request(app)
+      .delete(`/api/categories/${categoryId}?reassignTo=${target._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reassigned).toBe(1);
+    expect(await Post.countDocuments({ category: target._id })).toBe(1);
+  });
+});
@@ -0,0 +1,225 @@
+// comments.test.js - Integration tests for post comment endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let otherToken;
+let adminToken;
+let userId;
+let categoryId;
+let postId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const category = await Category.create({ name: 'Discussion' });
+  categoryId = category._id;
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+
+  const otherUser = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  otherToken = generateToken(otherUser);
+
+  const adminUser = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'admin123',
+    role: 'admin',
+  });
+  adminToken = generateToken(adminUser);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'Post Open for Comments',
+    content: 'This post is published and accepts comments',
+    author: userId,
+    category: categoryId,
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+const comment = (content, parentId, authToken = token) => request(app)
+  .post(`/api/posts/${postId}/comments`)
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(parentId ? { content, parentId } : { content });
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should add a comment and bump the post comment count', async () => {
+    const res = await comment('First!');
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.content).toBe('First!');
+    expect(res.body.comment.depth).toBe(0);
+    expect(res.body.comment.author.username).toBe('testuser');
+
+    const post = await request(app).get(`/api/posts/${postId}`);
+    expect(post.body.post.commentCount).toBe(1);
+  });
+
+  it('should nest replies under their parent', async () => {
+    const parent = await comment('Parent comment');
+    const reply = await comment('A reply', parent.body.comment._id, otherToken);
+
+    expect(reply.status).toBe(201);
+    expect(reply.body.comment.depth).toBe(1);
+  });
+
+  it('should refuse replies deeper than the configured depth', async () => {
+    let parentId;
+    for (let depth = 0; depth <= Comment.MAX_DEPTH; depth++) {
+      const res = await comment(`Level ${depth}`, parentId);
+      expect(res.status).toBe(201);
+      parentId = res.body.comment._id;
+    }
+
+    const res = await comment('Too deep', parentId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Maximum reply depth reached');
+  });
+
+  it('should refuse comments on unpublished posts', async () => {
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const res = await comment('Early comment');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Cannot comment on unpublished post');
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should return comments as threads', async () => {
+    const parent = await comment('Parent comment');
+    await comment('A reply', parent.body.comment._id, otherToken);
+    await comment('Second thread');
+
+    const res = await request(app).get(`/api/posts/${postId}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.comments).toHaveLength(2);
+    expect(res.body.comments[0].replies).toHaveLength(1);
+    expect(res.body.comments[0].replies[0].content).toBe('A reply');
+    expect(res.body.commentCount).toBe(3);
+  });
+
+  it('should return 404 for drafts to other users', async () => {
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/comments`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/posts/:id/comments/:commentId', () => {
+  it('should let the author edit a comment', async () => {
+    const created = await comment('Typo comemnt');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body.comment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Typo comment' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.comment.content).toBe('Typo comment');
+    expect(res.body.comment.editedAt).toBeTruthy();
+  });
+
+  it('should not let other users edit a comment', async () => {
+    const created = await comment('My comment');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Hijacked' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should soft delete a comment and keep its replies', async () => {
+    const parent = await comment('Parent comment');
+    await comment('A reply', parent.body.comment._id, otherToken);
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${parent.body.comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+
+    const threads = await request(app).get(`/api/posts/${postId}/comments`);
+    expect(threads.body.comments).toHaveLength(1);
+    expect(threads.body.comments[0].isDeleted).toBe(true);
+    expect(threads.body.comments[0].content).toBeNull();
+    expect(threads.body.comments[0].author).toBeNull();
+    expect(threads.body.comments[0].replies).toHaveLength(1);
+    expect(threads.body.commentCount).toBe(1);
+  });
+
+  it('should let admins delete any comment', async () => {
+    const created = await comment('Spam');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body.comment._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not let other users delete a comment', async () => {
+    const created = await comment('My comment');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,108 @@
+// feeds.test.js - Integration tests for the RSS, Atom and JSON feeds
+
+// Feeds are XML or JSON Feed documents, not API responses, so plain supertest
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const { userFactory, categoryFactory, postFactory } = require('../factories');
+
+let mongoServer;
+let author;
+let category;
+let post;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await userFactory.create({ username: 'ada', firstName: 'Ada', lastName: 'Lovelace' });
+  category = await categoryFactory.create({ name: 'Engines' });
+
+  post = await postFactory.create('published', {
+    title: 'Notes on the Analytical Engine',
+    excerpt: 'What the engine can do',
+    tags: ['history'],
+    author: author._id,
+    category: category._id,
+  });
+  await postFactory.create('published', { title: 'Another Author Post', tags: ['misc'] });
+  await postFactory.create('draft', { title: 'Unpublished Draft Post', author: author._id, category: category._id });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('GET /feeds', () => {
+  it('should serve published posts as RSS 2.0', async () => {
+    const res = await request(app).get('/feeds/rss.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(res.text).toContain('<title>Notes on the Analytical Engine</title>');
+    expect(res.text).toContain('<description>What the engine can do</description>');
+    expect(res.text).toContain('<dc:creator>Ada Lovelace</dc:creator>');
+    expect(res.text).toContain('<category>Engines</category>');
+    expect(res.text).toContain('<category>history</category>');
+    expect(res.text).toContain('/posts/notes-on-the-analytical-engine</link>');
+    expect(res.text).not.toContain('Unpublished Draft Post');
+  });
+
+  it('should link to itself through API_BASE_URL, whatever the Host header says', async () => {
+    process.env.API_BASE_URL = 'https://api.example.com';
+    const res = await request(app).get('/feeds/feed.json').set('Host', 'evil.example.net');
+    delete process.env.API_BASE_URL;
+
+    expect(JSON.parse(res.text).feed_url).toBe('https://api.example.com/feeds/feed.json');
+  });
+
+  it('should serve Atom and JSON Feed', async () => {
+    const atom = await request(app).get('/feeds/atom.xml');
+    expect(atom.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(atom.text).toContain('<entry>');
+
+    const json = await request(app).get('/feeds/feed.json');
+    expect(json.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+    expect(JSON.parse(json.text).items).toHaveLength(2);
+  });
+
+  it('should serve category, tag and author feeds', async () => {
+    const byCategory = await request(app).get('/feeds/categories/engines/feed.json');
+    const byTag = await request(app).get('/feeds/tags/History/feed.json');
+    const byAuthor = await request(app).get('/feeds/authors/ada/feed.json');
+
+    [byCategory, byTag, byAuthor].forEach((res) => {
+      const feed = JSON.parse(res.text);
+      expect(feed.items.map(item => item.title)).toEqual(['Notes on the Analytical Engine']);
+    });
+    expect(JSON.parse(byAuthor.text).title).toMatch(/: Ada Lovelace$/);
+  });
+
+  it('should return 404 for unknown categories and authors', async () => {
+    expect((await request(app).get('/feeds/categories/nope/rss.xml')).status).toBe(404);
+    expect((await request(app).get('/feeds/authors/nobody/rss.xml')).status).toBe(404);
+  });
+
+  it('should answer conditional requests with 304 until a post changes', async () => {
+    const first = await request(app).get('/feeds/rss.xml');
+    expect(first.headers.etag).toBeDefined();
+    expect(first.headers['last-modified']).toBeDefined();
+
+    const byEtag = await request(app).get('/feeds/rss.xml').set('If-None-Match', first.headers.etag);
+    expect(byEtag.status).toBe(304);
+
+    const byDate = await request(app).get('/feeds/rss.xml').set('If-Modified-Since', first.headers['last-modified']);
+    expect(byDate.status).toBe(304);
+
+    // Last-Modified has one-second precision
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await Post.findByIdAndUpdate(post._id, { title: 'Notes on the Engine, revised' });
+
+    const changed = await request(app).get('/feeds/rss.xml').set('If-None-Match', first.headers.etag);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+});
@@ -0,0 +1,107 @@
+// health.test.js - Integration tests for health check endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const { startScheduler, stopScheduler, getSchedulerStatus } = require('../../src/jobs/publishScheduler');
+const { markShuttingDown } = require('../../src/utils/shutdown');
+
+describe('GET /health/live', () => {
+  it('should report the process as alive', async () => {
+    const res = await request(app).get('/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('alive');
+    expect(typeof res.body.uptime).toBe('number');
+  });
+});
+
+describe('GET /health/ready without a database', () => {
+  it('should return 503 with a per-check breakdown', async () => {
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.status).toBe('not_ready');
+    expect(res.body.checks.database).toEqual(expect.objectContaining({
+      status: 'fail',
+      readyState: 0,
+      state: 'disconnected',
+    }));
+    expect(res.body.checks.logDirectory.status).toBe('skipped');
+    expect(res.body.checks.scheduler.status).toBe('skipped');
+  });
+
+  it('should keep the basic health check answering', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+});
+
+describe('GET /health/ready with a database', () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await stopScheduler();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  it('should report ready when every dependency is healthy', async () => {
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('ready');
+    expect(res.body.shuttingDown).toBe(false);
+    expect(res.body.checks.database).toEqual(expect.objectContaining({
+      status: 'ok',
+      readyState: 1,
+      state: 'connected',
+    }));
+    expect(typeof res.body.checks.database.latencyMs).toBe('number');
+  });
+
+  it('should accept a fresh scheduler heartbeat', async () => {
+    startScheduler();
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(200);
+    expect(res.body.checks.scheduler.status).toBe('ok');
+  });
+
+  it('should return 503 when the scheduler heartbeat is stale', async () => {
+    const { intervalMs } = getSchedulerStatus();
+    const now = Date.now();
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now + intervalMs * 4);
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body.checks.scheduler.status).toBe('fail');
+      expect(res.body.checks.database.status).toBe('ok');
+    } finally {
+      dateNow.mockRestore();
+    }
+  });
+
+  it('should report not ready once shutdown has started', async () => {
+    markShuttingDown();
+
+    const res = await request(app).get('/health/ready');
+
+    expect(res.status).toBe(503);
+    expect(res.body.shuttingDown).toBe(true);
+
+    const live = await request(app).get('/health/live');
+    expect(live.status).toBe(200);
+  });
+});
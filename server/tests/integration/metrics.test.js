@@ -0,0 +1,192 @@
+// metrics.test.js - Integration tests for the Prometheus metrics endpoint
+
+const request = require('supertest');
+const express = require('express');
+const app = require('../../src/app');
+const { httpMetrics, metricsAccess } = require('../../src/middleware/metrics');
+const { errorHandler, asyncHandler, AppError } = require('../../src/middleware/errorHandler');
+const { register, httpRequestsTotal } = require('../../src/utils/metrics');
+const logger = require('../../src/utils/logger');
+
+/**
+ * Read the value of a counter for the given labels
+ * @param {Object} metric - prom-client metric
+ * @param {Object} labels - Labels to match
+ * @returns {Number} Counter value (0 if the series does not exist)
+ */
+const valueOf = async (metric, labels) => {
+  const { values } = await metric.get();
+  const series = values.find(value => Object.entries(labels)
+    .every(([name, expected]) => String(value.labels[name]) === String(expected)));
+  return series ? series.value : 0;
+};
+
+describe('GET /metrics', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('should expose metrics in Prometheus text format to loopback clients', async () => {
+    await request(app).get('/health');
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/plain');
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+    expect(res.text).toContain('http_request_duration_seconds_bucket');
+    expect(res.text).toContain('nodejs_eventloop_lag_seconds');
+    expect(res.text).toContain('mongoose_connection_state');
+    expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/health",status="200"\} \d+/);
+  });
+
+  it('should reject clients outside the allowlist', async () => {
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.1';
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+  });
+
+  it('should accept a valid bearer token from any address', async () => {
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.1';
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const res = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-secret');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should refuse loopback clients in production unless access is configured', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    process.env.NODE_ENV = 'production';
+    delete process.env.METRICS_TOKEN;
+    delete process.env.METRICS_ALLOWED_IPS;
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Metrics access is not configured');
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('METRICS_TOKEN or METRICS_ALLOWED_IPS'));
+  });
+
+  it('should serve allowlisted clients in production', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.METRICS_ALLOWED_IPS = '127.0.0.1,::1,::ffff:127.0.0.1';
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should reject a wrong bearer token', async () => {
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.1';
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const res = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer guessed-secret');
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('HTTP metrics middleware', () => {
+  let testApp;
+
+  beforeAll(() => {
+    // Mirrors the nested router layout of /api/posts/:id/comments
+    const comments = express.Router({ mergeParams: true });
+    comments.get('/:commentId', (req, res) => res.json({ ok: true }));
+    comments.delete('/:commentId', asyncHandler(async () => {
+      throw new AppError('Comment not found', 404);
+    }));
+
+    const posts = express.Router();
+    posts.get('/:id', (req, res) => res.json({ ok: true }));
+    posts.use('/:id/comments', comments);
+
+    testApp = express();
+    testApp.use(httpMetrics);
+    testApp.use('/api/posts', posts);
+    testApp.use(errorHandler);
+  });
+
+  it('should label requests by route template instead of raw URL', async () => {
+    const before = await valueOf(httpRequestsTotal, { route: '/api/posts/:id', status: 200 });
+
+    await request(testApp).get('/api/posts/507f1f77bcf86cd799439011');
+    await request(testApp).get('/api/posts/another-post');
+
+    const after = await valueOf(httpRequestsTotal, { route: '/api/posts/:id', status: 200 });
+    expect(after - before).toBe(2);
+  });
+
+  it('should resolve params of nested router mount points', async () => {
+    const before = await valueOf(httpRequestsTotal, {
+      method: 'GET',
+      route: '/api/posts/:id/comments/:commentId',
+    });
+
+    await request(testApp).get('/api/posts/my-slug/comments/abc');
+
+    const after = await valueOf(httpRequestsTotal, {
+      method: 'GET',
+      route: '/api/posts/:id/comments/:commentId',
+    });
+    expect(after - before).toBe(1);
+  });
+
+  it('should keep the template when the request fails in a nested router', async () => {
+    const before = await valueOf(httpRequestsTotal, {
+      method: 'DELETE',
+      route: '/api/posts/:id/comments/:commentId',
+      status: 404,
+    });
+
+    await request(testApp).delete('/api/posts/my-slug/comments/abc');
+
+    const after = await valueOf(httpRequestsTotal, {
+      method: 'DELETE',
+      route: '/api/posts/:id/comments/:commentId',
+      status: 404,
+    });
+    expect(after - before).toBe(1);
+  });
+
+  it('should label unknown routes as unmatched', async () => {
+    const before = await valueOf(httpRequestsTotal, { route: 'unmatched', status: 404 });
+
+    await request(testApp).get('/no/such/route/123');
+
+    const after = await valueOf(httpRequestsTotal, { route: 'unmatched', status: 404 });
+    expect(after - before).toBe(1);
+  });
+
+  it('should count error handler classifications', async () => {
+    await request(testApp).delete('/api/posts/my-slug/comments/abc');
+
+    const metrics = await register.metrics();
+    expect(metrics).toMatch(/http_errors_total\{type="AppError",status="404"\} \d+/);
+  });
+});
+
+describe('Metrics access middleware', () => {
+  it('should deny non-loopback clients by default', async () => {
+    const testApp = express();
+    testApp.set('trust proxy', true);
+    testApp.get('/metrics', metricsAccess, (req, res) => res.send('ok'));
+
+    const res = await request(testApp)
+      .get('/metrics')
+      .set('X-Forwarded-For', '203.0.113.7');
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,236 @@
+// migrations.test.js - Integration tests for running migrations against a database
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Lease = require('../../src/models/Lease');
+const Migration = require('../../src/models/Migration');
+const {
+  MIGRATIONS_DIR,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+} = require('../../src/utils/migrations');
+
+let mongoServer;
+let dir;
+
+/**
+ * Write a migration that logs its runs into the `runs` collection
+ * @param {String} name - File name without extension
+ * @param {Object} [options] - { fail: throw from up, delayMs: slow down up }
+ */
+const writeMigration = (name, { fail = false, delayMs = 0 } = {}) => {
+  fs.writeFileSync(path.join(dir, `${name}.js`), `
+module.exports = {
+  description: '${name}',
+  async up({ db }) {
+    await new Promise(resolve => setTimeout(resolve, ${delayMs}));
+    ${fail ? "throw new Error('boom');" : ''}
+    await db.collection('runs').insertOne({ name: '${name}', direction: 'up' });
+  },
+  async down({ db }) {
+    await db.collection('runs').insertOne({ name: '${name}', direction: 'down' });
+  },
+};
+`);
+};
+
+const runs = () => mongoose.connection.db.collection('runs')
+  .find({}, { projection: { _id: 0 } })
+  .toArray();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+});
+
+afterEach(async () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+});
+
+describe('migrateUp', () => {
+  it('should apply pending migrations in order and record them', async () => {
+    writeMigration('20261019120001-second');
+    writeMigration('20261019120000-first');
+
+    const applied = await migrateUp({ dir });
+
+    expect(applied).toEqual(['20261019120000-first', '20261019120001-second']);
+    expect((await runs()).map(run => run.name)).toEqual(applied);
+    expect(await Migration.countDocuments()).toBe(2);
+  });
+
+  it('should not apply a migration twice', async () => {
+    writeMigration('20261019120000-first');
+    await migrateUp({ dir });
+
+    writeMigration('20261019120001-second');
+    const applied = await migrateUp({ dir });
+
+    expect(applied).toEqual(['20261019120001-second']);
+    expect(await runs()).toHaveLength(2);
+  });
+
+  it('should stop at the target migration', async () => {
+    writeMigration('20261019120000-first');
+    writeMigration('20261019120001-second');
+
+    expect(await migrateUp({ dir, to: '20261019120000-first' })).toEqual(['20261019120000-first']);
+    await expect(migrateUp({ dir, to: 'nope' })).rejects.toThrow('Unknown migration nope');
+  });
+
+  it('should stop at a failing migration without recording it', async () => {
+    writeMigration('20261019120000-first');
+    writeMigration('20261019120001-broken', { fail: true });
+    writeMigration('20261019120002-third');
+
+    await expect(migrateUp({ dir })).rejects.toThrow('Migration 20261019120001-broken failed: boom');
+
+    expect((await Migration.find().lean()).map(record => record._id)).toEqual(['20261019120000-first']);
+    expect(await Lease.countDocuments({ _id: 'migrations' })).toBe(0);
+  });
+
+  it('should run each migration once when deploys race', async () => {
+    writeMigration('20261019120000-slow', { delayMs: 200 });
+    writeMigration('20261019120001-next');
+
+    const results = await Promise.all([
+      migrateUp({ dir, lockTimeoutMs: 5000 }),
+      migrateUp({ dir, lockTimeoutMs: 5000 }),
+    ]);
+
+    expect(results.flat().sort()).toEqual(['20261019120000-slow', '20261019120001-next']);
+    expect(await runs()).toHaveLength(2);
+  });
+
+  it('should give up when another run keeps the lock', async () => {
+    writeMigration('20261019120000-first');
+    await Lease.acquire('migrations', 'another-deploy', 60000);
+
+    await expect(migrateUp({ dir, lockTimeoutMs: 100 }))
+      .rejects.toThrow('Another migration run holds the lock');
+    expect(await runs()).toHaveLength(0);
+  });
+});
+
+describe('migrateDown', () => {
+  it('should roll back the latest migrations', async () => {
+    writeMigration('20261019120000-first');
+    writeMigration('20261019120001-second');
+    await migrateUp({ dir });
+
+    expect(await migrateDown({ dir })).toEqual(['20261019120001-second']);
+    expect(await migrateDown({ dir, steps: 5 })).toEqual(['20261019120000-first']);
+    expect(await migrateDown({ dir })).toEqual([]);
+    expect(await Migration.countDocuments()).toBe(0);
+  });
+
+  it('should refuse to roll back a migration whose file is gone', async () => {
+    await Migration.create({ _id: '20261019120000-deleted' });
+
+    await expect(migrateDown({ dir })).rejects.toThrow('Cannot roll back 20261019120000-deleted: its file is missing');
+  });
+});
+
+describe('getMigrationStatus', () => {
+  it('should list applied, pending and missing migrations', async () => {
+    writeMigration('20261019120000-first');
+    writeMigration('20261019120001-second');
+    await migrateUp({ dir, to: '20261019120000-first' });
+    await Migration.create({ _id: '20261019110000-removed' });
+
+    const status = await getMigrationStatus({ dir });
+
+    expect(status.map(({ name, status: state }) => [name, state])).toEqual([
+      ['20261019110000-removed', 'missing'],
+      ['20261019120000-first', 'applied'],
+      ['20261019120001-second', 'pending'],
+    ]);
+    expect(status[1].appliedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('Shipped migrations', () => {
+  it('should backfill missing slugs', async () => {
+    const { db } = mongoose.connection;
+    await db.collection('posts').insertMany([
+      { title: 'Hello World!' },
+      { title: 'Kept', slug: 'already-set' },
+    ]);
+    await db.collection('categories').insertOne({ name: 'Web Dev', slug: '' });
+
+    await migrateUp({ dir: MIGRATIONS_DIR, to: '20261019130000-backfill-slugs' });
+
+    const posts = await db.collection('posts').find().sort({ title: 1 }).toArray();
+    expect(posts.map(post => post.slug)).toEqual(['hello-world', 'already-set']);
+    expect((await db.collection('categories').findOne()).slug).toBe('web-dev');
+  });
+
+  it('should suffix duplicate slugs instead of failing', async () => {
+    const { db } = mongoose.connection;
+    await db.collection('posts').createIndex({ slug: 1 }, { unique: true, sparse: true });
+    await db.collection('posts').insertMany([
+      { title: 'Taken', slug: 'same-title' },
+      { title: 'Same Title' },
+      { title: 'Same title!' },
+      { title: 'Same  Title' },
+    ]);
+
+    await migrateUp({ dir: MIGRATIONS_DIR, to: '20261019130000-backfill-slugs' });
+
+    const slugs = (await db.collection('posts').find().sort({ _id: 1 }).toArray()).map(post => post.slug);
+    expect(slugs).toEqual(['same-title', 'same-title-2', 'same-title-3', 'same-title-4']);
+    await db.collection('posts').dropIndexes();
+  });
+
+  it('should convert numeric likes and restore them on rollback', async () => {
+    const { db } = mongoose.connection;
+    await db.collection('posts').insertMany([
+      { title: 'Legacy', likes: 5 },
+      { title: 'Current', likes: [{ user: new mongoose.Types.ObjectId() }] },
+    ]);
+
+    await migrateUp({ dir: MIGRATIONS_DIR });
+
+    const legacy = await db.collection('posts').findOne({ title: 'Legacy' });
+    expect(legacy.likes).toEqual([]);
+    expect(legacy.legacyLikeCount).toBe(5);
+    expect((await db.collection('posts').findOne({ title: 'Current' })).likes).toHaveLength(1);
+
+    await migrateDown({ dir: MIGRATIONS_DIR, steps: 3 });
+
+    const restored = await db.collection('posts').findOne({ title: 'Legacy' });
+    expect(restored.likes).toBe(5);
+    expect(restored.legacyLikeCount).toBeUndefined();
+  });
+
+  it('should render existing content as sanitized HTML', async () => {
+    const { db } = mongoose.connection;
+    await db.collection('posts').insertMany([
+      { title: 'Legacy', content: '<p>Hello</p><script>alert(1)</script>' },
+      { title: 'Current', content: '## Hi', contentFormat: 'markdown', contentHtml: '<h2 id="hi">Hi</h2>' },
+    ]);
+
+    await migrateUp({ dir: MIGRATIONS_DIR, to: '20261019150000-render-post-content' });
+
+    const legacy = await db.collection('posts').findOne({ title: 'Legacy' });
+    expect(legacy.contentFormat).toBe('html');
+    expect(legacy.contentHtml).toBe('<p>Hello</p>');
+    expect(legacy.toc).toEqual([]);
+    expect((await db.collection('posts').findOne({ title: 'Current' })).toc).toBeUndefined();
+  });
+});
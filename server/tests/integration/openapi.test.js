@@ -0,0 +1,222 @@
+// openapi.test.js - Integration tests for the OpenAPI document, docs page and response checks
+
+const request = require('supertest');
+const express = require('express');
+const app = require('../../src/app');
+const {
+  responseValidation,
+  getResponseViolations,
+  clearResponseViolations,
+} = require('../../src/middleware/responseValidation');
+const contractRequest = require('../helpers/contract');
+
+const { matchRoute } = contractRequest;
+
+describe('GET /api/openapi.json', () => {
+  let document;
+
+  beforeAll(async () => {
+    const res = await request(app).get('/api/openapi.json');
+    expect(res.status).toBe(200);
+    document = res.body;
+  });
+
+  it('should describe the API as OpenAPI 3', () => {
+    expect(document.openapi).toMatch(/^3\./);
+    expect(document.components.securitySchemes.bearerAuth).toEqual({
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+    });
+    expect(Object.keys(document.components.schemas)).toEqual(expect.arrayContaining([
+      'Error', 'Pagination', 'User', 'Post', 'Category', 'Comment',
+    ]));
+  });
+
+  it('should document every API route but not the docs or metrics', () => {
+    expect(Object.keys(document.paths)).toEqual(expect.arrayContaining([
+      '/api/auth/register',
+      '/api/auth/login',
+      '/api/users/me',
+      '/api/users/{id}',
+      '/api/posts',
+      '/api/posts/{id}',
+      '/api/posts/{id}/comments',
+      '/api/categories/{idOrSlug}',
+      '/health/ready',
+    ]));
+    expect(document.paths['/api/openapi.json']).toBeUndefined();
+    expect(document.paths['/api/docs']).toBeUndefined();
+    expect(document.paths['/metrics']).toBeUndefined();
+  });
+
+  it('should derive request bodies from the validation chains', () => {
+    const operation = document.paths['/api/posts'].post;
+    const schema = operation.requestBody.content['application/json'].schema;
+
+    expect(operation.summary).toBe('Create a new post');
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(schema.required).toEqual(expect.arrayContaining(['title', 'content', 'category']));
+    expect(schema.properties.title).toMatchObject({ type: 'string', minLength: 5, maxLength: 200 });
+    expect(schema.properties.category).toMatchObject({ pattern: '^[0-9a-fA-F]{24}$' });
+    expect(schema.properties.tags.type).toBe('array');
+  });
+
+  it('should derive query and path parameters from the validation chains', () => {
+    const { parameters } = document.paths['/api/posts'].get;
+    const limit = parameters.find(parameter => parameter.name === 'limit');
+
+    expect(limit).toMatchObject({ in: 'query', required: false, schema: { type: 'integer' } });
+    expect(document.paths['/api/posts/{id}'].get.parameters).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'id', in: 'path', required: true }),
+    ]));
+  });
+
+  it('should document success and error responses', () => {
+    const { responses } = document.paths['/api/posts/{id}'].put;
+
+    expect(responses[200].content['application/json'].schema.required).toEqual(['message', 'post']);
+    expect(Object.keys(responses)).toEqual(expect.arrayContaining(['400', '401', '403', '404', 'default']));
+    expect(responses[401].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+});
+
+describe('GET /api/docs', () => {
+  it('should serve the interactive docs page and its assets', async () => {
+    const page = await request(app).get('/api/docs');
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toContain('text/html');
+    expect(page.text).toContain('/api/docs/swagger-ui-bundle.js');
+
+    const init = await request(app).get('/api/docs/init.js');
+    expect(init.status).toBe(200);
+    expect(init.text).toContain("url: '/api/openapi.json'");
+
+    const bundle = await request(app).get('/api/docs/swagger-ui-bundle.js');
+    expect(bundle.status).toBe(200);
+  });
+});
+
+describe('Response validation', () => {
+  /**
+   * Build an app serving a documented route with the given handler
+   * @param {String} mode - Validation mode
+   * @param {Function} handler - Handler for GET /health/live
+   * @returns {Object} Express app
+   */
+  const buildApp = (mode, handler) => {
+    const testApp = express();
+    testApp.use(responseValidation(mode));
+    testApp.get('/health/live', handler);
+    return testApp;
+  };
+
+  beforeEach(() => {
+    clearResponseViolations();
+  });
+
+  it('should pass responses that match the document through', async () => {
+    const testApp = buildApp('strict', (req, res) => {
+      res.json({ status: 'alive', timestamp: new Date(), uptime: 1.5 });
+    });
+
+    const res = await request(testApp).get('/health/live');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('alive');
+    expect(getResponseViolations()).toEqual([]);
+  });
+
+  it('should fail drifted responses in strict mode', async () => {
+    const testApp = buildApp('strict', (req, res) => {
+      res.json({ status: 'alive', uptime: '1.5' });
+    });
+
+    const res = await request(testApp).get('/health/live');
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('Response does not match the OpenAPI document');
+    expect(res.body.details.errors).toEqual([
+      { path: '$.timestamp', message: 'is required' },
+      { path: '$.uptime', message: 'expected number, got string' },
+    ]);
+    expect(getResponseViolations()).toHaveLength(1);
+  });
+
+  it('should only record drift in warn mode', async () => {
+    const testApp = buildApp('warn', (req, res) => {
+      res.status(201).json({ status: 'alive' });
+    });
+
+    const res = await request(testApp).get('/health/live');
+
+    expect(res.status).toBe(201);
+    expect(getResponseViolations()).toEqual([{
+      method: 'GET',
+      route: '/health/live',
+      status: 201,
+      errors: [{ path: '$', message: 'no schema documented for status 201' }],
+    }]);
+  });
+
+  it('should check error responses against the error envelope', async () => {
+    const testApp = buildApp('strict', (req, res) => {
+      res.status(404).json({ message: 'Not here' });
+    });
+
+    const res = await request(testApp).get('/health/live');
+
+    expect(res.status).toBe(500);
+    expect(res.body.details.errors).toEqual([{ path: '$.error', message: 'is required' }]);
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => responseValidation('loud')).toThrow('Unknown response validation mode');
+  });
+});
+
+describe('Contract helper', () => {
+  it('should match literal paths before parameterized ones', async () => {
+    const { body: document } = await request(app).get('/api/openapi.json');
+
+    expect(matchRoute(document, 'GET', '/api/users/me')).toBe('/api/users/me');
+    expect(matchRoute(document, 'GET', '/api/users/507f1f77bcf86cd799439011')).toBe('/api/users/{id}');
+    expect(matchRoute(document, 'DELETE', '/api/posts/1/comments/2')).toBe('/api/posts/{id}/comments/{commentId}');
+    expect(matchRoute(document, 'GET', '/api/nothing')).toBeNull();
+  });
+
+  it('should pass responses that match their documented schema', async () => {
+    const res = await contractRequest(app).get('/health/live');
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should check unmatched routes against the error envelope', async () => {
+    const res = await contractRequest(app).get('/api/nothing');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should fail with a readable list of mismatches', async () => {
+    const testApp = express();
+    testApp.get('/health/live', (req, res) => {
+      res.json({ status: 'alive', uptime: '1.5' });
+    });
+
+    await expect(contractRequest(testApp).get('/health/live')).rejects.toThrow([
+      'GET /health/live responded 200 with a body that does not match its documented schema:',
+      '  $.timestamp is required (received missing)',
+      '  $.uptime expected number, got string (received "1.5")',
+    ].join('\n'));
+  });
+
+  it('should fail on undocumented success statuses', async () => {
+    const testApp = express();
+    testApp.get('/health/live', (req, res) => {
+      res.status(202).json({ status: 'alive' });
+    });
+
+    await expect(contractRequest(testApp).get('/health/live'))
+      .rejects.toThrow('GET /health/live responded 202, which is not documented');
+  });
+});
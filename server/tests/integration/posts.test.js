@@ -1,13 +1,15 @@
 // posts.test.js - Integration tests for posts API endpoints
 
-const request = require('supertest');
+const request = require('../helpers/contract');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
 const Category = require('../../src/models/Category');
+const SlugHistory = require('../../src/models/SlugHistory');
 const { generateToken } = require('../../src/utils/auth');
+const { postFactory } = require('../factories');
 
 let mongoServer;
 let token;
@@ -117,6 +119,57 @@ describe('POST /api/posts', () => {
     expect(res.body.error).toBe('Access denied');
   });
 
+  it('should create a scheduled post with a future date', async () => {
+    const scheduledFor = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Scheduled Test Post',
+        content: 'This post will be published tomorrow',
+        category: categoryId,
+        status: 'scheduled',
+        scheduledFor,
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.status).toBe('scheduled');
+    expect(res.body.post.scheduledFor).toBe(scheduledFor);
+    expect(res.body.post.publishedAt).toBeNull();
+  });
+
+  it('should return 400 for a scheduled post in the past', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Scheduled Test Post',
+        content: 'This post cannot be scheduled in the past',
+        category: categoryId,
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() - 60 * 1000).toISOString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+
+  it('should return 400 for a scheduled post without a date', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Scheduled Test Post',
+        content: 'This post is missing its schedule',
+        category: categoryId,
+        status: 'scheduled',
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+
   it('should return 400 for invalid post data', async () => {
     const postData = {
       title: 'Bad', // Too short
@@ -132,6 +185,61 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(400);
     expect(res.body.error).toBe('Validation Error');
   });
+
+  it('should render Markdown content to sanitized HTML with a table of contents', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Markdown Rendering Post',
+        content: '## Getting *Started*\n\nRun `npm test` & relax.<script>alert(1)</script>\n\n```js\nrun();\n```',
+        category: categoryId,
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.contentFormat).toBe('markdown');
+    expect(res.body.post.contentHtml).toBe([
+      '<h2 id="getting-started">Getting <em>Started</em></h2>',
+      '<p>Run <code>npm test</code> &amp; relax.</p>',
+      '<pre><code class="language-js">run();',
+      '</code></pre>',
+    ].join('\n'));
+    expect(res.body.post.toc).toEqual([{ level: 2, id: 'getting-started', text: 'Getting Started' }]);
+    expect(res.body.post.excerpt).toBe('Getting Started Run npm test & relax. run();');
+  });
+
+  it('should give concurrent posts with the same title different slugs', async () => {
+    // The unique slug index has to exist for the losing save to notice
+    await Post.init();
+    const create = () => request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Racing To The Same Slug', content: 'Both of these posts are created at once', category: categoryId });
+
+    const responses = await Promise.all([create(), create(), create()]);
+
+    expect(responses.map(res => res.status)).toEqual([201, 201, 201]);
+    expect(responses.map(res => res.body.post.slug).sort()).toEqual([
+      'racing-to-the-same-slug',
+      'racing-to-the-same-slug-2',
+      'racing-to-the-same-slug-3',
+    ]);
+  });
+
+  it('should return 400 for an unknown content format', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Unknown Format Post',
+        content: 'This post is written in some other format',
+        contentFormat: 'rst',
+        category: categoryId,
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
 });
 
 describe('GET /api/posts', () => {
@@ -142,6 +250,7 @@ describe('GET /api/posts', () => {
     expect(res.body.posts).toBeDefined();
     expect(Array.isArray(res.body.posts)).toBeTruthy();
     expect(res.body.posts.length).toBeGreaterThan(0);
+    expect(res.body.posts[0].url).toMatch(/^\/posts\//);
     expect(res.body.pagination).toBeDefined();
   });
 
@@ -189,6 +298,90 @@ describe('GET /api/posts', () => {
   });
 });
 
+describe('GET /api/posts with cursors', () => {
+  beforeEach(async () => {
+    // Two posts share a publication date to exercise the _id tie-breaker
+    const dates = ['2026-01-01', '2026-01-02', '2026-01-02', '2026-01-03', '2026-01-04'];
+    for (const [i, date] of dates.entries()) {
+      await postFactory.create('published', {
+        title: `Cursor Test Post ${i}`,
+        author: userId,
+        category: categoryId,
+        publishedAt: new Date(date),
+      });
+    }
+  });
+
+  const walk = async (path) => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const res = await request(app).get(`${path}${cursor ? `&cursor=${cursor}` : ''}`);
+      expect(res.status).toBe(200);
+      pages.push(res.body);
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('should visit every post once, in order', async () => {
+    const pages = await walk(`/api/posts?category=${categoryId}&paginate=cursor&limit=2`);
+    const expected = await Post.find({ status: 'published', category: categoryId })
+      .sort({ publishedAt: -1, _id: -1 });
+
+    expect(pages.flatMap(page => page.posts.map(post => post._id)))
+      .toEqual(expected.map(post => post._id.toString()));
+    expect(pages[0].pagination.hasPrev).toBe(false);
+    expect(pages[pages.length - 1].pagination.hasNext).toBe(false);
+  });
+
+  it('should not skip or repeat posts published mid-scroll', async () => {
+    const first = await request(app).get(`/api/posts?category=${categoryId}&paginate=cursor&limit=3`);
+
+    await postFactory.create('published', { title: 'Breaking News Post', author: userId, category: categoryId });
+
+    const second = await request(app)
+      .get(`/api/posts?category=${categoryId}&limit=3&cursor=${first.body.pagination.nextCursor}`);
+
+    const seen = [...first.body.posts, ...second.body.posts].map(post => post.title);
+    expect(new Set(seen).size).toBe(seen.length);
+    expect(seen).not.toContain('Breaking News Post');
+  });
+
+  it('should go back with the previous cursor', async () => {
+    const first = await request(app).get(`/api/posts?category=${categoryId}&paginate=cursor&limit=2`);
+    const second = await request(app)
+      .get(`/api/posts?category=${categoryId}&limit=2&cursor=${first.body.pagination.nextCursor}`);
+    const back = await request(app)
+      .get(`/api/posts?category=${categoryId}&limit=2&cursor=${second.body.pagination.prevCursor}`);
+
+    expect(back.body.posts.map(post => post._id)).toEqual(first.body.posts.map(post => post._id));
+    expect(back.body.pagination.hasPrev).toBe(false);
+    expect(back.body.pagination.hasNext).toBe(true);
+  });
+
+  it('should skip the total count on request', async () => {
+    const cursor = await request(app).get('/api/posts?paginate=cursor&includeTotal=false');
+    const offset = await request(app).get('/api/posts?page=1&includeTotal=false');
+
+    expect(cursor.body.pagination.totalItems).toBeUndefined();
+    expect(offset.body.pagination.totalItems).toBeUndefined();
+    expect(offset.body.pagination.current).toBe(1);
+  });
+
+  it('should reject invalid cursors', async () => {
+    const first = await request(app).get('/api/posts?paginate=cursor&limit=2');
+
+    const otherSort = await request(app)
+      .get(`/api/posts?sortBy=views&limit=2&cursor=${first.body.pagination.nextCursor}`);
+    expect(otherSort.status).toBe(400);
+    expect(otherSort.body.error).toBe('Invalid cursor');
+
+    const likes = await request(app).get('/api/posts?paginate=cursor&sortBy=likes');
+    expect(likes.status).toBe(400);
+  });
+});
+
 describe('GET /api/posts/:id', () => {
   it('should return a post by ID', async () => {
     const res = await request(app)
@@ -210,6 +403,104 @@ describe('GET /api/posts/:id', () => {
   });
 });
 
+describe('GET /api/posts/slug/:slug', () => {
+  afterEach(async () => {
+    await SlugHistory.deleteMany({});
+  });
+
+  it('should return a post by slug', async () => {
+    const res = await request(app)
+      .get('/api/posts/slug/test-post-for-integration-testing');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(postId.toString());
+    expect(res.body.post.url).toBe('/posts/test-post-for-integration-testing');
+  });
+
+  it('should build canonical URLs from PUBLIC_BASE_URL', async () => {
+    process.env.PUBLIC_BASE_URL = 'https://blog.example.com/';
+
+    try {
+      const res = await request(app)
+        .get('/api/posts/slug/test-post-for-integration-testing');
+
+      expect(res.body.post.canonicalUrl).toBe('https://blog.example.com/posts/test-post-for-integration-testing');
+    } finally {
+      delete process.env.PUBLIC_BASE_URL;
+    }
+  });
+
+  it('should suffix the slugs of posts with the same title', async () => {
+    const posts = await postFactory.createMany(3, {
+      title: 'Same Title Twice',
+      author: userId,
+      category: categoryId,
+    });
+
+    expect(posts.map(post => post.slug)).toEqual(['same-title-twice', 'same-title-twice-2', 'same-title-twice-3']);
+  });
+
+  it('should transliterate non-ASCII titles', async () => {
+    const post = await postFactory.create({ title: 'Привет, Café Straße', author: userId, category: categoryId });
+
+    expect(post.slug).toBe('privet-cafe-strasse');
+  });
+
+  it('should redirect the old slug of a renamed post', async () => {
+    const post = await postFactory.create('published', { title: 'Original Post Title', author: userId, category: categoryId });
+
+    const update = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post Title' });
+    expect(update.body.post.slug).toBe('renamed-post-title');
+
+    const res = await request(app)
+      .get('/api/posts/slug/original-post-title');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/posts/slug/renamed-post-title');
+    expect(res.body.slug).toBe('renamed-post-title');
+  });
+
+  it('should hand an old slug to a new post that claims it', async () => {
+    const post = await postFactory.create('published', { title: 'Claimed Slug Title', author: userId, category: categoryId });
+    post.title = 'Moved Away Title';
+    await post.save();
+
+    const newcomer = await postFactory.create('published', { title: 'Claimed Slug Title', author: userId, category: categoryId });
+
+    const res = await request(app)
+      .get('/api/posts/slug/claimed-slug-title');
+
+    expect(res.status).toBe(200);
+    expect(res.body.post._id).toBe(newcomer._id.toString());
+    expect(await SlugHistory.countDocuments({ slug: 'claimed-slug-title' })).toBe(0);
+  });
+
+  it('should not reveal where a draft moved to', async () => {
+    const post = await postFactory.create('draft', { title: 'Secret Draft Title', author: userId, category: categoryId });
+    post.title = 'Still Secret Title';
+    await post.save();
+
+    const anonymous = await request(app).get('/api/posts/slug/secret-draft-title');
+    expect(anonymous.status).toBe(404);
+
+    const author = await request(app)
+      .get('/api/posts/slug/secret-draft-title')
+      .set('Authorization', `Bearer ${token}`);
+    expect(author.status).toBe(301);
+  });
+
+  it('should return 404 for an unknown slug', async () => {
+    const res = await request(app)
+      .get('/api/posts/slug/never-existed');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Post not found');
+  });
+});
+
 describe('PUT /api/posts/:id', () => {
   it('should update a post by the author', async () => {
     const updateData = {
@@ -228,6 +519,17 @@ describe('PUT /api/posts/:id', () => {
     expect(res.body.post.content).toBe(updateData.content);
   });
 
+  it('should render the content again when it or its format changes', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: '<h2>Plain HTML</h2><p onclick="steal()">Kept</p>', contentFormat: 'html' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.contentHtml).toBe('<h2>Plain HTML</h2><p>Kept</p>');
+    expect(res.body.post.toc).toEqual([]);
+  });
+
   it('should return 401 when not authenticated', async () => {
     const updateData = {
       title: 'Unauthorized Update',
@@ -0,0 +1,100 @@
+// requestId.test.js - Integration tests for request ID propagation
+
+const request = require('supertest');
+const express = require('express');
+const Transport = require('winston-transport');
+const app = require('../../src/app');
+const logger = require('../../src/utils/logger');
+const { requestId } = require('../../src/middleware/requestId');
+const { errorHandler, AppError } = require('../../src/middleware/errorHandler');
+
+// Collects every log entry so tests can inspect their metadata
+class MemoryTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+describe('Request ID middleware', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger.add(transport);
+  });
+
+  afterEach(() => {
+    logger.remove(transport);
+  });
+
+  it('should generate a request ID and echo it in the response', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should reuse an incoming X-Request-Id', async () => {
+    const res = await request(app)
+      .get('/health')
+      .set('X-Request-Id', 'client-trace-42');
+
+    expect(res.headers['x-request-id']).toBe('client-trace-42');
+  });
+
+  it('should replace an unsafe incoming X-Request-Id', async () => {
+    const res = await request(app)
+      .get('/health')
+      .set('X-Request-Id', 'not allowed\tvalue');
+
+    expect(res.headers['x-request-id']).not.toBe('not allowed\tvalue');
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should tag log lines emitted during the request', async () => {
+    const testApp = express();
+    testApp.use(requestId);
+    testApp.get('/work', async (req, res) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      logger.warn('Doing some work');
+      res.json({ ok: true });
+    });
+
+    await request(testApp)
+      .get('/work')
+      .set('X-Request-Id', 'trace-work-1');
+
+    const entry = transport.entries.find(info => String(info.message).includes('Doing some work'));
+    expect(entry.requestId).toBe('trace-work-1');
+  });
+
+  it('should include the request ID in error responses and error logs', async () => {
+    const testApp = express();
+    testApp.use(requestId);
+    testApp.get('/fail', (req, res, next) => next(new AppError('Something broke', 418)));
+    testApp.use(errorHandler);
+
+    const res = await request(testApp)
+      .get('/fail')
+      .set('X-Request-Id', 'trace-fail-1');
+
+    expect(res.status).toBe(418);
+    expect(res.body.requestId).toBe('trace-fail-1');
+
+    const entry = transport.entries.find(info => String(info.message).includes('Something broke'));
+    expect(entry.requestId).toBe('trace-fail-1');
+  });
+
+  it('should not tag log lines outside of a request', () => {
+    logger.warn('Background message');
+
+    const entry = transport.entries.find(info => String(info.message).includes('Background message'));
+    expect(entry.requestId).toBeUndefined();
+  });
+});
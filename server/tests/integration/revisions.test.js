@@ -0,0 +1,216 @@
+// revisions.test.js - Integration tests for post revision endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let otherToken;
+let adminToken;
+let userId;
+let categoryId;
+let postId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const category = await Category.create({ name: 'Revisions' });
+  categoryId = category._id;
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+
+  const otherUser = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  otherToken = generateToken(otherUser);
+
+  const adminUser = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'admin123',
+    role: 'admin',
+  });
+  adminToken = generateToken(adminUser);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const post = await Post.create({
+    title: 'Original Post Title',
+    content: 'First line\nSecond line\nThird line',
+    author: userId,
+    category: categoryId,
+    tags: ['draft'],
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await PostRevision.deleteMany({});
+});
+
+const update = (data, authToken = token) => request(app)
+  .put(`/api/posts/${postId}`)
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(data);
+
+describe('PUT /api/posts/:id revisions', () => {
+  it('should record the original and the edited version', async () => {
+    await update({ title: 'Edited Post Title' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ version: 1 });
+
+    expect(revisions).toHaveLength(2);
+    expect(revisions[0].title).toBe('Original Post Title');
+    expect(revisions[1].title).toBe('Edited Post Title');
+    expect(revisions[1].author.toString()).toBe(userId.toString());
+  });
+
+  it('should not record a revision for status-only changes', async () => {
+    await update({ status: 'archived' });
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+  });
+
+  it('should record a revision for format-only changes', async () => {
+    await update({ contentFormat: 'html' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ version: 1 });
+
+    expect(revisions.map(revision => revision.contentFormat)).toEqual(['markdown', 'html']);
+  });
+});
+
+describe('GET /api/posts/:id/revisions', () => {
+  it('should list revisions newest first for the author', async () => {
+    await update({ title: 'Edited Post Title' });
+    await update({ content: 'Completely new content here' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map(revision => revision.version)).toEqual([3, 2, 1]);
+    expect(res.body.revisions[0].author.username).toBe('testuser');
+    expect(res.body.revisions[0].createdAt).toBeDefined();
+  });
+
+  it('should let admins view the history', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 403 for other users', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+  });
+});
+
+describe('GET /api/posts/:id/revisions/:revId/diff', () => {
+  it('should diff a revision against the current version', async () => {
+    await update({ content: 'First line\nChanged line\nThird line', tags: ['final'] });
+    const original = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/${original._id}/diff`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.mode).toBe('line');
+    expect(res.body.diff.content).toEqual([
+      { type: 'equal', value: 'First line' },
+      { type: 'removed', value: 'Second line' },
+      { type: 'added', value: 'Changed line' },
+      { type: 'equal', value: 'Third line' },
+    ]);
+    expect(res.body.diff.tags).toEqual({ added: ['final'], removed: ['draft'] });
+    expect(res.body.summary).toEqual({ added: 1, removed: 1 });
+  });
+
+  it('should support word diffs', async () => {
+    await update({ content: 'First line\nSecond row\nThird line' });
+    const original = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/${original._id}/diff?mode=word`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.diff.content).toContainEqual({ type: 'removed', value: 'line' });
+    expect(res.body.diff.content).toContainEqual({ type: 'added', value: 'row' });
+  });
+});
+
+describe('POST /api/posts/:id/revisions/:revId/restore', () => {
+  it('should restore a revision as a new version', async () => {
+    await update({ title: 'Bad Edit Title', content: 'Content that broke everything' });
+    const original = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/${original._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('Original Post Title');
+    expect(res.body.post.content).toBe('First line\nSecond line\nThird line');
+    expect(res.body.revision.version).toBe(3);
+    expect(res.body.revision.restoredFrom).toBe(original._id.toString());
+  });
+
+  it('should restore the content format with the content', async () => {
+    await update({ content: '<h2>Switched to HTML</h2>', contentFormat: 'html' });
+    const original = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/${original._id}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.contentFormat).toBe('markdown');
+    expect(res.body.post.contentHtml).toBe('<p>First line\nSecond line\nThird line</p>');
+  });
+
+  it('should return 403 for other users', async () => {
+    await update({ title: 'Edited Post Title' });
+    const original = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/${original._id}/restore`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
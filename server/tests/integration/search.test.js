@@ -0,0 +1,149 @@
+// search.test.js - Integration tests for the search endpoint
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const { userFactory, categoryFactory, postFactory } = require('../factories');
+
+let mongoServer;
+let author;
+let testing;
+let frontend;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // $text needs the text index to exist
+  await Post.init();
+
+  author = await userFactory.create({ username: 'searcher' });
+  testing = await categoryFactory.create({ name: 'Testing' });
+  frontend = await categoryFactory.create({ name: 'Frontend' });
+
+  await postFactory.create('published', {
+    title: 'Testing React components',
+    content: 'Render components and assert on what the user sees.',
+    tags: ['react', 'jest'],
+    author: author._id,
+    category: testing._id,
+    publishedAt: new Date('2025-06-01'),
+  });
+  await postFactory.create('published', {
+    title: 'State management in React',
+    content: 'Testing is easier when state management lives outside components. Avoid redux here.',
+    tags: ['react', 'redux'],
+    author: author._id,
+    category: frontend._id,
+    publishedAt: new Date('2026-02-01'),
+  });
+  await postFactory.create('published', {
+    title: 'Writing end to end tests',
+    content: 'Cypress drives a real browser through the app.',
+    tags: ['cypress'],
+    author: author._id,
+    category: testing._id,
+    publishedAt: new Date('2026-03-01'),
+  });
+  await postFactory.create('draft', {
+    title: 'Testing drafts stay hidden',
+    author: author._id,
+    category: testing._id,
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('GET /api/search', () => {
+  it('should rank title matches above content matches', async () => {
+    // Stemming makes "testing" match "tests" too
+    const res = await request(app).get('/api/search?q=testing');
+    const titles = res.body.results.map(result => result.post.title);
+
+    expect(res.status).toBe(200);
+    expect(titles.slice(0, 2).sort()).toEqual(['Testing React components', 'Writing end to end tests']);
+    expect(titles[2]).toBe('State management in React');
+    expect(res.body.results[1].score).toBeGreaterThan(res.body.results[2].score);
+    expect(res.body.pagination.totalItems).toBe(3);
+  });
+
+  it('should highlight the matches', async () => {
+    const res = await request(app).get('/api/search?q=testing');
+    const byTitle = title => res.body.results.find(result => result.post.title === title);
+    const first = byTitle('Testing React components');
+    const second = byTitle('State management in React');
+
+    expect(first.highlights.title).toBe('<mark>Testing</mark> React components');
+    expect(second.highlights.snippet).toContain('<mark>Testing</mark> is easier');
+  });
+
+  it('should match tags and excerpts', async () => {
+    const res = await request(app).get('/api/search?q=cypress');
+
+    expect(res.body.results.map(result => result.post.title)).toEqual(['Writing end to end tests']);
+    expect(res.body.results[0].highlights.tags).toEqual(['cypress']);
+  });
+
+  it('should support phrases and exclusions', async () => {
+    const phrase = await request(app).get('/api/search?q="state management"');
+    expect(phrase.body.results.map(result => result.post.title)).toEqual(['State management in React']);
+
+    const excluded = await request(app).get('/api/search?q=react -redux');
+    expect(excluded.body.results.map(result => result.post.title)).toEqual(['Testing React components']);
+    expect(excluded.body.query).toEqual({ terms: ['react'], phrases: [], excluded: ['redux'] });
+  });
+
+  it('should count results by category, tag, author and year', async () => {
+    const res = await request(app).get('/api/search?q=react');
+
+    expect(res.body.facets.categories).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'Testing', count: 1 }),
+      expect.objectContaining({ name: 'Frontend', count: 1 }),
+    ]));
+    expect(res.body.facets.tags[0]).toEqual({ tag: 'react', count: 2 });
+    expect(res.body.facets.authors).toEqual([
+      { _id: author._id.toString(), username: 'searcher', count: 2 },
+    ]);
+    expect(res.body.facets.years).toEqual([{ year: 2026, count: 1 }, { year: 2025, count: 1 }]);
+  });
+
+  it('should filter by facet values', async () => {
+    const byCategory = await request(app).get(`/api/search?q=react&category=${frontend._id}`);
+    expect(byCategory.body.results).toHaveLength(1);
+
+    const byYear = await request(app).get('/api/search?q=react&year=2025');
+    expect(byYear.body.results.map(result => result.post.title)).toEqual(['Testing React components']);
+
+    const byTag = await request(app).get('/api/search?q=react&tag=redux');
+    expect(byTag.body.facets.tags).toEqual(expect.arrayContaining([{ tag: 'redux', count: 1 }]));
+  });
+
+  it('should show rendered text in snippets for Markdown posts', async () => {
+    const post = await postFactory.create('published', {
+      title: 'Mocking network calls',
+      content: '## Mocking with **msw**\n\nSee [the docs](https://mswjs.io) for `setupServer`.',
+      tags: ['mocking'],
+      author: author._id,
+      category: testing._id,
+    });
+
+    const res = await request(app).get('/api/search?q=msw');
+
+    expect(res.body.results[0].highlights.snippet)
+      .toBe('Mocking with <mark>msw</mark> See the docs for setupServer.');
+    await Post.deleteOne({ _id: post._id });
+  });
+
+  it('should reject queries without a search term', async () => {
+    const missing = await request(app).get('/api/search');
+    expect(missing.status).toBe(400);
+
+    const onlyExcluded = await request(app).get('/api/search?q=-redux');
+    expect(onlyExcluded.status).toBe(400);
+    expect(onlyExcluded.body.error).toBe('Validation Error');
+  });
+});
@@ -0,0 +1,99 @@
+// seed.test.js - Integration tests for factories that save documents and the seed script
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const { userFactory, postFactory, resetFactories, DEFAULT_PASSWORD } = require('../factories');
+const { seed } = require('../../scripts/setupTestDb');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Promise.all([User.deleteMany({}), Category.deleteMany({}), Post.deleteMany({})]);
+  resetFactories();
+});
+
+describe('Factories with a database', () => {
+  it('should create users that can log in with the default password', async () => {
+    const admin = await userFactory.create('admin');
+    const saved = await User.findById(admin._id).select('+password');
+
+    expect(saved.role).toBe('admin');
+    expect(await saved.comparePassword(DEFAULT_PASSWORD)).toBe(true);
+  });
+
+  it('should create the author and category of a post on demand', async () => {
+    const post = await postFactory.create('published');
+
+    expect(post.status).toBe('published');
+    expect(post.publishedAt).toBeInstanceOf(Date);
+    expect(await User.countDocuments({ _id: post.author })).toBe(1);
+    expect(await Category.countDocuments({ _id: post.category })).toBe(1);
+  });
+
+  it('should reuse associations that are passed in', async () => {
+    const author = await userFactory.create();
+    await postFactory.createMany(2, { author: author._id });
+
+    expect(await User.countDocuments()).toBe(1);
+    expect(await Post.countDocuments({ author: author._id })).toBe(2);
+  });
+
+  it('should create likes from real users', async () => {
+    const post = await postFactory.create('publishedWithLikes');
+    const likers = post.likes.map(like => like.user);
+
+    expect(post.likeCount).toBe(3);
+    expect(await User.countDocuments({ _id: { $in: likers } })).toBe(3);
+  });
+});
+
+describe('seed', () => {
+  const options = {
+    users: 3,
+    categories: 2,
+    posts: 10,
+    seed: 1,
+    reset: false,
+  };
+
+  it('should create the requested number of documents', async () => {
+    const created = await seed(options);
+
+    expect(created).toEqual({ users: 3, categories: 2, posts: 10 });
+    expect(await User.countDocuments({ role: 'admin' })).toBe(1);
+    expect(await Category.countDocuments()).toBe(2);
+    expect(await Post.countDocuments({ status: 'published' })).toBe(6);
+    expect(await Post.countDocuments({ 'likes.0': { $exists: true } })).toBe(2);
+  });
+
+  it('should produce the same data for the same seed', async () => {
+    await seed(options);
+    const first = await Post.find().sort({ createdAt: 1, _id: 1 }).select('title -_id').lean();
+
+    await seed({ ...options, reset: true });
+    const second = await Post.find().sort({ createdAt: 1, _id: 1 }).select('title -_id').lean();
+
+    expect(second).toEqual(first);
+  });
+
+  it('should only empty the database when asked to', async () => {
+    await seed(options);
+    await seed({ ...options, users: 1, categories: 1, posts: 1, seed: 2, reset: true });
+
+    expect(await User.countDocuments()).toBe(1);
+    expect(await Post.countDocuments()).toBe(1);
+  });
+});
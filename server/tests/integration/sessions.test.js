@@ -0,0 +1,196 @@
+// sessions.test.js - Integration tests for session management endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const RefreshToken = require('../../src/models/RefreshToken');
+
+let mongoServer;
+let userId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'Password123',
+  });
+  userId = user._id;
+
+  await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'Admin12345',
+    role: 'admin',
+  });
+});
+
+afterEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await RefreshToken.deleteMany({});
+});
+
+const login = (userAgent, credentials = { login: 'testuser', password: 'Password123' }) => request(app)
+  .post('/api/auth/login')
+  .set('User-Agent', userAgent)
+  .send(credentials);
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('GET /api/users/me/sessions', () => {
+  it('should list one session per login with device details', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    await login(SAFARI_IPHONE);
+
+    const res = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+
+    const current = res.body.sessions.find(session => session.current);
+    expect(current.deviceName).toBe('Chrome on Windows');
+    expect(current.ip).toBeDefined();
+    expect(current.createdAt).toBeDefined();
+    expect(current.lastUsedAt).toBeDefined();
+  });
+
+  it('should sign in clients with very long User-Agents', async () => {
+    const res = await login(`${CHROME_WINDOWS} ${'x'.repeat(1000)}`);
+
+    expect(res.status).toBe(200);
+    const [session] = await Session.find({ user: userId });
+    expect(session.device).toHaveLength(500);
+  });
+
+  it('should register clients with very long User-Agents', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .set('User-Agent', 'x'.repeat(1000))
+      .send({ username: 'longagent', email: 'long@example.com', password: 'Password123' });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const res = await request(app).get('/api/users/me/sessions');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('DELETE /api/users/me/sessions/:sessionId', () => {
+  it('should sign out a single session immediately', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    const phone = await login(SAFARI_IPHONE);
+
+    const { body } = await request(app)
+      .get('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+    const phoneSession = body.sessions.find(session => !session.current);
+
+    const res = await request(app)
+      .delete(`/api/users/me/sessions/${phoneSession._id}`)
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+
+    expect(res.status).toBe(200);
+
+    // The phone's access token and refresh token both stop working
+    const profile = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${phone.body.token}`);
+    expect(profile.status).toBe(401);
+    expect(profile.body.message).toBe('Session revoked');
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should return 404 for a session of another user', async () => {
+    const user = await login(CHROME_WINDOWS);
+    const admin = await login(CHROME_WINDOWS, { login: 'admin', password: 'Admin12345' });
+    const adminSession = await Session.findOne({ user: { $ne: userId } });
+
+    const res = await request(app)
+      .delete(`/api/users/me/sessions/${adminSession._id}`)
+      .set('Authorization', `Bearer ${user.body.token}`);
+
+    expect(res.status).toBe(404);
+    expect(admin.status).toBe(200);
+  });
+});
+
+describe('DELETE /api/users/me/sessions', () => {
+  it('should sign out everywhere except the current session', async () => {
+    const laptop = await login(CHROME_WINDOWS);
+    const phone = await login(SAFARI_IPHONE);
+
+    const res = await request(app)
+      .delete('/api/users/me/sessions')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(1);
+
+    const laptopProfile = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+    const phoneProfile = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${phone.body.token}`);
+
+    expect(laptopProfile.status).toBe(200);
+    expect(phoneProfile.status).toBe(401);
+  });
+});
+
+describe('Admin session management', () => {
+  it('should let admins list and revoke sessions of any user', async () => {
+    await login(CHROME_WINDOWS);
+    const admin = await login(CHROME_WINDOWS, { login: 'admin', password: 'Admin12345' });
+
+    const list = await request(app)
+      .get(`/api/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${admin.body.token}`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.sessions).toHaveLength(1);
+
+    const revoke = await request(app)
+      .delete(`/api/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${admin.body.token}`);
+
+    expect(revoke.status).toBe(200);
+    expect(revoke.body.revoked).toBe(1);
+  });
+
+  it('should return 403 for non-admin users', async () => {
+    const user = await login(CHROME_WINDOWS);
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/sessions`)
+      .set('Authorization', `Bearer ${user.body.token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
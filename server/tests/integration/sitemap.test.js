@@ -0,0 +1,89 @@
+// sitemap.test.js - Integration tests for sitemap.xml and robots.txt
+
+// A small per-file limit so the sitemap index kicks in with a handful of posts
+process.env.SITEMAP_MAX_URLS = '5';
+process.env.PUBLIC_BASE_URL = 'https://blog.example.com';
+process.env.API_BASE_URL = 'https://api.example.com';
+
+// Sitemaps and robots.txt are not API responses, so plain supertest
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const { userFactory, categoryFactory, postFactory } = require('../factories');
+
+let mongoServer;
+let author;
+let category;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await userFactory.create({ username: 'ada' });
+  await userFactory.create('deactivated', { username: 'gone' });
+  category = await categoryFactory.create({ name: 'Engines' });
+  await categoryFactory.create('inactive', { name: 'Retired' });
+
+  await postFactory.create('published', { title: 'Notes on the Analytical Engine', author: author._id, category: category._id });
+  await postFactory.create('draft', { title: 'Unpublished Draft Post', author: author._id, category: category._id });
+  await postFactory.create('archived', { title: 'Archived Old Post', author: author._id, category: category._id });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('GET /sitemap.xml', () => {
+  it('should list published posts, active categories and active authors', async () => {
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(res.text).toContain('<urlset');
+    expect(res.text).toContain('<loc>https://blog.example.com/posts/notes-on-the-analytical-engine</loc>');
+    expect(res.text).toContain('<loc>https://blog.example.com/categories/engines</loc>');
+    expect(res.text).toContain('<loc>https://blog.example.com/authors/ada</loc>');
+    expect(res.text).toMatch(/<lastmod>\d{4}-\d{2}-\d{2}T/);
+
+    expect(res.text).not.toContain('unpublished-draft-post');
+    expect(res.text).not.toContain('archived-old-post');
+    expect(res.text).not.toContain('/categories/retired');
+    expect(res.text).not.toContain('/authors/gone');
+  });
+
+  it('should switch to a sitemap index past the per-file limit', async () => {
+    await postFactory.createMany(5, 'published', { author: author._id, category: category._id });
+
+    const res = await request(app).get('/sitemap.xml');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('<sitemapindex');
+    ['posts-1', 'posts-2', 'categories-1', 'authors-1'].forEach((name) => {
+      expect(res.text).toContain(`<loc>https://api.example.com/sitemaps/${name}.xml</loc>`);
+    });
+    expect(res.text).not.toContain('posts-3');
+
+    const second = await request(app).get('/sitemaps/posts-2.xml');
+    expect(second.status).toBe(200);
+    expect(second.text.match(/<url>/g)).toHaveLength(1);
+  });
+
+  it('should return 404 for unknown or empty sitemap pages', async () => {
+    expect((await request(app).get('/sitemaps/posts-9.xml')).status).toBe(404);
+    expect((await request(app).get('/sitemaps/drafts-1.xml')).status).toBe(404);
+    expect((await request(app).get('/sitemaps/posts-0.xml')).status).toBe(404);
+  });
+});
+
+describe('GET /robots.txt', () => {
+  it('should serve crawler rules pointing at the sitemap', async () => {
+    const res = await request(app).get('/robots.txt').set('Host', 'evil.example.net');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(res.text).toContain('Disallow: /api/');
+    expect(res.text).toContain('Sitemap: https://api.example.com/sitemap.xml');
+  });
+});
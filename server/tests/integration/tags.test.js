@@ -0,0 +1,137 @@
+// tags.test.js - Integration tests for tags API endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+const { userFactory, categoryFactory, postFactory } = require('../factories');
+
+let mongoServer;
+let token;
+let adminToken;
+let author;
+let category;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  author = await userFactory.create();
+  token = generateToken(author);
+  adminToken = generateToken(await userFactory.create('admin'));
+  category = await categoryFactory.create();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const create = (trait, tags) => postFactory.create(trait, { tags, author: author._id, category: category._id });
+
+  await create('published', ['javascript', 'react']);
+  await create('published', ['js', 'node']);
+  await create('published', ['java-script', 'js', 'react']);
+  await create('draft', ['javascript', 'secret']);
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+});
+
+describe('GET /api/tags', () => {
+  it('should count tags of published posts', async () => {
+    const res = await request(app).get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tags).toEqual([
+      { tag: 'js', count: 2 },
+      { tag: 'react', count: 2 },
+      { tag: 'java-script', count: 1 },
+      { tag: 'javascript', count: 1 },
+      { tag: 'node', count: 1 },
+    ]);
+  });
+
+  it('should autocomplete by prefix', async () => {
+    const res = await request(app).get('/api/tags?prefix=Ja&sortBy=name');
+
+    expect(res.body.tags.map(tag => tag.tag)).toEqual(['java-script', 'javascript']);
+  });
+});
+
+describe('GET /api/tags/:tag/posts', () => {
+  it('should list the published posts with a tag', async () => {
+    const res = await request(app).get('/api/tags/React/posts');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tag).toBe('react');
+    expect(res.body.posts).toHaveLength(2);
+    expect(res.body.posts.every(post => post.tags.includes('react'))).toBe(true);
+  });
+
+  it('should return 404 for a tag no published post uses', async () => {
+    const res = await request(app).get('/api/tags/secret/posts');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Tag not found');
+  });
+});
+
+describe('POST /api/tags/merge', () => {
+  it('should merge tags across all posts as admin', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ from: ['js', 'Java-Script'], into: 'javascript' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.from).toEqual(['js', 'java-script']);
+    expect(res.body.postsUpdated).toBe(2);
+
+    const posts = await Post.find().sort({ _id: 1 });
+    expect(posts.map(post => [...post.tags])).toEqual([
+      ['javascript', 'react'],
+      ['javascript', 'node'],
+      ['javascript', 'react'],
+      ['javascript', 'secret'],
+    ]);
+  });
+
+  it('should reject non-admins', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ from: ['js'], into: 'javascript' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject a merge with nothing to do', async () => {
+    const res = await request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ from: ['javascript'], into: 'JavaScript' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation Error');
+  });
+});
+
+describe('GET /api/posts?tags=', () => {
+  it('should match posts with any of the tags by default', async () => {
+    const res = await request(app).get('/api/posts?tags=node,react');
+
+    expect(res.body.posts).toHaveLength(3);
+  });
+
+  it('should match posts with all of the tags', async () => {
+    const res = await request(app).get('/api/posts?tags=js,react&tagMode=all');
+
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0].tags).toEqual(['java-script', 'js', 'react']);
+  });
+});
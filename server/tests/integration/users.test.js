@@ -0,0 +1,230 @@
+// users.test.js - Integration tests for users API endpoints
+
+const request = require('../helpers/contract');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { clearUserStatsCache } = require('../../src/utils/userStats');
+
+let mongoServer;
+let token;
+let otherToken;
+let adminToken;
+let userId;
+let otherUserId;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const category = await Category.create({ name: 'Statistics' });
+  categoryId = category._id;
+
+  const user = await User.create({
+    username: 'testuser',
+    email: 'test@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+
+  const otherUser = await User.create({
+    username: 'otheruser',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  otherUserId = otherUser._id;
+  otherToken = generateToken(otherUser);
+
+  const adminUser = await User.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: 'admin123',
+    role: 'admin',
+  });
+  adminToken = generateToken(adminUser);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  clearUserStatsCache();
+});
+
+const createPost = (overrides = {}) => Post.create({
+  title: 'Statistics Test Post',
+  content: 'Content for the statistics aggregation test',
+  author: userId,
+  category: categoryId,
+  status: 'published',
+  ...overrides,
+});
+
+describe('GET /api/users', () => {
+  it('should list users by page for admins', async () => {
+    const res = await request(app)
+      .get('/api/users?limit=2')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(2);
+    expect(res.body.users[0].password).toBeUndefined();
+    expect(res.body.pagination).toMatchObject({ current: 1, total: 2, totalItems: 3, hasNext: true });
+  });
+
+  it('should page through users with cursors', async () => {
+    const first = await request(app)
+      .get('/api/users?paginate=cursor&limit=2')
+      .set('Authorization', `Bearer ${adminToken}`);
+    const second = await request(app)
+      .get(`/api/users?limit=2&cursor=${first.body.pagination.nextCursor}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const usernames = [...first.body.users, ...second.body.users].map(user => user.username);
+    expect(usernames.sort()).toEqual(['admin', 'otheruser', 'testuser']);
+    expect(second.body.pagination.nextCursor).toBeNull();
+  });
+});
+
+describe('GET /api/users/:id/stats', () => {
+  it('should aggregate post statistics for the user', async () => {
+    await createPost({
+      title: 'Most Viewed Post',
+      views: 100,
+      tags: ['javascript', 'node'],
+      likes: [{ user: otherUserId }],
+      publishedAt: new Date('2026-01-15'),
+    });
+    await createPost({
+      title: 'Second Published Post',
+      views: 50,
+      tags: ['javascript'],
+      publishedAt: new Date('2026-03-02'),
+    });
+    await createPost({ title: 'Unfinished Draft Post', status: 'draft' });
+    await createPost({ title: 'Someone Else Post', author: otherUserId, views: 1000 });
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+
+    const { stats } = res.body;
+    expect(stats.posts.total).toBe(3);
+    expect(stats.posts.byStatus).toEqual({ draft: 1, scheduled: 0, published: 2, archived: 0 });
+    expect(stats.views.total).toBe(150);
+    expect(stats.views.average).toBe(50);
+    expect(stats.likesReceived).toBe(1);
+    expect(stats.mostViewedPosts[0].title).toBe('Most Viewed Post');
+    expect(stats.mostViewedPosts[0].likeCount).toBe(1);
+    expect(stats.topCategories[0].category.name).toBe('Statistics');
+    expect(stats.topCategories[0].count).toBe(3);
+    expect(stats.topTags).toEqual([
+      { tag: 'javascript', count: 2 },
+      { tag: 'node', count: 1 },
+    ]);
+    expect(stats.publishingActivity).toEqual([
+      { month: '2026-01', count: 1 },
+      { month: '2026-03', count: 1 },
+    ]);
+  });
+
+  it('should return empty statistics for a user without posts', async () => {
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.stats.posts.total).toBe(0);
+    expect(res.body.stats.views).toEqual({ total: 0, average: 0 });
+    expect(res.body.stats.mostViewedPosts).toEqual([]);
+  });
+
+  it('should serve repeated requests from cache', async () => {
+    await createPost();
+
+    const first = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+    const second = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(first.body.cached).toBe(false);
+    expect(second.body.cached).toBe(true);
+    expect(second.body.generatedAt).toBe(first.body.generatedAt);
+  });
+
+  it('should invalidate the cache when the user creates a post', async () => {
+    await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Freshly Created Post',
+        content: 'This post should show up in the statistics',
+        category: categoryId,
+        status: 'published',
+      });
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.cached).toBe(false);
+    expect(res.body.stats.posts.total).toBe(1);
+  });
+
+  it('should invalidate the cache when a category reassigns its posts', async () => {
+    const category = await Category.create({ name: 'Retiring Soon' });
+    const target = await Category.create({ name: 'Final Home' });
+    await createPost({ category: category._id });
+
+    await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    await request(app)
+      .delete(`/api/categories/${category._id}?reassignTo=${target._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.cached).toBe(false);
+    expect(res.body.stats.topCategories[0].category.name).toBe('Final Home');
+  });
+
+  it('should let admins view any user statistics', async () => {
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 403 for other users', async () => {
+    const res = await request(app)
+      .get(`/api/users/${userId}/stats`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
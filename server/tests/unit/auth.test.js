@@ -6,6 +6,7 @@ const {
   extractToken,
   validatePassword,
   calculatePasswordStrength,
+  hashRefreshToken,
 } = require('../../src/utils/auth');
 const mongoose = require('mongoose');
 
@@ -35,6 +36,19 @@ describe('Authentication Utilities', () => {
       expect(decoded.email).toBe(mockUser.email);
       expect(decoded.role).toBe(mockUser.role);
     });
+
+    it('should include the token family as sid when given', () => {
+      const token = generateToken(mockUser, 'family-123');
+      const decoded = verifyToken(token);
+      
+      expect(decoded.sid).toBe('family-123');
+    });
+
+    it('should omit sid when no family is given', () => {
+      const decoded = verifyToken(generateToken(mockUser));
+      
+      expect(decoded.sid).toBeUndefined();
+    });
   });
 
   describe('verifyToken', () => {
@@ -109,6 +123,14 @@ describe('Authentication Utilities', () => {
     });
   });
 
+  describe('hashRefreshToken', () => {
+    it('should hash tokens deterministically', () => {
+      expect(hashRefreshToken('abc')).toBe(hashRefreshToken('abc'));
+      expect(hashRefreshToken('abc')).not.toBe('abc');
+      expect(hashRefreshToken('abc')).toHaveLength(64);
+    });
+  });
+
   describe('validatePassword', () => {
     it('should validate a strong password', () => {
       const password = 'StrongPassword123';
@@ -0,0 +1,61 @@
+// cache.test.js - Unit tests for the in-process cache
+
+const { createCache } = require('../../src/utils/cache');
+
+describe('createCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should store and return values', () => {
+    const cache = createCache();
+
+    cache.set('key', { value: 42 });
+
+    expect(cache.get('key')).toEqual({ value: 42 });
+    expect(cache.size).toBe(1);
+  });
+
+  it('should return undefined for missing keys', () => {
+    const cache = createCache();
+
+    expect(cache.get('missing')).toBeUndefined();
+  });
+
+  it('should expire entries after the TTL', () => {
+    jest.useFakeTimers();
+    const cache = createCache({ ttlMs: 1000 });
+
+    cache.set('key', 'value');
+    jest.advanceTimersByTime(999);
+    expect(cache.get('key')).toBe('value');
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('key')).toBeUndefined();
+    expect(cache.size).toBe(0);
+  });
+
+  it('should evict the oldest entry when full', () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.get('b')).toBe(2);
+    expect(cache.get('c')).toBe(3);
+  });
+
+  it('should delete and clear entries', () => {
+    const cache = createCache();
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.delete('a');
+    expect(cache.get('a')).toBeUndefined();
+
+    cache.clear();
+    expect(cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,79 @@
+// diff.test.js - Unit tests for text diff utilities
+
+const { diffTokens, diffLines, diffWords, summarizeDiff } = require('../../src/utils/diff');
+
+// Rebuild both sides of a diff to check it is lossless
+const sides = (operations, separator = '') => ({
+  before: operations.filter(op => op.type !== 'added').map(op => op.value).join(separator),
+  after: operations.filter(op => op.type !== 'removed').map(op => op.value).join(separator),
+});
+
+describe('Diff Utilities', () => {
+  describe('diffTokens', () => {
+    it('should return only equal operations for identical input', () => {
+      const operations = diffTokens(['a', 'b'], ['a', 'b']);
+
+      expect(operations).toEqual([
+        { type: 'equal', value: 'a' },
+        { type: 'equal', value: 'b' },
+      ]);
+    });
+
+    it('should find a minimal edit script', () => {
+      const operations = diffTokens(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+      const edits = operations.filter(op => op.type !== 'equal');
+
+      expect(edits).toHaveLength(5);
+    });
+
+    it('should handle empty input', () => {
+      expect(diffTokens([], [])).toEqual([]);
+      expect(diffTokens([], ['a'])).toEqual([{ type: 'added', value: 'a' }]);
+      expect(diffTokens(['a'], [])).toEqual([{ type: 'removed', value: 'a' }]);
+    });
+
+    it('should fall back to a full replacement for very different input', () => {
+      const before = Array.from({ length: 3000 }, (_, i) => `old${i}`);
+      const after = Array.from({ length: 3000 }, (_, i) => `new${i}`);
+
+      const operations = diffTokens(before, after);
+
+      expect(operations).toHaveLength(6000);
+      expect(sides(operations, ' ')).toEqual({ before: before.join(' '), after: after.join(' ') });
+    });
+  });
+
+  describe('diffLines', () => {
+    it('should diff texts line by line', () => {
+      const operations = diffLines('first\nsecond\nthird', 'first\nchanged\nthird');
+
+      expect(operations).toEqual([
+        { type: 'equal', value: 'first' },
+        { type: 'removed', value: 'second' },
+        { type: 'added', value: 'changed' },
+        { type: 'equal', value: 'third' },
+      ]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should diff texts word by word and keep whitespace', () => {
+      const before = 'the quick brown fox';
+      const after = 'the slow brown dog';
+
+      const operations = diffWords(before, after);
+
+      expect(operations).toContainEqual({ type: 'removed', value: 'quick' });
+      expect(operations).toContainEqual({ type: 'added', value: 'slow' });
+      expect(sides(operations)).toEqual({ before, after });
+    });
+  });
+
+  describe('summarizeDiff', () => {
+    it('should count added and removed chunks', () => {
+      const summary = summarizeDiff(diffLines('a\nb', 'a\nc\nd'));
+
+      expect(summary).toEqual({ added: 1, removed: 1 });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// factories.test.js - Unit tests for the test data factories and seed options
+
+const mongoose = require('mongoose');
+const {
+  userFactory,
+  categoryFactory,
+  postFactory,
+  resetFactories,
+  DEFAULT_PASSWORD,
+} = require('../factories');
+const { createFake } = require('../factories/fake');
+const { parseOptions, postTrait } = require('../../scripts/setupTestDb');
+
+describe('Fake data', () => {
+  it('should repeat the same values for the same seed', () => {
+    const first = createFake(42);
+    const second = createFake(42);
+
+    expect([first.title(), first.paragraph(), first.integer(1, 100)])
+      .toEqual([second.title(), second.paragraph(), second.integer(1, 100)]);
+  });
+
+  it('should differ between seeds', () => {
+    expect(createFake(1).paragraphs()).not.toBe(createFake(2).paragraphs());
+  });
+});
+
+describe('Factories', () => {
+  beforeEach(() => {
+    resetFactories();
+  });
+
+  describe('userFactory', () => {
+    it('should build a valid user with unique credentials', () => {
+      const [first, second] = userFactory.buildMany(2);
+
+      expect(first.password).toBe(DEFAULT_PASSWORD);
+      expect(first.username).not.toBe(second.username);
+      expect(first.email).not.toBe(second.email);
+      expect(first.email).toMatch(/^\S+@example\.com$/);
+      expect(new mongoose.models.User(first).validateSync()).toBeUndefined();
+    });
+
+    it('should be deterministic after a reset', () => {
+      const first = userFactory.build();
+      resetFactories();
+
+      expect(userFactory.build()).toEqual(first);
+    });
+
+    it('should apply traits and overrides in order', () => {
+      const admin = userFactory.build('admin', { username: 'chief' });
+      const deactivated = userFactory.build({ role: 'admin' }, 'deactivated');
+      const overridden = userFactory.build('admin', { role: 'user' });
+
+      expect(admin).toMatchObject({ role: 'admin', username: 'chief' });
+      expect(deactivated).toMatchObject({ role: 'admin', isActive: false });
+      expect(overridden.role).toBe('user');
+    });
+
+    it('should reject unknown traits', () => {
+      expect(() => userFactory.build('superuser'))
+        .toThrow('Unknown user trait "superuser" (expected one of admin, deactivated)');
+    });
+  });
+
+  describe('categoryFactory', () => {
+    it('should build a valid category', () => {
+      const category = categoryFactory.build();
+
+      expect(new mongoose.models.Category(category).validateSync()).toBeUndefined();
+      expect(categoryFactory.build('inactive').isActive).toBe(false);
+    });
+  });
+
+  describe('postFactory', () => {
+    it('should build a valid draft with placeholder associations', () => {
+      const post = postFactory.build();
+
+      expect(post.status).toBe('draft');
+      expect(post.author).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(post.category).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(new mongoose.models.Post(post).validateSync()).toBeUndefined();
+    });
+
+    it('should build posts for each status trait', () => {
+      expect(postFactory.build('published').status).toBe('published');
+      expect(postFactory.build('archived').status).toBe('archived');
+
+      const scheduled = postFactory.build('scheduled');
+      expect(scheduled.status).toBe('scheduled');
+      expect(scheduled.scheduledFor.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should build published posts with likes', () => {
+      const post = postFactory.build('publishedWithLikes');
+
+      expect(post.status).toBe('published');
+      expect(post.likes).toHaveLength(3);
+      post.likes.forEach(like => expect(like.user).toBeInstanceOf(mongoose.Types.ObjectId));
+    });
+  });
+});
+
+describe('Seed options', () => {
+  it('should default to a small test database', () => {
+    expect(parseOptions([])).toEqual({
+      env: 'test',
+      users: 10,
+      categories: 5,
+      posts: 30,
+      seed: 1,
+      reset: false,
+      help: false,
+    });
+  });
+
+  it('should read counts, environment and reset', () => {
+    const options = parseOptions(['--env', 'development', '--users=3', '--posts', '0', '--reset']);
+
+    expect(options).toMatchObject({ env: 'development', users: 3, posts: 0, reset: true });
+  });
+
+  it('should reject invalid values', () => {
+    expect(() => parseOptions(['--env', 'production'])).toThrow('--env must be one of test, development');
+    expect(() => parseOptions(['--users', 'ten'])).toThrow('--users must be a non-negative integer');
+    expect(() => parseOptions(['--users', '0'])).toThrow('Posts need at least one user and one category');
+    expect(() => parseOptions(['--colour'])).toThrow();
+  });
+
+  it('should spread posts over statuses', () => {
+    const traits = Array.from({ length: 10 }, (value, index) => postTrait(index, 10));
+
+    expect(traits).toEqual([
+      'publishedWithLikes', 'publishedWithLikes',
+      'published', 'published', 'published', 'published',
+      'scheduled', 'archived', 'draft', 'draft',
+    ]);
+  });
+});
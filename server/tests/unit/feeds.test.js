@@ -0,0 +1,78 @@
+// feeds.test.js - Unit tests for feed builders
+
+const { escapeXml, buildRss, buildAtom, buildJsonFeed } = require('../../src/utils/feeds');
+
+const feed = {
+  title: 'Blog & Friends',
+  description: 'Latest posts',
+  siteUrl: 'https://blog.example.com',
+  feedUrl: 'https://api.example.com/feeds/rss.xml',
+  updated: new Date('2026-10-19T12:00:00Z'),
+  items: [{
+    url: 'https://blog.example.com/posts/hello-world',
+    title: 'Hello <World>',
+    summary: 'A first post',
+    content: '<p>Hello ]]> world</p>',
+    published: new Date('2026-10-18T08:00:00Z'),
+    updated: new Date('2026-10-19T12:00:00Z'),
+    author: 'Ada Lovelace',
+    categories: ['General', 'intro'],
+  }],
+};
+
+describe('Feed Builders', () => {
+  it('should escape XML special and control characters', () => {
+    expect(escapeXml('a < b & "c"\u0007')).toBe('a &lt; b &amp; &quot;c&quot;');
+  });
+
+  it('should build an RSS 2.0 document', () => {
+    const xml = buildRss(feed);
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+    expect(xml).toContain('<title>Blog &amp; Friends</title>');
+    expect(xml).toContain('<atom:link href="https://api.example.com/feeds/rss.xml" rel="self" type="application/rss+xml"/>');
+    expect(xml).toContain('<title>Hello &lt;World&gt;</title>');
+    expect(xml).toContain('<guid isPermaLink="true">https://blog.example.com/posts/hello-world</guid>');
+    expect(xml).toContain('<pubDate>Sun, 18 Oct 2026 08:00:00 GMT</pubDate>');
+    expect(xml).toContain('<dc:creator>Ada Lovelace</dc:creator>');
+    expect(xml).toContain('<category>intro</category>');
+    // "]]>" inside the content must not end the CDATA section early
+    expect(xml).toContain('<content:encoded><![CDATA[<p>Hello ]]]]><![CDATA[> world</p>]]></content:encoded>');
+  });
+
+  it('should build an Atom document', () => {
+    const xml = buildAtom(feed);
+
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(xml).toContain('<updated>2026-10-19T12:00:00.000Z</updated>');
+    expect(xml).toContain('<author><name>Ada Lovelace</name></author>');
+    expect(xml).toContain('<content type="html">&lt;p&gt;Hello ]]&gt; world&lt;/p&gt;</content>');
+    expect(xml).toContain('<category term="General"/>');
+  });
+
+  it('should build a JSON Feed document', () => {
+    const json = JSON.parse(buildJsonFeed(feed));
+
+    expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(json.feed_url).toBe(feed.feedUrl);
+    expect(json.items[0]).toEqual({
+      id: 'https://blog.example.com/posts/hello-world',
+      url: 'https://blog.example.com/posts/hello-world',
+      title: 'Hello <World>',
+      summary: 'A first post',
+      content_html: '<p>Hello ]]> world</p>',
+      date_published: '2026-10-18T08:00:00.000Z',
+      date_modified: '2026-10-19T12:00:00.000Z',
+      authors: [{ name: 'Ada Lovelace' }],
+      tags: ['General', 'intro'],
+    });
+  });
+
+  it('should fall back to text content without full content', () => {
+    const json = JSON.parse(buildJsonFeed({ ...feed, items: [{ ...feed.items[0], content: null }] }));
+
+    expect(json.items[0].content_text).toBe('A first post');
+    expect(json.items[0].content_html).toBeUndefined();
+    expect(buildRss({ ...feed, items: [] })).not.toContain('<item>');
+  });
+});
@@ -0,0 +1,153 @@
+// logger.test.js - Unit tests for the logger output formats
+
+const express = require('express');
+const request = require('supertest');
+const Transport = require('winston-transport');
+
+const MESSAGE = Symbol.for('message');
+
+// Collects the final rendered lines of the console format
+class MemoryTransport extends Transport {
+  constructor(options) {
+    super(options);
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(info[MESSAGE]);
+    callback();
+  }
+}
+
+/**
+ * Load a fresh logger configured by the given environment
+ * @param {Object} env - Environment overrides
+ * @returns {Object} Logger and a transport capturing its console output
+ */
+const loadLogger = (env) => {
+  const originalEnv = { ...process.env };
+  Object.assign(process.env, env);
+
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      logger: require('../../src/utils/logger'),
+      requestId: require('../../src/middleware/requestId').requestId,
+      errorHandler: require('../../src/middleware/errorHandler'),
+    };
+  });
+
+  process.env = originalEnv;
+
+  const consoleTransport = modules.logger.transports[0];
+  const transport = new MemoryTransport({ format: consoleTransport.format });
+  modules.logger.remove(consoleTransport);
+  modules.logger.add(transport);
+
+  return { ...modules, transport };
+};
+
+describe('Logger', () => {
+  describe('JSON format', () => {
+    it('should emit one JSON object per line', () => {
+      const { logger, transport } = loadLogger({ LOG_FORMAT: 'json' });
+
+      logger.warn('Disk almost full', { freeBytes: 1024 });
+
+      const entry = JSON.parse(transport.lines[0]);
+      expect(entry.level).toBe('warn');
+      expect(entry.message).toBe('Disk almost full');
+      expect(entry.freeBytes).toBe(1024);
+      expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+      expect(transport.lines[0]).not.toContain('\n');
+    });
+
+    it('should serialize errors into a structured error field', () => {
+      const { logger, transport, errorHandler } = loadLogger({ LOG_FORMAT: 'json' });
+
+      logger.logError(new errorHandler.AppError('Post not found', 404));
+
+      const entry = JSON.parse(transport.lines[0]);
+      expect(entry.message).toBe('Error: Post not found');
+      expect(entry.error).toEqual(expect.objectContaining({
+        name: 'Error',
+        message: 'Post not found',
+        statusCode: 404,
+      }));
+      expect(entry.error.stack).toContain('Post not found');
+    });
+
+    it('should serialize errors logged directly', () => {
+      const { logger, transport } = loadLogger({ LOG_FORMAT: 'json' });
+
+      logger.error(new TypeError('Bad input'));
+
+      const entry = JSON.parse(transport.lines[0]);
+      expect(entry.level).toBe('error');
+      expect(entry.message).toBe('Bad input');
+      expect(entry.error.name).toBe('TypeError');
+    });
+
+    it('should include request fields in request and error entries', async () => {
+      const { logger, transport, requestId, errorHandler } = loadLogger({ LOG_FORMAT: 'json' });
+
+      const app = express();
+      app.use(requestId);
+      app.use(logger.logRequest);
+      app.get('/posts/:id', (req, res, next) => {
+        req.user = { id: 'user-1' };
+        next(new errorHandler.AppError('Post not found', 404));
+      });
+      app.use(errorHandler.errorHandler);
+
+      await request(app)
+        .get('/posts/42')
+        .set('X-Request-Id', 'trace-1');
+
+      const entries = transport.lines.map(line => JSON.parse(line));
+      const errorEntry = entries.find(entry => entry.error);
+      const requestEntry = entries.find(entry => entry.status);
+
+      expect(errorEntry).toEqual(expect.objectContaining({
+        requestId: 'trace-1',
+        userId: 'user-1',
+        method: 'GET',
+        route: '/posts/42',
+      }));
+      expect(requestEntry).toEqual(expect.objectContaining({
+        level: 'error',
+        requestId: 'trace-1',
+        userId: 'user-1',
+        route: '/posts/42',
+        status: 404,
+      }));
+      expect(typeof requestEntry.duration).toBe('number');
+    });
+  });
+
+  describe('Pretty format', () => {
+    it('should print plain lines with the stack trace of errors', () => {
+      const { logger, transport } = loadLogger({ LOG_FORMAT: 'pretty' });
+
+      logger.logError(new Error('Something broke'));
+
+      expect(transport.lines[0]).toContain('Error: Something broke');
+      expect(transport.lines[0]).toContain('\nStack: Error: Something broke');
+      expect(() => JSON.parse(transport.lines[0])).toThrow();
+    });
+  });
+
+  describe('Log level', () => {
+    it('should honor LOG_LEVEL', () => {
+      const { logger } = loadLogger({ LOG_LEVEL: 'http' });
+
+      expect(logger.level).toBe('http');
+    });
+
+    it('should ignore an unknown LOG_LEVEL', () => {
+      const { logger } = loadLogger({ LOG_LEVEL: 'verbose', NODE_ENV: 'test' });
+
+      expect(logger.level).toBe('warn');
+    });
+  });
+});
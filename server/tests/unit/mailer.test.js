@@ -0,0 +1,123 @@
+// mailer.test.js - Unit tests for mail transports
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  sendMail,
+  setTransport,
+  getTransport,
+  createMemoryTransport,
+  createFileTransport,
+  createDefaultTransport,
+} = require('../../src/utils/mailer');
+const logger = require('../../src/utils/logger');
+
+describe('Mailer', () => {
+  const originalTransport = getTransport();
+
+  afterEach(() => {
+    setTransport(originalTransport);
+  });
+
+  describe('memory transport', () => {
+    it('should keep sent messages in the outbox', async () => {
+      const transport = createMemoryTransport();
+      setTransport(transport);
+
+      await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Hi there' });
+
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].to).toBe('test@example.com');
+      expect(transport.outbox[0].subject).toBe('Hello');
+      expect(transport.outbox[0].from).toBeTruthy();
+      expect(transport.outbox[0].id).toBeTruthy();
+    });
+
+    it('should empty the outbox on clear', async () => {
+      const transport = createMemoryTransport();
+      setTransport(transport);
+
+      await sendMail({ to: 'test@example.com', subject: 'Hello' });
+      transport.clear();
+
+      expect(transport.outbox).toHaveLength(0);
+    });
+  });
+
+  describe('file transport', () => {
+    it('should write each message as a JSON file', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+      setTransport(createFileTransport(directory));
+
+      const result = await sendMail({ to: 'test@example.com', subject: 'Saved' });
+      const saved = JSON.parse(fs.readFileSync(result.filename, 'utf8'));
+
+      expect(saved.subject).toBe('Saved');
+      expect(fs.readdirSync(directory)).toHaveLength(1);
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  });
+
+  describe('default transport', () => {
+    const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV;
+      if (MAIL_TRANSPORT === undefined) {
+        delete process.env.MAIL_TRANSPORT;
+      } else {
+        process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+      }
+      jest.restoreAllMocks();
+    });
+
+    it('should use MAIL_TRANSPORT when it is set', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.MAIL_TRANSPORT = 'memory';
+
+      expect(createDefaultTransport().name).toBe('memory');
+    });
+
+    it('should fall back to files in development', () => {
+      process.env.NODE_ENV = 'development';
+      delete process.env.MAIL_TRANSPORT;
+
+      expect(createDefaultTransport().name).toBe('file');
+    });
+
+    it('should log an error and refuse to send in production without MAIL_TRANSPORT', async () => {
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      process.env.NODE_ENV = 'production';
+      delete process.env.MAIL_TRANSPORT;
+
+      const transport = createDefaultTransport();
+      setTransport(transport);
+
+      expect(transport.name).toBe('unconfigured');
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('MAIL_TRANSPORT is not set in production'));
+      await expect(sendMail({ to: 'test@example.com', subject: 'Lost' })).rejects.toThrow('No mail transport is configured');
+    });
+
+    it('should log an error for an unknown MAIL_TRANSPORT', () => {
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      process.env.MAIL_TRANSPORT = 'pigeon';
+
+      expect(createDefaultTransport().name).toBe('unconfigured');
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Unknown MAIL_TRANSPORT "pigeon"'));
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should reject messages without a recipient', async () => {
+      await expect(sendMail({ subject: 'No one' })).rejects.toThrow('Mail requires a recipient and a subject');
+    });
+  });
+
+  describe('setTransport', () => {
+    it('should reject transports without a send method', () => {
+      expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+    });
+  });
+});
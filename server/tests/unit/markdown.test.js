@@ -0,0 +1,70 @@
+// markdown.test.js - Unit tests for post content rendering
+
+const { renderContent, sanitizeContent, htmlToText } = require('../../src/utils/markdown');
+
+describe('renderContent', () => {
+  it('should render Markdown to HTML', () => {
+    const { html } = renderContent('Some **bold** text and a [link](https://example.com).');
+
+    expect(html).toBe('<p>Some <strong>bold</strong> text and a '
+      + '<a href="https://example.com" rel="nofollow noopener">link</a>.</p>');
+  });
+
+  it('should give headings unique anchors and list them in the table of contents', () => {
+    const { html, toc } = renderContent('# Über `uns`\n\n## Setup\n\n### Setup\n\n## 🚀');
+
+    expect(html).toContain('<h1 id="uber-uns">Über <code>uns</code></h1>');
+    expect(html).toContain('<h3 id="setup-2">Setup</h3>');
+    expect(toc).toEqual([
+      { level: 1, id: 'uber-uns', text: 'Über uns' },
+      { level: 2, id: 'setup', text: 'Setup' },
+      { level: 3, id: 'setup-2', text: 'Setup' },
+      { level: 2, id: 'section', text: '🚀' },
+    ]);
+  });
+
+  it('should keep language classes on fenced code', () => {
+    const { html } = renderContent('```js\nif (a < b) {}\n```');
+
+    expect(html).toBe('<pre><code class="language-js">if (a &lt; b) {}\n</code></pre>');
+  });
+
+  it('should keep table alignment', () => {
+    const { html } = renderContent('| a | b |\n|:-:|--:|\n| 1 | 2 |');
+
+    expect(html).toContain('<th style="text-align:center">a</th>');
+    expect(html).toContain('<td style="text-align:right">2</td>');
+  });
+
+  it('should strip scripts, event handlers and unsafe links from embedded HTML', () => {
+    const { html } = renderContent([
+      'Hi <script>alert(1)</script><img src="https://example.com/a.png" onerror="alert(1)">',
+      '',
+      '<a href="javascript:alert(1)">click</a> <iframe src="https://example.com"></iframe>',
+      '',
+      '<code class="evil language-py">x</code>',
+    ].join('\n'));
+
+    expect(html).not.toMatch(/script|onerror|javascript|iframe|evil/);
+    expect(html).toContain('<img src="https://example.com/a.png" />');
+    expect(html).toContain('<code class="language-py">x</code>');
+  });
+
+  it('should sanitize HTML content without Markdown processing', () => {
+    expect(renderContent('<p>*kept* <b onclick="x()">bold</b></p>', 'html'))
+      .toEqual({ html: '<p>*kept* <b>bold</b></p>', toc: [] });
+  });
+});
+
+describe('sanitizeContent', () => {
+  it('should drop disallowed tags but keep their text', () => {
+    expect(sanitizeContent('<div><p>Hello <blink>world</blink></p></div>')).toBe('<p>Hello world</p>');
+  });
+});
+
+describe('htmlToText', () => {
+  it('should return readable text with entities decoded', () => {
+    expect(htmlToText('<h2 id="a">Tom &amp; Jerry</h2>\n<p>1 &lt; 2 &quot;quoted&quot;</p>'))
+      .toBe('Tom & Jerry 1 < 2 "quoted"');
+  });
+});
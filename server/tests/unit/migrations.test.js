@@ -0,0 +1,104 @@
+// migrations.test.js - Unit tests for migration files and the migrate CLI
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, createMigration, MIGRATIONS_DIR } = require('../../src/utils/migrations');
+const { parseCommand, formatStatus } = require('../../scripts/migrate');
+
+describe('Migration files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should create a timestamped migration from a description', () => {
+    const file = createMigration('Backfill post slugs', { dir, now: new Date('2026-10-19T12:34:56Z') });
+
+    expect(path.basename(file)).toBe('20261019123456-backfill-post-slugs.js');
+    expect(fs.readFileSync(file, 'utf8')).toContain("description: 'Backfill post slugs'");
+  });
+
+  it('should escape quotes in the description', () => {
+    const file = createMigration("Fix author's posts", { dir });
+
+    expect(loadMigrations(dir)[0].description).toBe("Fix author's posts");
+    expect(path.basename(file)).toMatch(/^\d{14}-fix-authors-posts\.js$/);
+  });
+
+  it('should refuse to overwrite an existing migration', () => {
+    const now = new Date('2026-10-19T12:34:56Z');
+    createMigration('Add index', { dir, now });
+
+    expect(() => createMigration('Add index', { dir, now })).toThrow(/EEXIST/);
+  });
+
+  it('should require a description', () => {
+    expect(() => createMigration('  ', { dir })).toThrow('A migration needs a name');
+  });
+
+  it('should load migrations in file name order', () => {
+    createMigration('Second', { dir, now: new Date('2026-10-19T12:00:01Z') });
+    createMigration('First', { dir, now: new Date('2026-10-19T12:00:00Z') });
+    fs.writeFileSync(path.join(dir, 'README.md'), 'not a migration');
+
+    expect(loadMigrations(dir).map(migration => migration.name)).toEqual([
+      '20261019120000-first',
+      '20261019120001-second',
+    ]);
+  });
+
+  it('should reject files without up and down', () => {
+    fs.writeFileSync(path.join(dir, '20261019120000-broken.js'), 'module.exports = { up() {} };');
+
+    expect(() => loadMigrations(dir)).toThrow('Migration 20261019120000-broken must export up and down functions');
+  });
+
+  it('should treat a missing directory as no migrations', () => {
+    expect(loadMigrations(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  it('should ship valid migrations', () => {
+    const migrations = loadMigrations(MIGRATIONS_DIR);
+
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach(migration => expect(migration.name).toMatch(/^\d{14}-[a-z0-9-]+$/));
+  });
+});
+
+describe('migrate CLI', () => {
+  it('should parse each command', () => {
+    expect(parseCommand(['up'])).toEqual({ command: 'up' });
+    expect(parseCommand(['up', '--to', '20261019130000-backfill-slugs']))
+      .toEqual({ command: 'up', to: '20261019130000-backfill-slugs' });
+    expect(parseCommand(['down', '--steps=2'])).toEqual({ command: 'down', steps: 2 });
+    expect(parseCommand(['status'])).toEqual({ command: 'status' });
+    expect(parseCommand(['create', 'add', 'post', 'index'])).toEqual({ command: 'create', description: 'add post index' });
+    expect(parseCommand(['--help'])).toEqual({ command: 'help' });
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => parseCommand([])).toThrow('Usage: npm run migrate');
+    expect(() => parseCommand(['sideways'])).toThrow('Unknown command "sideways"');
+    expect(() => parseCommand(['create'])).toThrow('create needs a description');
+    expect(() => parseCommand(['down', '--steps', '0'])).toThrow('--steps must be a positive integer');
+  });
+
+  it('should format the status as aligned lines', () => {
+    const output = formatStatus([
+      { name: '20261019130000-backfill-slugs', status: 'applied', appliedAt: new Date('2026-10-19T13:00:00Z') },
+      { name: '20261019130100-convert', status: 'pending', appliedAt: null },
+    ]);
+
+    expect(output).toBe([
+      'applied  20261019130000-backfill-slugs 2026-10-19T13:00:00.000Z',
+      'pending  20261019130100-convert',
+    ].join('\n'));
+    expect(formatStatus([])).toBe('No migrations');
+  });
+});
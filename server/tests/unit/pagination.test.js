@@ -0,0 +1,64 @@
+// pagination.test.js - Unit tests for cursor encoding
+
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, paginationOptions } = require('../../src/utils/pagination');
+
+describe('Pagination Utilities', () => {
+  const item = {
+    _id: new mongoose.Types.ObjectId(),
+    publishedAt: new Date('2026-10-19T12:00:00Z'),
+    title: 'Hello',
+  };
+
+  describe('cursors', () => {
+    it('should round-trip the sort value and id', () => {
+      const cursor = encodeCursor(item, 'publishedAt', 'desc', 'next');
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(cursor, 'publishedAt', 'desc')).toEqual({
+        value: item.publishedAt,
+        id: item._id,
+        direction: 'next',
+      });
+    });
+
+    it('should keep null and string values', () => {
+      expect(decodeCursor(encodeCursor({ ...item, publishedAt: null }, 'publishedAt', 'asc', 'prev'), 'publishedAt', 'asc'))
+        .toMatchObject({ value: null, direction: 'prev' });
+      expect(decodeCursor(encodeCursor(item, 'title', 'asc', 'next'), 'title', 'asc').value).toBe('Hello');
+    });
+
+    it('should reject cursors made for another sort', () => {
+      const cursor = encodeCursor(item, 'publishedAt', 'desc', 'next');
+
+      expect(() => decodeCursor(cursor, 'publishedAt', 'asc')).toThrow('Invalid cursor');
+      expect(() => decodeCursor(cursor, 'views', 'desc')).toThrow('Invalid cursor');
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor', 'publishedAt', 'desc')).toThrow('Invalid cursor');
+      expect(() => decodeCursor(Buffer.from('{"id":"nope"}').toString('base64url'), 'publishedAt', 'desc'))
+        .toThrow('Invalid cursor');
+    });
+  });
+
+  describe('paginationOptions', () => {
+    it('should default to offset mode with totals', () => {
+      expect(paginationOptions({ query: {} })).toEqual({
+        page: 1,
+        limit: 10,
+        cursor: undefined,
+        mode: 'offset',
+        includeTotal: true,
+      });
+    });
+
+    it('should switch to cursor mode when a cursor is given', () => {
+      expect(paginationOptions({ query: { cursor: 'abc', limit: '5', includeTotal: 'false' } })).toMatchObject({
+        limit: 5,
+        mode: 'cursor',
+        includeTotal: false,
+      });
+    });
+  });
+});
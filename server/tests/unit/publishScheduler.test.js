@@ -0,0 +1,116 @@
+// publishScheduler.test.js - Unit tests for scheduled publishing
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Post = require('../../src/models/Post');
+const Lease = require('../../src/models/Lease');
+const { publishDuePosts, runOnce } = require('../../src/jobs/publishScheduler');
+
+let mongoServer;
+const author = new mongoose.Types.ObjectId();
+const category = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Lease.deleteMany({});
+});
+
+const createScheduledPost = (title, scheduledFor) => Post.create({
+  title,
+  content: 'Content waiting for its publication date',
+  author,
+  category,
+  status: 'scheduled',
+  scheduledFor,
+});
+
+describe('Publish Scheduler', () => {
+  describe('publishDuePosts', () => {
+    it('should publish posts that are due and leave future ones', async () => {
+      const dueAt = new Date(Date.now() - 60 * 1000);
+      const due = await createScheduledPost('Post that is due now', dueAt);
+      const future = await createScheduledPost('Post for next week', new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+
+      const published = await publishDuePosts();
+
+      expect(published).toBe(1);
+
+      const duePost = await Post.findById(due._id);
+      expect(duePost.status).toBe('published');
+      expect(duePost.publishedAt.getTime()).toBe(dueAt.getTime());
+
+      const futurePost = await Post.findById(future._id);
+      expect(futurePost.status).toBe('scheduled');
+    });
+
+    it('should catch up on posts that came due long ago', async () => {
+      await createScheduledPost('Missed while server was down', new Date(Date.now() - 3 * 24 * 60 * 60 * 1000));
+      await createScheduledPost('Also missed during downtime', new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+      const published = await publishDuePosts();
+
+      expect(published).toBe(2);
+      expect(await Post.countDocuments({ status: 'published' })).toBe(2);
+    });
+
+    it('should not publish the same post twice', async () => {
+      await createScheduledPost('Post that is due now', new Date(Date.now() - 1000));
+
+      const [first, second] = await Promise.all([publishDuePosts(), publishDuePosts()]);
+
+      expect(first + second).toBe(1);
+    });
+  });
+
+  describe('runOnce', () => {
+    it('should skip work while another instance holds the lease', async () => {
+      await Lease.create({
+        _id: 'publish-scheduler',
+        owner: 'other-instance',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      });
+      await createScheduledPost('Post that is due now', new Date(Date.now() - 1000));
+
+      const published = await runOnce();
+
+      expect(published).toBe(0);
+      expect(await Post.countDocuments({ status: 'scheduled' })).toBe(1);
+    });
+
+    it('should take over an expired lease', async () => {
+      await Lease.create({
+        _id: 'publish-scheduler',
+        owner: 'crashed-instance',
+        expiresAt: new Date(Date.now() - 1000),
+      });
+      await createScheduledPost('Post that is due now', new Date(Date.now() - 1000));
+
+      const published = await runOnce();
+
+      expect(published).toBe(1);
+    });
+  });
+
+  describe('Lease', () => {
+    it('should only let one owner hold a lease', async () => {
+      expect(await Lease.acquire('test-lease', 'a', 60 * 1000)).toBe(true);
+      expect(await Lease.acquire('test-lease', 'b', 60 * 1000)).toBe(false);
+      expect(await Lease.acquire('test-lease', 'a', 60 * 1000)).toBe(true);
+
+      await Lease.release('test-lease', 'a');
+
+      expect(await Lease.acquire('test-lease', 'b', 60 * 1000)).toBe(true);
+    });
+  });
+});
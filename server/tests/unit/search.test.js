@@ -0,0 +1,98 @@
+// search.test.js - Unit tests for search query parsing and highlighting
+
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  toTextSearch,
+  highlightPattern,
+  markMatches,
+  snippet,
+  highlightPost,
+} = require('../../src/utils/search');
+
+describe('Search Utilities', () => {
+  describe('parseSearchQuery', () => {
+    it('should split words, phrases and exclusions', () => {
+      expect(parseSearchQuery('react "state  management" -redux -"class components"')).toEqual({
+        terms: ['react'],
+        phrases: ['state management'],
+        excluded: ['redux', 'class components'],
+      });
+    });
+
+    it('should ignore empty phrases and lone dashes', () => {
+      expect(parseSearchQuery('"" - node')).toEqual({ terms: ['node'], phrases: [], excluded: [] });
+    });
+
+    it('should need a word or phrase that is not excluded', () => {
+      expect(hasSearchTerms(parseSearchQuery('-redux'))).toBe(false);
+      expect(hasSearchTerms(parseSearchQuery('"hooks"'))).toBe(true);
+    });
+  });
+
+  describe('toTextSearch', () => {
+    it('should rebuild the MongoDB search string', () => {
+      const parsed = parseSearchQuery('react "state management" -redux -"class components"');
+
+      expect(toTextSearch(parsed)).toBe('"state management" react -redux -"class components"');
+    });
+  });
+
+  describe('highlighting', () => {
+    const pattern = highlightPattern(parseSearchQuery('test "unit tests" -mocha'));
+
+    it('should mark words, longer forms and phrases', () => {
+      expect(markMatches('Testing with unit  tests, not mocha', pattern))
+        .toBe('<mark>Testing</mark> with <mark>unit  tests</mark>, not mocha');
+    });
+
+    it('should not match inside other words', () => {
+      expect(markMatches('A contest', pattern)).toBe('A contest');
+    });
+
+    it('should escape HTML around the marks', () => {
+      expect(markMatches('<b>test</b>', pattern)).toBe('&lt;b&gt;<mark>test</mark>&lt;/b&gt;');
+    });
+
+    it('should cut a snippet around the first match', () => {
+      const text = `${'lorem '.repeat(60)}the test is here ${'ipsum '.repeat(60)}`;
+      const result = snippet(text, pattern, 80);
+
+      expect(result.startsWith('…')).toBe(true);
+      expect(result.endsWith('…')).toBe(true);
+      expect(result).toContain('the <mark>test</mark> is here');
+      expect(result.length).toBeLessThan(110);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(snippet('nothing relevant', pattern)).toBeNull();
+    });
+
+    it('should highlight a post and list its matching tags', () => {
+      const highlights = highlightPost({
+        title: 'Testing React',
+        contentHtml: '<p>Start with unit tests.</p>',
+        excerpt: 'Start with unit tests.',
+        tags: ['testing', 'react'],
+      }, parseSearchQuery('test "unit tests"'));
+
+      expect(highlights).toEqual({
+        title: '<mark>Testing</mark> React',
+        snippet: 'Start with <mark>unit tests</mark>.',
+        tags: ['testing'],
+      });
+    });
+
+    it('should cut snippets from the rendered text, not the Markdown source', () => {
+      const highlights = highlightPost({
+        title: 'Mocking',
+        content: '## Use **msw**\n\nSee [the docs](https://mswjs.io).',
+        contentHtml: '<h2 id="use-msw">Use <strong>msw</strong></h2>\n<p>See <a href="https://mswjs.io">the docs</a>.</p>',
+        excerpt: 'Use msw See the docs.',
+        tags: [],
+      }, parseSearchQuery('msw'));
+
+      expect(highlights.snippet).toBe('Use <mark>msw</mark> See the docs.');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// shutdown.test.js - Unit tests for the graceful shutdown coordinator
+
+const http = require('http');
+const express = require('express');
+
+let shutdownModule;
+let server;
+let port;
+let releaseSlowRequest;
+
+// Each test gets a fresh coordinator, since shutdown only ever runs once
+beforeEach(async () => {
+  jest.resetModules();
+  shutdownModule = require('../../src/utils/shutdown');
+
+  const app = express();
+  app.get('/fast', (req, res) => res.json({ ok: true }));
+  app.get('/slow', (req, res) => {
+    releaseSlowRequest = () => res.json({ ok: true });
+  });
+  app.get('/hung', () => {});
+
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, resolve));
+  ({ port } = server.address());
+});
+
+afterEach(() => {
+  if (server.listening) {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+/**
+ * Send a GET request to the test server
+ * @param {String} path - Request path
+ * @param {Object} [agent] - HTTP agent
+ * @returns {Promise<Number>} Response status code
+ */
+const get = (path, agent) => new Promise((resolve, reject) => {
+  http.get({ port, path, agent }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const options = extra => ({
+  server,
+  drainMs: 0,
+  timeoutMs: 2000,
+  closeLogger: false,
+  ...extra,
+});
+
+describe('Shutdown coordinator', () => {
+  it('should let in-flight requests finish before closing', async () => {
+    const pending = get('/slow');
+    await waitFor(() => releaseSlowRequest);
+
+    const done = shutdownModule.shutdown(options());
+    setTimeout(() => releaseSlowRequest(), 100);
+
+    expect(await pending).toBe(200);
+    expect(await done).toBe(0);
+    expect(server.listening).toBe(false);
+  });
+
+  it('should close idle keep-alive connections', async () => {
+    const agent = new http.Agent({ keepAlive: true });
+    await get('/fast', agent);
+
+    const start = Date.now();
+    const exitCode = await shutdownModule.shutdown(options());
+
+    expect(exitCode).toBe(0);
+    expect(Date.now() - start).toBeLessThan(1000);
+    agent.destroy();
+  });
+
+  it('should destroy connections still open at the deadline', async () => {
+    const pending = get('/hung').catch(error => error);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const exitCode = await shutdownModule.shutdown(options({ timeoutMs: 200 }));
+
+    expect(exitCode).toBe(1);
+    expect(server.listening).toBe(false);
+    expect(await pending).toEqual(expect.objectContaining({ code: 'ECONNRESET' }));
+  });
+
+  it('should run registered hooks after the server closes', async () => {
+    const calls = [];
+    shutdownModule.onShutdown('queue', async () => {
+      calls.push(`queue:${server.listening}`);
+    });
+    const remove = shutdownModule.onShutdown('stream', () => calls.push('stream'));
+    remove();
+
+    const exitCode = await shutdownModule.shutdown(options());
+
+    expect(exitCode).toBe(0);
+    expect(calls).toEqual(['queue:false']);
+  });
+
+  it('should report failing and overdue hooks without blocking the others', async () => {
+    const calls = [];
+    shutdownModule.onShutdown('broken', () => {
+      throw new Error('Hook failed');
+    });
+    shutdownModule.onShutdown('stuck', () => new Promise(() => {}));
+    shutdownModule.onShutdown('healthy', () => calls.push('healthy'));
+
+    const exitCode = await shutdownModule.shutdown(options({ timeoutMs: 200 }));
+
+    expect(exitCode).toBe(1);
+    expect(calls).toEqual(['healthy']);
+  });
+
+  it('should only shut down once', async () => {
+    let runs = 0;
+    shutdownModule.onShutdown('counter', () => {
+      runs += 1;
+    });
+
+    const first = shutdownModule.shutdown(options());
+    const second = shutdownModule.shutdown(options());
+
+    expect(shutdownModule.isShuttingDown()).toBe(true);
+    expect(second).toBe(first);
+    await first;
+    expect(runs).toBe(1);
+  });
+});
@@ -0,0 +1,71 @@
+// sitemap.test.js - Unit tests for sitemap and robots.txt builders
+
+const { buildUrlset, buildSitemapIndex } = require('../../src/utils/sitemap');
+const { robotsRules, buildRobotsTxt } = require('../../src/utils/robots');
+
+describe('Sitemap Builders', () => {
+  it('should build a urlset with escaped locations', () => {
+    const xml = buildUrlset([
+      { loc: 'https://blog.example.com/posts/a&b', lastmod: new Date('2026-10-19T12:00:00Z') },
+      { loc: 'https://blog.example.com/authors/ada' },
+    ]);
+
+    expect(xml).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      '<url><loc>https://blog.example.com/posts/a&amp;b</loc><lastmod>2026-10-19T12:00:00.000Z</lastmod></url>',
+      '<url><loc>https://blog.example.com/authors/ada</loc></url>',
+      '</urlset>',
+    ].join('\n'));
+  });
+
+  it('should build a sitemap index', () => {
+    const xml = buildSitemapIndex([{ loc: 'https://api.example.com/sitemaps/posts-1.xml', lastmod: null }]);
+
+    expect(xml).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(xml).toContain('<sitemap><loc>https://api.example.com/sitemaps/posts-1.xml</loc></sitemap>');
+  });
+});
+
+describe('robots.txt', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should keep crawlers out of the API by default', () => {
+    delete process.env.ROBOTS_DISALLOW;
+
+    expect(buildRobotsTxt(robotsRules(), 'https://api.example.com/sitemap.xml')).toBe([
+      'User-agent: *',
+      'Disallow: /api/',
+      '',
+      'Sitemap: https://api.example.com/sitemap.xml',
+      '',
+    ].join('\n'));
+  });
+
+  it('should apply the configured rules', () => {
+    process.env.ROBOTS_ALLOW = '/api/docs';
+    process.env.ROBOTS_DISALLOW = '/api/, /drafts/';
+    process.env.ROBOTS_CRAWL_DELAY = '10';
+
+    expect(buildRobotsTxt(robotsRules())).toBe([
+      'User-agent: *',
+      'Allow: /api/docs',
+      'Disallow: /api/',
+      'Disallow: /drafts/',
+      'Crawl-delay: 10',
+      '',
+    ].join('\n'));
+  });
+
+  it('should allow everything with no rules and block everything when asked', () => {
+    process.env.ROBOTS_DISALLOW = '';
+    expect(buildRobotsTxt(robotsRules())).toBe('User-agent: *\nDisallow:\n');
+
+    process.env.ROBOTS_DISALLOW_ALL = 'true';
+    expect(buildRobotsTxt(robotsRules(), 'https://api.example.com/sitemap.xml')).toBe('User-agent: *\nDisallow: /\n');
+  });
+});
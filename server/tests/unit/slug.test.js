@@ -0,0 +1,142 @@
+// slug.test.js - Unit tests for slug utilities
+
+const mongoose = require('mongoose');
+const {
+  slugify,
+  transliterate,
+  nextFreeSlug,
+  uniqueSlug,
+  saveWithUniqueSlug,
+} = require('../../src/utils/slug');
+
+/**
+ * Minimal stand-in for a model holding the given documents
+ * @param {Array} documents - { _id, slug }
+ * @returns {Object} Object answering Model.find(filter).select().lean()
+ */
+const modelWith = documents => ({
+  find: filter => ({
+    select: () => ({
+      lean: async () => documents.filter(document => filter.slug.test(document.slug)
+        && (!filter._id || !document._id.equals(filter._id.$ne))),
+    }),
+  }),
+});
+
+const doc = slug => ({ _id: new mongoose.Types.ObjectId(), slug });
+
+describe('Slug Utilities', () => {
+  describe('slugify', () => {
+    it('should lowercase and hyphenate words', () => {
+      expect(slugify('  Hello, World! 2026 ')).toBe('hello-world-2026');
+      expect(slugify('snake_case -- and  spaces')).toBe('snake-case-and-spaces');
+    });
+
+    it('should transliterate accents and non-Latin scripts', () => {
+      expect(slugify('Crème Brûlée à la Française')).toBe('creme-brulee-a-la-francaise');
+      expect(slugify('Straße, Øresund, Łódź')).toBe('strasse-oresund-lodz');
+      expect(slugify('Привет мир')).toBe('privet-mir');
+      expect(slugify('Καλημέρα')).toBe('kalimera');
+    });
+
+    it('should transliterate letters that would otherwise decompose', () => {
+      expect(slugify('Йогурт')).toBe('yogurt');
+      expect(slugify('Їжак')).toBe('yizhak');
+      expect(slugify('Ёлка')).toBe('elka');
+      expect(slugify('Йогурт'.normalize('NFD'))).toBe('yogurt');
+    });
+
+    it('should use the fallback when nothing is left', () => {
+      expect(slugify('🎉🎉', 'post')).toBe('post');
+      expect(slugify('日本語')).toBe('');
+    });
+  });
+
+  describe('transliterate', () => {
+    it('should keep ASCII text apart from case', () => {
+      expect(transliterate('Plain ASCII!')).toBe('plain ascii!');
+    });
+  });
+
+  describe('nextFreeSlug', () => {
+    it('should pick the base slug or the lowest free suffix', () => {
+      expect(nextFreeSlug('hello', [])).toBe('hello');
+      expect(nextFreeSlug('hello', ['hello-2', 'hello-world'])).toBe('hello');
+      expect(nextFreeSlug('hello', ['hello', 'hello-3'])).toBe('hello-2');
+      expect(nextFreeSlug('hello', new Set(['hello', 'hello-2']))).toBe('hello-3');
+    });
+  });
+
+  describe('uniqueSlug', () => {
+    it('should use the plain slug when it is free', async () => {
+      expect(await uniqueSlug(modelWith([doc('hello-world-tour')]), 'Hello World')).toBe('hello-world');
+    });
+
+    it('should suffix the next free number', async () => {
+      const Model = modelWith([doc('hello-world'), doc('hello-world-2'), doc('hello-world-4')]);
+
+      expect(await uniqueSlug(Model, 'Hello World')).toBe('hello-world-3');
+    });
+
+    it('should keep the current slug of a document that still fits', async () => {
+      const document = doc('hello-world-2');
+      const Model = modelWith([doc('hello-world'), document]);
+
+      expect(await uniqueSlug(Model, 'Hello, World!', { document })).toBe('hello-world-2');
+    });
+
+    it('should escape the slug in the query', async () => {
+      const Model = modelWith([doc('post')]);
+
+      expect(await uniqueSlug(Model, '***', { fallback: 'post' })).toBe('post-2');
+    });
+
+    it('should look again when the current slug was taken by someone else', async () => {
+      const document = doc('hello-world');
+      const Model = modelWith([doc('hello-world'), document]);
+
+      expect(await uniqueSlug(Model, 'Hello World', { document, keepCurrent: false })).toBe('hello-world-2');
+    });
+  });
+
+  describe('saveWithUniqueSlug', () => {
+    const duplicate = (key) => Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+      keyPattern: { [key]: 1 },
+    });
+
+    /**
+     * Document whose save fails with the given errors before succeeding
+     * @param {Array} errors - Errors thrown by the first saves
+     * @returns {Object} Document with a save mock
+     */
+    const documentFailingWith = (errors) => {
+      const document = { $locals: {}, save: jest.fn() };
+      errors.forEach(error => document.save.mockRejectedValueOnce(error));
+      document.save.mockResolvedValue(document);
+      return document;
+    };
+
+    it('should retry a save that lost its slug to another document', async () => {
+      const document = documentFailingWith([duplicate('slug')]);
+
+      expect(await saveWithUniqueSlug(document)).toBe(document);
+      expect(document.save).toHaveBeenCalledTimes(2);
+      expect(document.$locals.slugConflict).toBe(true);
+    });
+
+    it('should not retry other duplicate keys', async () => {
+      const document = documentFailingWith([duplicate('email')]);
+
+      await expect(saveWithUniqueSlug(document)).rejects.toMatchObject({ keyPattern: { email: 1 } });
+      expect(document.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the last attempt', async () => {
+      const document = documentFailingWith([duplicate('slug'), duplicate('slug')]);
+
+      await expect(saveWithUniqueSlug(document, 2)).rejects.toMatchObject({ code: 11000 });
+      expect(document.save).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,15 @@
+// tags.test.js - Unit tests for tag helpers
+
+const { normalizeTag, parseTagList } = require('../../src/utils/tags');
+
+describe('Tag Utilities', () => {
+  it('should normalize tags like the Post model stores them', () => {
+    expect(normalizeTag('  JavaScript ')).toBe('javascript');
+  });
+
+  it('should parse comma-separated and repeated tag parameters', () => {
+    expect(parseTagList('React, node,,REACT')).toEqual(['react', 'node']);
+    expect(parseTagList(['react', 'jest,node'])).toEqual(['react', 'jest', 'node']);
+    expect(parseTagList(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+// urls.test.js - Unit tests for public URL helpers
+
+const { publicBaseUrl, apiUrl, postUrls, withPostUrls } = require('../../src/utils/urls');
+
+describe('URL Utilities', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should prefer PUBLIC_BASE_URL over CLIENT_URL', () => {
+    process.env.CLIENT_URL = 'http://localhost:3000';
+    delete process.env.PUBLIC_BASE_URL;
+    expect(publicBaseUrl()).toBe('http://localhost:3000');
+
+    process.env.PUBLIC_BASE_URL = 'https://blog.example.com//';
+    expect(publicBaseUrl()).toBe('https://blog.example.com');
+  });
+
+  it('should build API URLs from API_BASE_URL rather than the request', () => {
+    delete process.env.API_BASE_URL;
+    process.env.PORT = '5050';
+    expect(apiUrl('/feeds/rss.xml')).toBe('http://localhost:5050/feeds/rss.xml');
+
+    process.env.API_BASE_URL = 'https://api.example.com/';
+    expect(apiUrl('/feeds/rss.xml')).toBe('https://api.example.com/feeds/rss.xml');
+  });
+
+  it('should build the site path and canonical URL of a post', () => {
+    process.env.PUBLIC_BASE_URL = 'https://blog.example.com';
+
+    expect(postUrls({ slug: 'hello-world' })).toEqual({
+      url: '/posts/hello-world',
+      canonicalUrl: 'https://blog.example.com/posts/hello-world',
+    });
+  });
+
+  it('should leave posts without a slug alone', () => {
+    expect(postUrls({ title: 'No slug selected' })).toEqual({});
+    expect(withPostUrls([{ title: 'No slug selected' }])).toEqual([{ title: 'No slug selected' }]);
+  });
+});
@@ -0,0 +1,118 @@
+// validateSchema.test.js - Unit tests for response schema validation
+
+const { validateSchema, formatViolations } = require('../../src/docs/validateSchema');
+
+const document = {
+  components: {
+    schemas: {
+      ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' },
+      Author: {
+        type: 'object',
+        properties: { _id: { $ref: '#/components/schemas/ObjectId' }, name: { type: 'string' } },
+        required: ['_id'],
+      },
+    },
+  },
+};
+
+const post = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    views: { type: 'integer' },
+    rating: { type: 'number' },
+    status: { type: 'string', enum: ['draft', 'published'] },
+    publishedAt: { type: 'string', format: 'date-time', nullable: true },
+    tags: { type: 'array', items: { type: 'string' } },
+    author: {
+      anyOf: [
+        { $ref: '#/components/schemas/ObjectId' },
+        { $ref: '#/components/schemas/Author' },
+      ],
+    },
+  },
+  required: ['title', 'status'],
+};
+
+const validPost = {
+  title: 'Hello',
+  views: 3,
+  rating: 4.5,
+  status: 'draft',
+  publishedAt: null,
+  tags: ['a'],
+  author: '507f1f77bcf86cd799439011',
+};
+
+describe('validateSchema', () => {
+  it('should accept a matching value', () => {
+    expect(validateSchema(post, validPost, document)).toEqual([]);
+  });
+
+  it('should accept integers where numbers are expected and extra properties', () => {
+    const errors = validateSchema(post, { ...validPost, rating: 4, extra: true }, document);
+
+    expect(errors).toEqual([]);
+  });
+
+  it('should report missing required properties', () => {
+    const { title, ...withoutTitle } = validPost;
+
+    expect(validateSchema(post, withoutTitle, document)).toEqual([
+      { path: '$.title', message: 'is required' },
+    ]);
+  });
+
+  it('should report type, enum, format and null mismatches with their paths', () => {
+    const errors = validateSchema(post, {
+      ...validPost,
+      title: null,
+      views: 1.5,
+      status: 'deleted',
+      publishedAt: 'yesterday',
+      tags: ['a', 2],
+    }, document);
+
+    expect(errors).toEqual([
+      { path: '$.title', message: 'must not be null' },
+      { path: '$.views', message: 'expected integer, got number' },
+      { path: '$.status', message: 'must be one of draft, published, got "deleted"' },
+      { path: '$.publishedAt', message: 'must be a date-time' },
+      { path: '$.tags[1]', message: 'expected string, got integer' },
+    ]);
+  });
+
+  it('should resolve references and accept any matching alternative', () => {
+    const populated = { ...validPost, author: { _id: '507f1f77bcf86cd799439011', name: 'Jane' } };
+
+    expect(validateSchema(post, populated, document)).toEqual([]);
+    expect(validateSchema(post, { ...validPost, author: { name: 'Jane' } }, document)).toEqual([
+      { path: '$.author._id', message: 'is required' },
+    ]);
+  });
+
+  it('should validate additional properties against their schema', () => {
+    const schema = { type: 'object', additionalProperties: { type: 'integer' } };
+
+    expect(validateSchema(schema, { a: 1, b: 'two' })).toEqual([
+      { path: '$.b', message: 'expected integer, got string' },
+    ]);
+  });
+
+  it('should accept null for schemas without constraints', () => {
+    expect(validateSchema({}, null)).toEqual([]);
+    expect(validateSchema({ type: 'object', properties: { from: {} } }, { from: null })).toEqual([]);
+  });
+
+  it('should throw on unresolved references', () => {
+    expect(() => validateSchema({ $ref: '#/components/schemas/Missing' }, {}, document))
+      .toThrow('Unresolved schema reference #/components/schemas/Missing');
+  });
+
+  it('should format violations one per line', () => {
+    expect(formatViolations([
+      { path: '$.title', message: 'is required' },
+      { path: '$.views', message: 'expected integer, got string' },
+    ])).toBe('$.title is required\n$.views expected integer, got string');
+  });
+});
@@ -0,0 +1,65 @@
+// validation.test.js - Unit tests for recorded validation chains and their OpenAPI descriptions
+
+const { validationResult } = require('express-validator');
+const { body, query, getChainCalls } = require('../../src/utils/validation');
+const { describeChain } = require('../../src/docs/validators');
+
+describe('Recorded validation chains', () => {
+  it('should record the builder calls in order', () => {
+    const chain = body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean();
+
+    expect(getChainCalls(chain).map(({ method }) => method))
+      .toEqual(['optional', 'isBoolean', 'withMessage', 'toBoolean']);
+  });
+
+  it('should validate and sanitize like a plain chain', async () => {
+    const req = { body: { isActive: 'false', title: 'x' } };
+
+    await body('isActive').isBoolean().toBoolean().run(req);
+    await body('title').isLength({ min: 5 }).withMessage('Too short').run(req);
+
+    expect(req.body.isActive).toBe(false);
+    expect(validationResult(req).array().map(error => error.msg)).toEqual(['Too short']);
+  });
+
+  it('should not record calls made while running', async () => {
+    const chain = body('scheduledFor').if(body('status').equals('scheduled')).exists();
+    const conditionCalls = getChainCalls(chain)[0].args[0];
+    const recorded = getChainCalls(conditionCalls).length;
+
+    await chain.run({ body: { status: 'scheduled' } });
+
+    expect(getChainCalls(conditionCalls)).toHaveLength(recorded);
+  });
+});
+
+describe('describeChain', () => {
+  it('should turn checks into a schema and messages', () => {
+    const description = describeChain(body('tags')
+      .isArray({ min: 1, max: 5 })
+      .withMessage('Tags must be a list'));
+
+    expect(description).toEqual({
+      fields: ['tags'],
+      locations: ['body'],
+      required: true,
+      schema: { type: 'array', minItems: 1, maxItems: 5 },
+      messages: ['Tags must be a list'],
+    });
+  });
+
+  it('should treat optional and conditional fields as not required', () => {
+    expect(describeChain(query('limit').optional().isInt({ min: 1, max: 50 }))).toMatchObject({
+      required: false,
+      schema: { type: 'integer', minimum: 1, maximum: 50 },
+    });
+    expect(describeChain(body('scheduledFor').if(body('status').equals('scheduled')).exists()).required)
+      .toBe(false);
+  });
+
+  it('should handle negated checks and regular expressions', () => {
+    expect(describeChain(body('name').not().isEmpty()).schema).toEqual({ minLength: 1 });
+    expect(describeChain(body('username').matches(/^[a-z]+$/)).schema).toEqual({ type: 'string', pattern: '^[a-z]+$' });
+    expect(describeChain(body('color').matches(/^#[0-9a-f]{6}$/i)).schema).toEqual({});
+  });
+});